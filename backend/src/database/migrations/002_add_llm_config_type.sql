@@ -0,0 +1,4 @@
+-- Tipos de configuración en llm_configs (modelos de chat, transcripción, ...)
+ALTER TABLE llm_configs ADD COLUMN IF NOT EXISTS config_type VARCHAR(50) NOT NULL DEFAULT 'llm';
+
+CREATE INDEX IF NOT EXISTS idx_llm_configs_config_type ON llm_configs(config_type, is_active);
\ No newline at end of file
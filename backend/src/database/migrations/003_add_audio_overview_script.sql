@@ -0,0 +1,2 @@
+-- Guión del resumen de audio, para mostrarlo como transcripción junto al reproductor
+ALTER TABLE notebooks ADD COLUMN IF NOT EXISTS audio_overview_script JSONB;
\ No newline at end of file
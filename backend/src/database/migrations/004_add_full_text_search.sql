@@ -0,0 +1,14 @@
+-- Idioma de búsqueda de texto completo de cada cuaderno (configuración de PostgreSQL: simple, spanish, english...)
+ALTER TABLE notebooks ADD COLUMN IF NOT EXISTS search_language VARCHAR(50) NOT NULL DEFAULT 'simple';
+
+-- Vector de texto completo de cada fragmento, calculado con el idioma de su cuaderno
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR;
+
+UPDATE documents d
+SET content_tsv = to_tsvector(COALESCE(n.search_language, 'simple')::regconfig, d.content)
+FROM notebooks n
+WHERE n.id::text = d.metadata->>'notebook_id';
+
+UPDATE documents SET content_tsv = to_tsvector('simple', content) WHERE content_tsv IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_content_tsv ON documents USING GIN (content_tsv);
\ No newline at end of file
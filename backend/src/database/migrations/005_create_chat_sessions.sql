@@ -0,0 +1,18 @@
+-- Conversaciones de chat de cada cuaderno (chat_histories.session_id apunta a chat_sessions.id)
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  notebook_id UUID NOT NULL REFERENCES notebooks(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  title VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_notebook_id ON chat_sessions(notebook_id, updated_at DESC);
+
+-- El historial existente usaba el id del cuaderno como sesión: conservarlo como una conversación
+INSERT INTO chat_sessions (id, notebook_id, user_id, title)
+SELECT n.id, n.id, n.user_id, 'Conversación'
+FROM notebooks n
+WHERE EXISTS (SELECT 1 FROM chat_histories ch WHERE ch.session_id::text = n.id::text)
+ON CONFLICT (id) DO NOTHING;
\ No newline at end of file
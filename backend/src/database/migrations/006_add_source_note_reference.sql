@@ -0,0 +1,4 @@
+-- Fuentes creadas a partir de una nota: la nota se reindexa al editarla
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS note_id UUID REFERENCES notes(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sources_note_id ON sources(note_id) WHERE note_id IS NOT NULL;
\ No newline at end of file
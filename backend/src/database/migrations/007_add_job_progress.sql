@@ -0,0 +1,2 @@
+-- Progreso de los trabajos de larga duración (p. ej. reindexar un cuaderno)
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS progress JSONB;
\ No newline at end of file
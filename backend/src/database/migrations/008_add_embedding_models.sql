@@ -0,0 +1,20 @@
+-- Modelo con el que se generó el embedding de cada fragmento ("proveedor:modelo")
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255);
+
+-- Los fragmentos existentes se generaron con el modelo derivado de la configuración de chat activa
+UPDATE documents
+SET embedding_model = COALESCE((
+  SELECT CASE WHEN provider = 'ollama' THEN 'ollama:' || model ELSE 'openai:text-embedding-ada-002' END
+  FROM llm_configs
+  WHERE is_active = true AND config_type = 'llm'
+  ORDER BY is_default DESC
+  LIMIT 1
+), 'openai:text-embedding-ada-002')
+WHERE embedding_model IS NULL;
+
+-- Cada modelo tiene su propia dimensión: la columna deja de tener un tamaño fijo y los
+-- índices HNSW se crean por modelo desde la aplicación
+DROP INDEX IF EXISTS documents_embedding_idx;
+ALTER TABLE documents ALTER COLUMN embedding TYPE vector;
+
+CREATE INDEX IF NOT EXISTS idx_documents_embedding_model ON documents(embedding_model);
\ No newline at end of file
@@ -0,0 +1,8 @@
+-- Caché de embeddings por contenido: un mismo texto no se envía dos veces al mismo modelo
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  embedding_model VARCHAR(255) NOT NULL,
+  content_hash CHAR(64) NOT NULL,
+  embedding vector NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (embedding_model, content_hash)
+);
\ No newline at end of file
@@ -0,0 +1,4 @@
+-- Configuración de fragmentación de cada cuaderno (NULL = valores por defecto del servidor)
+ALTER TABLE notebooks ADD COLUMN IF NOT EXISTS chunking_strategy VARCHAR(50);
+ALTER TABLE notebooks ADD COLUMN IF NOT EXISTS chunk_size INTEGER;
+ALTER TABLE notebooks ADD COLUMN IF NOT EXISTS chunk_overlap INTEGER;
\ No newline at end of file
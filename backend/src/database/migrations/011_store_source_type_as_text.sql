@@ -0,0 +1,3 @@
+-- Los tipos de fuente los definen los extractores registrados (doc, markdown, spreadsheet...):
+-- la columna deja de usar el tipo enumerado, que solo admitía pdf, text, website, youtube y audio
+ALTER TABLE sources ALTER COLUMN type TYPE VARCHAR(50) USING type::text;
\ No newline at end of file
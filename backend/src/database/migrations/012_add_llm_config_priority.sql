@@ -0,0 +1,2 @@
+-- Orden de respaldo de las configuraciones: tras la predeterminada se prueban de menor a mayor prioridad
+ALTER TABLE llm_configs ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
\ No newline at end of file
@@ -0,0 +1,12 @@
+-- Modelo asignado a cada tarea (chat, summary, notebook_details, podcast_script, embeddings)
+CREATE TABLE IF NOT EXISTS llm_task_routes (
+  task VARCHAR(50) PRIMARY KEY,
+  config_id UUID NOT NULL REFERENCES llm_configs(id) ON DELETE CASCADE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Configuraciones que los usuarios pueden elegir para el chat de sus cuadernos
+ALTER TABLE llm_configs ADD COLUMN IF NOT EXISTS user_selectable BOOLEAN NOT NULL DEFAULT false;
+
+-- Modelo de chat elegido para un cuaderno (NULL = el asignado a la tarea de chat)
+ALTER TABLE notebooks ADD COLUMN IF NOT EXISTS llm_config_id UUID REFERENCES llm_configs(id) ON DELETE SET NULL;
\ No newline at end of file
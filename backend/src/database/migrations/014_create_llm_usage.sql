@@ -0,0 +1,30 @@
+-- Consumo de cada llamada a un modelo de chat o de embeddings (tokens estimados si el proveedor no los informa)
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id BIGSERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  task VARCHAR(50),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  notebook_id UUID REFERENCES notebooks(id) ON DELETE SET NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  estimated BOOLEAN NOT NULL DEFAULT false,
+  latency_ms INTEGER NOT NULL,
+  success BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_id ON llm_usage(user_id);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_notebook_id ON llm_usage(notebook_id);
+
+-- Precio de cada modelo por millón de tokens de entrada y de salida
+CREATE TABLE IF NOT EXISTS llm_model_prices (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  input_price NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  output_price NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, model)
+);
\ No newline at end of file
@@ -1,10 +1,28 @@
 const express = require('express');
 const { pool } = require('../database/init');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { getEmbeddingConfig, LLM_TASKS } = require('../services/llmService');
+const { getEmbeddingModelUsage } = require('../services/vectorService');
+const { enqueueNotebookReembed } = require('../services/documentProcessor');
+const { USAGE_GROUPS, getUsageReport, getModelPrices, setModelPrice, deleteModelPrice } = require('../services/usageService');
+const { validateTTSConfig } = require('../services/ttsService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Tipos de configuración admitidos en llm_configs
+const CONFIG_TYPES = ['llm', 'transcription', 'tts', 'embedding'];
+
+// Proveedores de chat
+const LLM_PROVIDERS = ['ollama', 'openai', 'anthropic', 'gemini', 'openai_compatible', 'mock'];
+
+// Proveedores que pueden generar embeddings
+const EMBEDDING_PROVIDERS = ['openai', 'ollama', 'mock'];
+
+// Agrupación y periodo por defecto del informe de consumo
+const DEFAULT_USAGE_GROUPS = ['day', 'user', 'model'];
+const DEFAULT_USAGE_DAYS = 30;
+
 // Middleware para rutas de administrador
 router.use(authenticateToken);
 router.use(requireAdmin);
@@ -13,9 +31,9 @@ router.use(requireAdmin);
 router.get('/llm-configs', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT id, name, provider, model, base_url, is_active, is_default, config, created_at, updated_at
+      SELECT id, name, provider, model, base_url, is_active, is_default, priority, user_selectable, config, config_type, created_at, updated_at
       FROM llm_configs 
-      ORDER BY is_default DESC, name ASC
+      ORDER BY config_type ASC, is_default DESC, priority ASC, name ASC
     `);
     
     res.json(result.rows);
@@ -28,18 +46,40 @@ router.get('/llm-configs', async (req, res) => {
 // Crear nueva configuración de LLM
 router.post('/llm-configs', async (req, res) => {
   try {
-    const { name, provider, model, api_key, base_url, is_active, is_default, config } = req.body;
+    const { name, provider, model, api_key, base_url, is_active, is_default, priority, user_selectable, config, config_type = 'llm' } = req.body;
+    
+    if (!CONFIG_TYPES.includes(config_type)) {
+      return res.status(400).json({ error: 'Tipo de configuración no válido' });
+    }
+    
+    const embeddingError = config_type === 'embedding' ? validateEmbeddingConfig(provider, config) : null;
+    
+    if (embeddingError) {
+      return res.status(400).json({ error: embeddingError });
+    }
+    
+    const llmError = config_type === 'llm' ? validateLLMConfig(provider, base_url, config) : null;
+    
+    if (llmError) {
+      return res.status(400).json({ error: llmError });
+    }
     
-    // Si se marca como predeterminado, desmarcar otros
+    const ttsError = config_type === 'tts' ? validateTTSConfig(provider, config) : null;
+    
+    if (ttsError) {
+      return res.status(400).json({ error: ttsError });
+    }
+    
+    // Si se marca como predeterminado, desmarcar otros del mismo tipo
     if (is_default) {
-      await pool.query('UPDATE llm_configs SET is_default = false');
+      await pool.query('UPDATE llm_configs SET is_default = false WHERE config_type = $1', [config_type]);
     }
     
     const result = await pool.query(`
-      INSERT INTO llm_configs (name, provider, model, api_key, base_url, is_active, is_default, config)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id, name, provider, model, base_url, is_active, is_default, config, created_at, updated_at
-    `, [name, provider, model, api_key, base_url, is_active, is_default, config || {}]);
+      INSERT INTO llm_configs (name, provider, model, api_key, base_url, is_active, is_default, config, config_type, priority, user_selectable)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id, name, provider, model, base_url, is_active, is_default, priority, user_selectable, config, config_type, created_at, updated_at
+    `, [name, provider, model, api_key, base_url, is_active, is_default, config || {}, config_type, parseInt(priority) || 0, Boolean(user_selectable)]);
     
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -52,20 +92,43 @@ router.post('/llm-configs', async (req, res) => {
 router.put('/llm-configs/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, provider, model, api_key, base_url, is_active, is_default, config } = req.body;
+    const { name, provider, model, api_key, base_url, is_active, is_default, priority, user_selectable, config, config_type = 'llm' } = req.body;
+    
+    if (!CONFIG_TYPES.includes(config_type)) {
+      return res.status(400).json({ error: 'Tipo de configuración no válido' });
+    }
+    
+    const embeddingError = config_type === 'embedding' ? validateEmbeddingConfig(provider, config) : null;
+    
+    if (embeddingError) {
+      return res.status(400).json({ error: embeddingError });
+    }
+    
+    const llmError = config_type === 'llm' ? validateLLMConfig(provider, base_url, config) : null;
+    
+    if (llmError) {
+      return res.status(400).json({ error: llmError });
+    }
+    
+    const ttsError = config_type === 'tts' ? validateTTSConfig(provider, config) : null;
     
-    // Si se marca como predeterminado, desmarcar otros
+    if (ttsError) {
+      return res.status(400).json({ error: ttsError });
+    }
+    
+    // Si se marca como predeterminado, desmarcar otros del mismo tipo
     if (is_default) {
-      await pool.query('UPDATE llm_configs SET is_default = false WHERE id != $1', [id]);
+      await pool.query('UPDATE llm_configs SET is_default = false WHERE id != $1 AND config_type = $2', [id, config_type]);
     }
     
     const result = await pool.query(`
       UPDATE llm_configs 
       SET name = $1, provider = $2, model = $3, api_key = $4, base_url = $5, 
-          is_active = $6, is_default = $7, config = $8
-      WHERE id = $9
-      RETURNING id, name, provider, model, base_url, is_active, is_default, config, created_at, updated_at
-    `, [name, provider, model, api_key, base_url, is_active, is_default, config || {}, id]);
+          is_active = $6, is_default = $7, config = $8, config_type = $9, priority = $10,
+          user_selectable = $11
+      WHERE id = $12
+      RETURNING id, name, provider, model, base_url, is_active, is_default, priority, user_selectable, config, config_type, created_at, updated_at
+    `, [name, provider, model, api_key, base_url, is_active, is_default, config || {}, config_type, parseInt(priority) || 0, Boolean(user_selectable), id]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Configuración no encontrada' });
@@ -103,6 +166,134 @@ router.delete('/llm-configs/:id', async (req, res) => {
   }
 });
 
+// Obtener el modelo asignado a cada tarea (config_id null = orden de respaldo habitual)
+router.get('/llm-routes', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT task, config_id FROM llm_task_routes');
+    const routes = new Map(result.rows.map(row => [row.task, row.config_id]));
+    
+    res.json(LLM_TASKS.map(task => ({ task, config_id: routes.get(task) || null })));
+  } catch (error) {
+    logger.error('Error al obtener el enrutado de modelos:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Asignar un modelo a una tarea o, con config_id null, volver al orden de respaldo habitual
+router.put('/llm-routes/:task', async (req, res) => {
+  try {
+    const { task } = req.params;
+    const { config_id } = req.body;
+    
+    if (!LLM_TASKS.includes(task)) {
+      return res.status(400).json({ error: 'Tarea no válida' });
+    }
+    
+    if (!config_id) {
+      await pool.query('DELETE FROM llm_task_routes WHERE task = $1', [task]);
+      return res.json({ task, config_id: null });
+    }
+    
+    const configResult = await pool.query('SELECT config_type FROM llm_configs WHERE id = $1', [config_id]);
+    
+    if (configResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Configuración no encontrada' });
+    }
+    
+    // Los embeddings se generan con configuraciones de tipo 'embedding'; el resto de tareas con 'llm'
+    const expectedType = task === 'embeddings' ? 'embedding' : 'llm';
+    
+    if (configResult.rows[0].config_type !== expectedType) {
+      return res.status(400).json({ error: `La tarea ${task} requiere una configuración de tipo ${expectedType}` });
+    }
+    
+    await pool.query(`
+      INSERT INTO llm_task_routes (task, config_id)
+      VALUES ($1, $2)
+      ON CONFLICT (task) DO UPDATE SET config_id = $2, updated_at = NOW()
+    `, [task, config_id]);
+    
+    res.json({ task, config_id });
+  } catch (error) {
+    logger.error('Error al asignar modelo a la tarea:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener el modelo de embeddings activo y los fragmentos de cada cuaderno por modelo
+router.get('/embeddings', async (req, res) => {
+  try {
+    let active = null;
+    
+    try {
+      const embeddingConfig = await getEmbeddingConfig();
+      active = { model_id: embeddingConfig.model_id, dimensions: embeddingConfig.dimensions };
+    } catch (error) {
+      logger.warn(`No hay modelo de embeddings activo: ${error.message}`);
+    }
+    
+    const usage = await getEmbeddingModelUsage();
+    const notebooks = new Map();
+    
+    for (const row of usage) {
+      if (!notebooks.has(row.notebook_id)) {
+        notebooks.set(row.notebook_id, {
+          notebook_id: row.notebook_id,
+          notebook_title: row.notebook_title,
+          models: [],
+          outdated_documents: 0
+        });
+      }
+      
+      const notebook = notebooks.get(row.notebook_id);
+      notebook.models.push({ embedding_model: row.embedding_model, documents: row.documents });
+      
+      if (!active || row.embedding_model !== active.model_id) {
+        notebook.outdated_documents += row.documents;
+      }
+    }
+    
+    res.json({ active, notebooks: [...notebooks.values()] });
+  } catch (error) {
+    logger.error('Error al obtener el estado de los embeddings:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Regenerar con el modelo activo los embeddings de un cuaderno o de todos los desactualizados
+router.post('/embeddings/reembed', async (req, res) => {
+  try {
+    const { notebook_id } = req.body;
+    const embeddingConfig = await getEmbeddingConfig();
+    
+    let notebookIds;
+    
+    if (notebook_id) {
+      notebookIds = [notebook_id];
+    } else {
+      const result = await pool.query(`
+        SELECT DISTINCT metadata->>'notebook_id' as notebook_id
+        FROM documents
+        WHERE embedding_model IS DISTINCT FROM $1
+      `, [embeddingConfig.model_id]);
+      
+      notebookIds = result.rows.map(row => row.notebook_id).filter(Boolean);
+    }
+    
+    const jobs = [];
+    
+    for (const id of notebookIds) {
+      const job = await enqueueNotebookReembed(id, req.user.id);
+      jobs.push({ notebook_id: id, job_id: job.id });
+    }
+    
+    res.status(202).json({ model_id: embeddingConfig.model_id, jobs });
+  } catch (error) {
+    logger.error('Error al iniciar la regeneración de embeddings:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // Obtener modelos disponibles de Ollama
 router.get('/ollama-models', async (req, res) => {
   try {
@@ -172,6 +363,77 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Informe de consumo de los modelos (tokens, latencia y coste) agrupado por día, usuario, modelo,
+// cuaderno o tarea: ?group_by=day,user,model&from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/usage', async (req, res) => {
+  try {
+    const groupBy = req.query.group_by ? String(req.query.group_by).split(',').map(group => group.trim()) : DEFAULT_USAGE_GROUPS;
+    const invalidGroup = groupBy.find(group => !Object.prototype.hasOwnProperty.call(USAGE_GROUPS, group));
+    
+    if (groupBy.length === 0 || invalidGroup !== undefined) {
+      return res.status(400).json({ error: `Agrupación no válida: ${invalidGroup}. Usa ${Object.keys(USAGE_GROUPS).join(', ')}` });
+    }
+    
+    const to = req.query.to || formatDate(new Date());
+    const from = req.query.from || formatDate(new Date(Date.now() - (DEFAULT_USAGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+    
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({ error: 'Periodo no válido: usa fechas YYYY-MM-DD con from anterior o igual a to' });
+    }
+    
+    res.json(await getUsageReport({ from, to, groupBy: [...new Set(groupBy)] }));
+  } catch (error) {
+    logger.error('Error al obtener el informe de consumo:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener los precios por modelo usados en el informe de consumo
+router.get('/usage/prices', async (req, res) => {
+  try {
+    res.json(await getModelPrices());
+  } catch (error) {
+    logger.error('Error al obtener precios de modelos:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Crear o actualizar el precio de un modelo (por millón de tokens de entrada y de salida)
+router.put('/usage/prices', async (req, res) => {
+  try {
+    const { provider, model, input_price, output_price } = req.body;
+    
+    if (!provider || !model) {
+      return res.status(400).json({ error: 'El proveedor y el modelo son requeridos' });
+    }
+    
+    if (![input_price, output_price].every(price => typeof price === 'number' && Number.isFinite(price) && price >= 0)) {
+      return res.status(400).json({ error: 'Los precios deben ser números mayores o iguales que 0' });
+    }
+    
+    res.json(await setModelPrice({ provider, model, inputPrice: input_price, outputPrice: output_price }));
+  } catch (error) {
+    logger.error('Error al guardar precio de modelo:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar el precio de un modelo
+router.delete('/usage/prices/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    
+    if (!Number.isInteger(id) || !await deleteModelPrice(id)) {
+      return res.status(404).json({ error: 'Precio no encontrado' });
+    }
+    
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Error al eliminar precio de modelo:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // Gestión de usuarios (solo listar)
 router.get('/users', async (req, res) => {
   try {
@@ -188,4 +450,55 @@ router.get('/users', async (req, res) => {
   }
 });
 
+// Función para validar una configuración de embeddings: proveedor compatible y dimensiones del modelo
+function validateEmbeddingConfig(provider, config) {
+  if (!EMBEDDING_PROVIDERS.includes(provider)) {
+    return `El proveedor ${provider} no genera embeddings`;
+  }
+  
+  const dimensions = config?.dimensions;
+  
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    return 'La configuración de embeddings requiere "dimensions" (entero positivo)';
+  }
+  
+  return null;
+}
+
+// Función para validar una configuración de chat; los servidores compatibles con OpenAI necesitan
+// su URL, config.headers debe ser un objeto de cabeceras con valores de texto y config.responses
+// (plantillas del proveedor simulado) un objeto de plantillas de texto
+function validateLLMConfig(provider, baseUrl, config) {
+  if (!LLM_PROVIDERS.includes(provider)) {
+    return `Proveedor no soportado: ${provider}`;
+  }
+  
+  if (provider === 'openai_compatible' && !baseUrl) {
+    return 'La URL base es requerida para un servidor compatible con OpenAI';
+  }
+  
+  if (!isStringMap(config?.headers)) {
+    return 'config.headers debe ser un objeto con valores de texto';
+  }
+  
+  if (!isStringMap(config?.responses)) {
+    return 'config.responses debe ser un objeto con valores de texto';
+  }
+  
+  return null;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDate(new Date(`${value}T00:00:00Z`)) === value;
+}
+
+function isStringMap(value) {
+  return value === undefined || (typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string'));
+}
+
 module.exports = router;
\ No newline at end of file
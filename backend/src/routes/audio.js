@@ -2,10 +2,11 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const ffmpeg = require('fluent-ffmpeg');
 const { pool } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
 const { generateChatResponse } = require('../services/llmService');
+const { registerJobHandler, enqueueJob } = require('../services/jobQueue');
+const { parsePodcastScript, renderPodcast } = require('../services/ttsService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -34,11 +35,10 @@ router.post('/generate/:notebookId', async (req, res) => {
       ['generating', notebookId]
     );
     
-    // Iniciar generación en segundo plano
-    generateAudioOverview(notebookId)
-      .catch(error => logger.error('Error en generación de audio:', error));
+    // Encolar generación en segundo plano
+    const job = await enqueueJob('generate_audio_overview', { notebookId }, { userId: req.user.id });
     
-    res.json({ message: 'Generación de audio iniciada' });
+    res.json({ message: 'Generación de audio iniciada', jobId: job.id });
   } catch (error) {
     logger.error('Error al iniciar generación de audio:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
@@ -52,7 +52,7 @@ router.get('/:notebookId', async (req, res) => {
     
     // Verificar propiedad del cuaderno
     const result = await pool.query(
-      'SELECT audio_overview_url, audio_overview_generation_status, audio_url_expires_at FROM notebooks WHERE id = $1 AND user_id = $2',
+      'SELECT audio_overview_url, audio_overview_generation_status, audio_url_expires_at, audio_overview_script FROM notebooks WHERE id = $1 AND user_id = $2',
       [notebookId, req.user.id]
     );
     
@@ -73,7 +73,8 @@ router.get('/:notebookId', async (req, res) => {
     res.json({
       url: notebook.audio_overview_url,
       status: notebook.audio_overview_generation_status,
-      expiresAt: notebook.audio_url_expires_at
+      expiresAt: notebook.audio_url_expires_at,
+      script: notebook.audio_overview_script
     });
   } catch (error) {
     logger.error('Error al obtener URL de audio:', error);
@@ -159,7 +160,7 @@ router.delete('/:notebookId', async (req, res) => {
     
     // Actualizar cuaderno
     await pool.query(
-      'UPDATE notebooks SET audio_overview_url = NULL, audio_url_expires_at = NULL, audio_overview_generation_status = NULL WHERE id = $1',
+      'UPDATE notebooks SET audio_overview_url = NULL, audio_url_expires_at = NULL, audio_overview_generation_status = NULL, audio_overview_script = NULL WHERE id = $1',
       [notebookId]
     );
     
@@ -173,6 +174,12 @@ router.delete('/:notebookId', async (req, res) => {
 // Función para generar audio
 async function generateAudioOverview(notebookId) {
   try {
+    // Marcar como en generación (también al reintentar o reanudar)
+    await pool.query(
+      'UPDATE notebooks SET audio_overview_generation_status = $1 WHERE id = $2',
+      ['generating', notebookId]
+    );
+    
     // Obtener fuentes del cuaderno
     const sourcesResult = await pool.query(
       'SELECT content, summary FROM sources WHERE notebook_id = $1 AND processing_status = $2',
@@ -217,16 +224,18 @@ El guión debe tener entre 5-7 minutos de duración (aproximadamente 750-1000 pa
       content: sourceContent
     };
     
-    const response = await generateChatResponse([systemPrompt, userPrompt]);
-    const script = response.text;
+    const response = await generateChatResponse([systemPrompt, userPrompt], { task: 'podcast_script', notebookId });
+    const scriptLines = parsePodcastScript(response.text);
     
-    // Generar archivo de audio (simulado para este ejemplo)
+    if (scriptLines.length === 0) {
+      throw new Error('El guión generado no contiene intervenciones de los locutores');
+    }
+    
+    // Sintetizar cada intervención y unirlas en un único MP3
     const audioFilename = `${uuidv4()}.mp3`;
     const audioPath = path.join('audio', audioFilename);
     
-    // En una implementación real, aquí se generaría el audio con un servicio TTS
-    // Para este ejemplo, creamos un archivo de audio vacío
-    await fs.writeFile(audioPath, '');
+    await renderPodcast(scriptLines, audioPath);
     
     // Calcular fecha de expiración (24 horas)
     const expiresAt = new Date();
@@ -237,12 +246,14 @@ El guión debe tener entre 5-7 minutos de duración (aproximadamente 750-1000 pa
       `UPDATE notebooks 
        SET audio_overview_url = $1, 
            audio_url_expires_at = $2, 
-           audio_overview_generation_status = $3
-       WHERE id = $4`,
+           audio_overview_generation_status = $3,
+           audio_overview_script = $4
+       WHERE id = $5`,
       [
         `/audio/${audioFilename}`,
         expiresAt,
         'completed',
+        JSON.stringify(scriptLines),
         notebookId
       ]
     );
@@ -256,7 +267,12 @@ El guión debe tener entre 5-7 minutos de duración (aproximadamente 750-1000 pa
       'UPDATE notebooks SET audio_overview_generation_status = $1 WHERE id = $2',
       ['failed', notebookId]
     );
+    
+    // Propagar el error para que la cola de trabajos pueda reintentar
+    throw error;
   }
 }
 
+registerJobHandler('generate_audio_overview', ({ notebookId }) => generateAudioOverview(notebookId));
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,9 @@
 const express = require('express');
 const { pool } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
-const { generateChatResponse } = require('../services/llmService');
+const { generateChatResponse, streamChatResponse } = require('../services/llmService');
 const { searchDocuments } = require('../services/vectorService');
+const { CITATION_INSTRUCTIONS, buildNumberedContext, processResponseWithCitations, getResponseText } = require('../services/citationService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -10,8 +11,8 @@ const router = express.Router();
 // Middleware de autenticación para todas las rutas
 router.use(authenticateToken);
 
-// Obtener historial de chat para un cuaderno
-router.get('/history/:notebookId', async (req, res) => {
+// Obtener las conversaciones de un cuaderno
+router.get('/sessions/notebook/:notebookId', async (req, res) => {
   try {
     const { notebookId } = req.params;
     
@@ -25,28 +26,25 @@ router.get('/history/:notebookId', async (req, res) => {
       return res.status(404).json({ error: 'Cuaderno no encontrado' });
     }
     
-    // Obtener mensajes
-    const result = await pool.query(
-      'SELECT * FROM chat_histories WHERE session_id = $1 ORDER BY id ASC',
-      [notebookId]
-    );
+    const result = await pool.query(`
+      SELECT cs.*, (SELECT COUNT(*) FROM chat_histories ch WHERE ch.session_id = cs.id)::int as message_count
+      FROM chat_sessions cs
+      WHERE cs.notebook_id = $1
+      ORDER BY cs.updated_at DESC
+    `, [notebookId]);
     
     res.json(result.rows);
   } catch (error) {
-    logger.error('Error al obtener historial de chat:', error);
+    logger.error('Error al obtener conversaciones:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// Enviar mensaje al chat
-router.post('/send/:notebookId', async (req, res) => {
+// Crear una conversación en un cuaderno
+router.post('/sessions/notebook/:notebookId', async (req, res) => {
   try {
     const { notebookId } = req.params;
-    const { message } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({ error: 'El mensaje es requerido' });
-    }
+    const { title } = req.body;
     
     // Verificar propiedad del cuaderno
     const notebookCheck = await pool.query(
@@ -58,64 +56,143 @@ router.post('/send/:notebookId', async (req, res) => {
       return res.status(404).json({ error: 'Cuaderno no encontrado' });
     }
     
-    // Verificar si hay fuentes procesadas
-    const sourcesCheck = await pool.query(
-      'SELECT COUNT(*) FROM sources WHERE notebook_id = $1 AND processing_status = $2',
-      [notebookId, 'completed']
+    const result = await pool.query(
+      'INSERT INTO chat_sessions (notebook_id, user_id, title) VALUES ($1, $2, $3) RETURNING *',
+      [notebookId, req.user.id, title || null]
     );
     
-    if (parseInt(sourcesCheck.rows[0].count) === 0) {
-      return res.status(400).json({ error: 'No hay fuentes procesadas en este cuaderno' });
+    res.status(201).json({ ...result.rows[0], message_count: 0 });
+  } catch (error) {
+    logger.error('Error al crear conversación:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Renombrar una conversación
+router.put('/sessions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { title } = req.body;
+    
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'El título es requerido' });
     }
     
-    // Guardar mensaje del usuario
-    const userMessageResult = await pool.query(
-      'INSERT INTO chat_histories (session_id, message) VALUES ($1, $2) RETURNING *',
-      [notebookId, { type: 'human', content: message }]
-    );
+    const session = await findSession(sessionId, req.user.id);
     
-    // Buscar documentos relevantes
-    const relevantDocs = await searchDocuments(message, notebookId);
+    if (!session) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
     
-    // Obtener historial de chat reciente (últimos 10 mensajes)
-    const historyResult = await pool.query(
-      'SELECT message FROM chat_histories WHERE session_id = $1 ORDER BY id DESC LIMIT 10',
-      [notebookId]
+    const result = await pool.query(
+      'UPDATE chat_sessions SET title = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [title.trim(), session.id]
     );
     
-    const chatHistory = historyResult.rows.map(row => row.message).reverse();
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error al renombrar conversación:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar una conversación y sus mensajes
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = await findSession(sessionId, req.user.id);
     
-    // Construir prompt con contexto
-    const context = relevantDocs.map(doc => doc.content).join('\n\n');
+    if (!session) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
     
-    const systemMessage = {
-      role: 'system',
-      content: `Eres un asistente de investigación útil y preciso. Responde a las preguntas basándote ÚNICAMENTE en la información proporcionada en el contexto. Si la información no está en el contexto, di "Lo siento, no tengo información sobre eso en mis fuentes." No inventes información.
+    await pool.query('DELETE FROM chat_histories WHERE session_id = $1', [session.id]);
+    await pool.query('DELETE FROM chat_sessions WHERE id = $1', [session.id]);
+    
+    res.json({ message: 'Conversación eliminada exitosamente' });
+  } catch (error) {
+    logger.error('Error al eliminar conversación:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
 
-Contexto:
-${context}`
-    };
+// Obtener historial de una conversación
+router.get('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = await findSession(sessionId, req.user.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    
+    // Obtener mensajes
+    const result = await pool.query(
+      'SELECT * FROM chat_histories WHERE session_id = $1 ORDER BY id ASC',
+      [session.id]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Error al obtener historial de chat:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Enviar mensaje a una conversación
+router.post('/send/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { message } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({ error: 'El mensaje es requerido' });
+    }
+    
+    const session = await findSession(sessionId, req.user.id, { create: true });
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    
+    const precondition = await checkChatPreconditions(session.notebook_id);
+    
+    if (precondition) {
+      return res.status(precondition.status).json({ error: precondition.error });
+    }
+    
+    const { messages, relevantDocs } = await buildChatMessages(session, message);
+    
+    // Guardar mensaje del usuario
+    const userMessageResult = await saveChatMessage(session.id, { type: 'human', content: message });
+    
+    // Titular la conversación en paralelo a la respuesta si aún no tiene título
+    const titlePromise = titleSessionIfNeeded(session, message);
     
     // Generar respuesta
-    const aiResponse = await generateChatResponse([systemMessage, ...chatHistory, { role: 'user', content: message }]);
+    const aiResponse = await generateChatResponse(messages, {
+      task: 'chat',
+      notebookId: session.notebook_id,
+      userId: req.user.id
+    });
     
     // Procesar respuesta para incluir citas
-    const processedResponse = processResponseWithCitations(aiResponse.text, relevantDocs);
+    const processedResponse = await processResponseWithCitations(aiResponse.text, relevantDocs);
     
     // Guardar respuesta del asistente
-    const assistantMessageResult = await pool.query(
-      'INSERT INTO chat_histories (session_id, message) VALUES ($1, $2) RETURNING *',
-      [notebookId, { 
-        type: 'ai', 
-        content: JSON.stringify(processedResponse),
-        provider: aiResponse.provider,
-        model: aiResponse.model
-      }]
-    );
+    const assistantMessageResult = await saveChatMessage(session.id, {
+      type: 'ai', 
+      content: JSON.stringify(processedResponse),
+      provider: aiResponse.provider,
+      model: aiResponse.model
+    });
     
     res.json({
-      userMessage: userMessageResult.rows[0],
-      aiMessage: assistantMessageResult.rows[0]
+      userMessage: userMessageResult,
+      aiMessage: assistantMessageResult,
+      session: await titlePromise
     });
   } catch (error) {
     logger.error('Error al enviar mensaje:', error);
@@ -123,25 +200,117 @@ ${context}`
   }
 });
 
-// Borrar historial de chat
-router.delete('/history/:notebookId', async (req, res) => {
+// Enviar mensaje a una conversación recibiendo la respuesta en streaming (Server-Sent Events)
+// Eventos: "token" con cada fragmento, "done" con la respuesta procesada y "error"
+router.post('/stream/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+  const { message } = req.body;
+  
+  if (!message) {
+    return res.status(400).json({ error: 'El mensaje es requerido' });
+  }
+  
+  // Cancelar la petición al proveedor si el cliente se desconecta
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  
   try {
-    const { notebookId } = req.params;
+    const session = await findSession(sessionId, req.user.id, { create: true });
     
-    // Verificar propiedad del cuaderno
-    const notebookCheck = await pool.query(
-      'SELECT id FROM notebooks WHERE id = $1 AND user_id = $2',
-      [notebookId, req.user.id]
-    );
+    if (!session) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
     
-    if (notebookCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Cuaderno no encontrado' });
+    const precondition = await checkChatPreconditions(session.notebook_id);
+    
+    if (precondition) {
+      return res.status(precondition.status).json({ error: precondition.error });
+    }
+    
+    const { messages, relevantDocs } = await buildChatMessages(session, message);
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // Guardar mensaje del usuario
+    const userMessageResult = await saveChatMessage(session.id, { type: 'human', content: message });
+    
+    // Titular la conversación en paralelo a la respuesta si aún no tiene título
+    const titlePromise = titleSessionIfNeeded(session, message);
+    
+    // Generar respuesta enviando cada fragmento al cliente
+    const aiResponse = await streamChatResponse(messages, {
+      signal: controller.signal,
+      task: 'chat',
+      notebookId: session.notebook_id,
+      userId: req.user.id
+    }, token => {
+      sendEvent(res, 'token', { text: token });
+    });
+    
+    if (controller.signal.aborted) {
+      return;
+    }
+    
+    // Procesar respuesta para incluir citas
+    const processedResponse = await processResponseWithCitations(aiResponse.text, relevantDocs);
+    
+    // Guardar respuesta del asistente
+    const assistantMessageResult = await saveChatMessage(session.id, {
+      type: 'ai',
+      content: JSON.stringify(processedResponse),
+      provider: aiResponse.provider,
+      model: aiResponse.model
+    });
+    
+    sendEvent(res, 'done', {
+      userMessage: userMessageResult,
+      aiMessage: assistantMessageResult,
+      session: await titlePromise,
+      ...processedResponse
+    });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`Cliente desconectado durante el streaming de la conversación ${sessionId}`);
+      return;
+    }
+    
+    logger.error('Error al enviar mensaje en streaming:', error);
+    
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+    
+    sendEvent(res, 'error', { error: 'Error interno del servidor' });
+    res.end();
+  }
+});
+
+// Borrar historial de una conversación
+router.delete('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = await findSession(sessionId, req.user.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
     }
     
     // Eliminar mensajes
     await pool.query(
       'DELETE FROM chat_histories WHERE session_id = $1',
-      [notebookId]
+      [session.id]
     );
     
     res.json({ message: 'Historial de chat eliminado exitosamente' });
@@ -151,49 +320,141 @@ router.delete('/history/:notebookId', async (req, res) => {
   }
 });
 
-// Función para procesar respuesta y añadir citas
-function processResponseWithCitations(text, relevantDocs) {
-  // Dividir la respuesta en segmentos
-  const segments = [];
-  const citations = [];
-  
-  // Simplemente dividimos por párrafos para este ejemplo
-  // En una implementación real, se usaría un algoritmo más sofisticado
-  const paragraphs = text.split('\n\n').filter(p => p.trim());
-  
-  paragraphs.forEach((paragraph, index) => {
-    // Encontrar la fuente más relevante para este párrafo
-    const mostRelevantDoc = relevantDocs[index % relevantDocs.length];
-    
-    if (mostRelevantDoc) {
-      const citationId = index + 1;
-      
-      segments.push({
-        text: paragraph,
-        citation_id: citationId
-      });
-      
-      citations.push({
-        citation_id: citationId,
-        source_id: mostRelevantDoc.metadata.source_id,
-        source_title: mostRelevantDoc.metadata.source_title || 'Fuente desconocida',
-        source_type: mostRelevantDoc.metadata.source_type || 'text',
-        chunk_index: mostRelevantDoc.id,
-        chunk_lines_from: 1,
-        chunk_lines_to: paragraph.split('\n').length,
-        excerpt: mostRelevantDoc.content.substring(0, 200) + '...'
-      });
-    } else {
-      segments.push({
-        text: paragraph
-      });
-    }
-  });
+// Función para obtener una conversación del usuario. Con options.create (solo al enviar mensajes),
+// un id de cuaderno sin conversación crea la suya: antes la sesión era el propio cuaderno
+async function findSession(sessionId, userId, options = {}) {
+  const result = await pool.query(`
+    SELECT cs.*
+    FROM chat_sessions cs
+    JOIN notebooks n ON cs.notebook_id = n.id
+    WHERE cs.id = $1 AND n.user_id = $2
+  `, [sessionId, userId]);
+  
+  if (result.rows.length > 0 || !options.create) {
+    return result.rows[0] || null;
+  }
+  
+  const notebookResult = await pool.query(`
+    INSERT INTO chat_sessions (id, notebook_id, user_id)
+    SELECT id, id, user_id FROM notebooks WHERE id = $1 AND user_id = $2
+    ON CONFLICT (id) DO NOTHING
+    RETURNING *
+  `, [sessionId, userId]);
+  
+  return notebookResult.rows[0] || null;
+}
+
+// Función para comprobar que el cuaderno tiene fuentes procesadas
+async function checkChatPreconditions(notebookId) {
+  // Verificar si hay fuentes procesadas
+  const sourcesCheck = await pool.query(
+    'SELECT COUNT(*) FROM sources WHERE notebook_id = $1 AND processing_status = $2',
+    [notebookId, 'completed']
+  );
+  
+  if (parseInt(sourcesCheck.rows[0].count) === 0) {
+    return { status: 400, error: 'No hay fuentes procesadas en este cuaderno' };
+  }
+  
+  return null;
+}
+
+// Función para construir los mensajes enviados al modelo: contexto, historial y pregunta
+async function buildChatMessages(session, message) {
+  // Buscar documentos relevantes
+  const relevantDocs = await searchDocuments(message, session.notebook_id);
+  
+  // Obtener historial de chat reciente (últimos 10 mensajes)
+  const historyResult = await pool.query(
+    'SELECT message FROM chat_histories WHERE session_id = $1 ORDER BY id DESC LIMIT 10',
+    [session.id]
+  );
+  
+  const chatHistory = historyResult.rows.reverse().map(row => ({
+    role: row.message.type === 'human' ? 'user' : 'assistant',
+    content: row.message.type === 'ai' ? getResponseText(row.message.content) : row.message.content
+  }));
+  
+  // Construir prompt con contexto numerado para que el modelo cite los fragmentos
+  const context = buildNumberedContext(relevantDocs);
+  
+  const systemMessage = {
+    role: 'system',
+    content: `Eres un asistente de investigación útil y preciso. Responde a las preguntas basándote ÚNICAMENTE en la información proporcionada en el contexto. Si la información no está en el contexto, di "Lo siento, no tengo información sobre eso en mis fuentes." No inventes información.
+
+${CITATION_INSTRUCTIONS}
+
+Contexto:
+${context}`
+  };
   
   return {
-    segments,
-    citations
+    messages: [systemMessage, ...chatHistory, { role: 'user', content: message }],
+    relevantDocs
   };
 }
 
+// Función para guardar un mensaje en el historial
+async function saveChatMessage(sessionId, message) {
+  const result = await pool.query(
+    'INSERT INTO chat_histories (session_id, message) VALUES ($1, $2) RETURNING *',
+    [sessionId, message]
+  );
+  
+  await pool.query('UPDATE chat_sessions SET updated_at = NOW() WHERE id = $1', [sessionId]);
+  
+  return result.rows[0];
+}
+
+// Función para generar el título de una conversación a partir de su primer mensaje
+async function titleSessionIfNeeded(session, message) {
+  if (session.title) {
+    return session;
+  }
+  
+  let title;
+  
+  try {
+    const response = await generateChatResponse([
+      {
+        role: 'system',
+        content: 'Genera un título breve (máximo 6 palabras) para una conversación que empieza con el siguiente mensaje. Responde solo con el título, sin comillas ni puntuación final.'
+      },
+      { role: 'user', content: message }
+    ], {
+      max_tokens: 30,
+      temperature: 0.3,
+      task: 'summary',
+      notebookId: session.notebook_id,
+      userId: session.user_id
+    });
+    
+    title = response.text.trim().split('\n')[0].replace(/^["'«]+|["'».]+$/g, '').substring(0, 100);
+  } catch (error) {
+    logger.warn(`No se pudo generar el título de la conversación ${session.id}: ${error.message}`);
+  }
+  
+  // Sin título generado, usar el comienzo del mensaje
+  if (!title) {
+    title = message.length > 50 ? `${message.substring(0, 50)}...` : message;
+  }
+  
+  try {
+    const result = await pool.query(
+      'UPDATE chat_sessions SET title = $1 WHERE id = $2 AND title IS NULL RETURNING *',
+      [title, session.id]
+    );
+    
+    return result.rows[0] || session;
+  } catch (error) {
+    logger.error('Error al guardar el título de la conversación:', error);
+    return session;
+  }
+}
+
+// Función para enviar un evento SSE
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 module.exports = router;
\ No newline at end of file
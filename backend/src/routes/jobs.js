@@ -0,0 +1,43 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { getJob } = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Middleware de autenticación para todas las rutas
+router.use(authenticateToken);
+
+// Obtener el estado de un trabajo
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const job = await getJob(id);
+    
+    // Verificar propiedad del trabajo
+    if (!job || (job.user_id !== req.user.id && !req.user.isAdmin)) {
+      return res.status(404).json({ error: 'Trabajo no encontrado' });
+    }
+    
+    res.json({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      last_error: job.last_error,
+      progress: job.progress,
+      run_at: job.run_at,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      created_at: job.created_at,
+      updated_at: job.updated_at
+    });
+  } catch (error) {
+    logger.error('Error al obtener trabajo:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,11 @@
 const express = require('express');
 const { pool } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
-const { deleteDocumentsByNotebookId } = require('../services/vectorService');
+const { deleteDocumentsByNotebookId, updateNotebookSearchLanguage, isValidSearchLanguage } = require('../services/vectorService');
+const { generateChatResponse } = require('../services/llmService');
+const { registerJobHandler, enqueueJob } = require('../services/jobQueue');
+const { enqueueNotebookReindex } = require('../services/documentProcessor');
+const { validateChunkingOptions } = require('../services/chunkingService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -40,6 +44,23 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Obtener los modelos que el administrador permite elegir para el chat de un cuaderno
+router.get('/models', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, provider, model
+      FROM llm_configs
+      WHERE is_active = true AND config_type = 'llm' AND user_selectable = true
+      ORDER BY is_default DESC, priority ASC, name ASC
+    `);
+    
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Error al obtener modelos disponibles:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // Obtener un cuaderno específico
 router.get('/:id', async (req, res) => {
   try {
@@ -86,11 +107,11 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, icon, color } = req.body;
+    const { title, description, icon, color, search_language, chunking_strategy, chunk_size, chunk_overlap, llm_config_id } = req.body;
     
     // Verificar propiedad
     const checkResult = await pool.query(
-      'SELECT id FROM notebooks WHERE id = $1 AND user_id = $2',
+      'SELECT id, search_language, chunk_size FROM notebooks WHERE id = $1 AND user_id = $2',
       [id, req.user.id]
     );
     
@@ -98,6 +119,32 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Cuaderno no encontrado' });
     }
     
+    if (search_language !== undefined && !(await isValidSearchLanguage(search_language))) {
+      return res.status(400).json({ error: `Idioma de búsqueda no válido: ${search_language}` });
+    }
+    
+    // Los cambios de fragmentación se aplican al procesar o reindexar las fuentes
+    const chunkingError = validateChunkingOptions(
+      { chunking_strategy, chunk_size, chunk_overlap },
+      checkResult.rows[0].chunk_size
+    );
+    
+    if (chunkingError) {
+      return res.status(400).json({ error: chunkingError });
+    }
+    
+    // El modelo del cuaderno debe estar entre los que el administrador permite elegir (null = el del chat)
+    if (llm_config_id) {
+      const modelCheck = await pool.query(
+        `SELECT id FROM llm_configs WHERE id = $1 AND is_active = true AND config_type = 'llm' AND user_selectable = true`,
+        [llm_config_id]
+      );
+      
+      if (modelCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Modelo no disponible' });
+      }
+    }
+    
     // Construir consulta dinámica
     let query = 'UPDATE notebooks SET ';
     const values = [];
@@ -123,6 +170,31 @@ router.put('/:id', async (req, res) => {
       updateFields.push(`color = $${values.length}`);
     }
     
+    if (search_language !== undefined) {
+      values.push(search_language);
+      updateFields.push(`search_language = $${values.length}`);
+    }
+    
+    if (chunking_strategy !== undefined) {
+      values.push(chunking_strategy);
+      updateFields.push(`chunking_strategy = $${values.length}`);
+    }
+    
+    if (chunk_size !== undefined) {
+      values.push(chunk_size);
+      updateFields.push(`chunk_size = $${values.length}`);
+    }
+    
+    if (chunk_overlap !== undefined) {
+      values.push(chunk_overlap);
+      updateFields.push(`chunk_overlap = $${values.length}`);
+    }
+    
+    if (llm_config_id !== undefined) {
+      values.push(llm_config_id || null);
+      updateFields.push(`llm_config_id = $${values.length}`);
+    }
+    
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No se proporcionaron campos para actualizar' });
     }
@@ -133,6 +205,11 @@ router.put('/:id', async (req, res) => {
     
     const result = await pool.query(query, values);
     
+    // Recalcular el índice de texto completo si cambió el idioma
+    if (search_language !== undefined && search_language !== checkResult.rows[0].search_language) {
+      await updateNotebookSearchLanguage(id, search_language);
+    }
+    
     res.json(result.rows[0]);
   } catch (error) {
     logger.error('Error al actualizar cuaderno:', error);
@@ -158,6 +235,12 @@ router.delete('/:id', async (req, res) => {
     // Eliminar documentos vectoriales asociados
     await deleteDocumentsByNotebookId(id);
     
+    // Eliminar mensajes de sus conversaciones (chat_histories no tiene clave foránea)
+    await pool.query(
+      'DELETE FROM chat_histories WHERE session_id IN (SELECT id FROM chat_sessions WHERE notebook_id = $1)',
+      [id]
+    );
+    
     // Eliminar cuaderno (las fuentes, notas y chat se eliminarán en cascada)
     await pool.query('DELETE FROM notebooks WHERE id = $1', [id]);
     
@@ -189,20 +272,49 @@ router.post('/:id/generate', async (req, res) => {
       ['generating', id]
     );
     
-    // Iniciar generación en segundo plano
-    generateNotebookContent(id)
-      .catch(error => logger.error('Error en generación de cuaderno:', error));
+    // Encolar generación en segundo plano
+    const job = await enqueueJob('generate_notebook_content', { notebookId: id }, { userId: req.user.id });
     
-    res.json({ message: 'Generación de contenido iniciada' });
+    res.json({ message: 'Generación de contenido iniciada', jobId: job.id });
   } catch (error) {
     logger.error('Error al iniciar generación de cuaderno:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+// Reprocesar todas las fuentes de un cuaderno (el progreso se consulta en /jobs/:id)
+router.post('/:id/reindex', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Verificar propiedad
+    const checkResult = await pool.query(
+      'SELECT id FROM notebooks WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+    
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Cuaderno no encontrado' });
+    }
+    
+    const job = await enqueueNotebookReindex(id, req.user.id);
+    
+    res.json({ message: 'Reindexación del cuaderno iniciada', jobId: job.id });
+  } catch (error) {
+    logger.error('Error al iniciar reindexación de cuaderno:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // Función para generar contenido del cuaderno
 async function generateNotebookContent(notebookId) {
   try {
+    // Marcar como en generación (también al reintentar o reanudar)
+    await pool.query(
+      'UPDATE notebooks SET generation_status = $1 WHERE id = $2',
+      ['generating', notebookId]
+    );
+    
     // Obtener fuentes del cuaderno
     const sourcesResult = await pool.query(
       'SELECT content, summary FROM sources WHERE notebook_id = $1 AND processing_status = $2 LIMIT 5',
@@ -224,8 +336,6 @@ async function generateNotebookContent(notebookId) {
       .join('\n\n');
     
     // Generar título y descripción usando LLM
-    const { generateChatResponse } = require('./llmService');
-    
     const systemPrompt = {
       role: 'system',
       content: `Basado en el contenido proporcionado, genera un título apropiado y un resumen del documento. 
@@ -242,7 +352,7 @@ async function generateNotebookContent(notebookId) {
       content: sourceContent
     };
     
-    const response = await generateChatResponse([systemPrompt, userPrompt]);
+    const response = await generateChatResponse([systemPrompt, userPrompt], { task: 'notebook_details', notebookId });
     
     // Parsear respuesta JSON
     const jsonMatch = response.text.match(/```json\n([\s\S]*)\n```/) || 
@@ -288,7 +398,12 @@ async function generateNotebookContent(notebookId) {
       'UPDATE notebooks SET generation_status = $1 WHERE id = $2',
       ['failed', notebookId]
     );
+    
+    // Propagar el error para que la cola de trabajos pueda reintentar
+    throw error;
   }
 }
 
+registerJobHandler('generate_notebook_content', ({ notebookId }) => generateNotebookContent(notebookId));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,391 @@
+const express = require('express');
+const { pool } = require('../database/init');
+const { authenticateToken } = require('../middleware/auth');
+const { generateChatResponse } = require('../services/llmService');
+const { getResponseText } = require('../services/citationService');
+const { enqueueDocumentProcessing } = require('../services/documentProcessor');
+const { deleteDocumentsBySourceId, updateDocumentsSourceTitle } = require('../services/vectorService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const NOTE_SOURCE_TYPES = ['user', 'ai_response'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Middleware de autenticación para todas las rutas
+router.use(authenticateToken);
+
+// Obtener las notas de un cuaderno (paginadas)
+router.get('/notebook/:notebookId', async (req, res) => {
+  try {
+    const { notebookId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    
+    // Verificar propiedad del cuaderno
+    const notebookCheck = await pool.query(
+      'SELECT id FROM notebooks WHERE id = $1 AND user_id = $2',
+      [notebookId, req.user.id]
+    );
+    
+    if (notebookCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Cuaderno no encontrado' });
+    }
+    
+    const [notesResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT nt.*, s.id as source_id
+         FROM notes nt
+         LEFT JOIN sources s ON s.note_id = nt.id
+         WHERE nt.notebook_id = $1
+         ORDER BY nt.updated_at DESC
+         LIMIT $2 OFFSET $3`,
+        [notebookId, limit, (page - 1) * limit]
+      ),
+      pool.query('SELECT COUNT(*) FROM notes WHERE notebook_id = $1', [notebookId])
+    ]);
+    
+    const total = parseInt(countResult.rows[0].count);
+    
+    res.json({
+      notes: notesResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener notas:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Generar un título para un contenido (equivalente a la función generate-note-title)
+router.post('/generate-title', async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    if (!content) {
+      return res.status(400).json({ error: 'El contenido es requerido' });
+    }
+    
+    const title = await generateNoteTitle(content, { userId: req.user.id });
+    
+    res.json({ title });
+  } catch (error) {
+    logger.error('Error al generar título de nota:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Guardar una respuesta del asistente como nota, conservando sus citas
+router.post('/from-message/:messageId', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    
+    // Verificar que el mensaje pertenece a una conversación del usuario
+    const messageResult = await pool.query(`
+      SELECT ch.message, cs.notebook_id
+      FROM chat_histories ch
+      JOIN chat_sessions cs ON ch.session_id = cs.id
+      JOIN notebooks n ON cs.notebook_id = n.id
+      WHERE ch.id = $1 AND n.user_id = $2
+    `, [messageId, req.user.id]);
+    
+    if (messageResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Mensaje no encontrado' });
+    }
+    
+    const { message, notebook_id } = messageResult.rows[0];
+    
+    if (message.type !== 'ai') {
+      return res.status(400).json({ error: 'Solo se pueden guardar respuestas del asistente' });
+    }
+    
+    const text = getResponseText(message.content);
+    const title = await generateNoteTitle(text, { userId: req.user.id, notebookId: notebook_id });
+    
+    const result = await pool.query(`
+      INSERT INTO notes (notebook_id, title, content, source_type, extracted_text)
+      VALUES ($1, $2, $3, 'ai_response', $4)
+      RETURNING *
+    `, [notebook_id, title, message.content, text]);
+    
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error al guardar respuesta como nota:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Obtener una nota
+router.get('/:id', async (req, res) => {
+  try {
+    const note = await findNote(req.params.id, req.user.id);
+    
+    if (!note) {
+      return res.status(404).json({ error: 'Nota no encontrada' });
+    }
+    
+    res.json(note);
+  } catch (error) {
+    logger.error('Error al obtener nota:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Crear una nota
+router.post('/', async (req, res) => {
+  try {
+    const { notebook_id, title, content, source_type = 'user', extracted_text } = req.body;
+    
+    if (!notebook_id || !content) {
+      return res.status(400).json({ error: 'El cuaderno y el contenido son requeridos' });
+    }
+    
+    if (!NOTE_SOURCE_TYPES.includes(source_type)) {
+      return res.status(400).json({ error: `Tipo de nota no válido: ${source_type}` });
+    }
+    
+    // Verificar propiedad del cuaderno
+    const notebookCheck = await pool.query(
+      'SELECT id FROM notebooks WHERE id = $1 AND user_id = $2',
+      [notebook_id, req.user.id]
+    );
+    
+    if (notebookCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Cuaderno no encontrado' });
+    }
+    
+    // Las respuestas del asistente guardan el texto plano para vistas previas y búsquedas
+    const noteText = source_type === 'ai_response' ? getResponseText(content) : content;
+    const noteTitle = title || await generateNoteTitle(noteText, { userId: req.user.id, notebookId: notebook_id });
+    
+    const result = await pool.query(`
+      INSERT INTO notes (notebook_id, title, content, source_type, extracted_text)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      notebook_id,
+      noteTitle,
+      content,
+      source_type,
+      extracted_text || (source_type === 'ai_response' ? noteText : null)
+    ]);
+    
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error al crear nota:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Convertir una nota en fuente del cuaderno para usarla como contexto del chat
+router.post('/:id/source', async (req, res) => {
+  try {
+    const note = await findNote(req.params.id, req.user.id);
+    
+    if (!note) {
+      return res.status(404).json({ error: 'Nota no encontrada' });
+    }
+    
+    const existing = await pool.query('SELECT id FROM sources WHERE note_id = $1', [note.id]);
+    
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'La nota ya es una fuente', source_id: existing.rows[0].id });
+    }
+    
+    const content = getNoteText(note);
+    
+    // Crear registro de fuente
+    const result = await pool.query(`
+      INSERT INTO sources (
+        notebook_id, title, type, content, 
+        processing_status, metadata, note_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      note.notebook_id,
+      note.title,
+      'text',
+      content,
+      'processing',
+      {
+        characterCount: content.length,
+        dateAdded: new Date().toISOString(),
+        noteSourceType: note.source_type
+      },
+      note.id
+    ]);
+    
+    const source = result.rows[0];
+    
+    // Encolar procesamiento en segundo plano
+    const job = await enqueueDocumentProcessing(source.id, req.user.id);
+    
+    res.status(201).json({ ...source, job_id: job.id });
+  } catch (error) {
+    logger.error('Error al convertir nota en fuente:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Actualizar una nota
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, content } = req.body;
+    
+    const note = await findNote(id, req.user.id);
+    
+    if (!note) {
+      return res.status(404).json({ error: 'Nota no encontrada' });
+    }
+    
+    // El contenido de las respuestas del asistente incluye sus citas y no se edita
+    if (content !== undefined && note.source_type === 'ai_response' && content !== note.content) {
+      return res.status(400).json({ error: 'El contenido de una respuesta guardada no se puede editar' });
+    }
+    
+    // Construir consulta dinámica
+    const values = [];
+    const updateFields = [];
+    
+    if (title !== undefined) {
+      values.push(title);
+      updateFields.push(`title = $${values.length}`);
+    }
+    
+    if (content !== undefined) {
+      values.push(content);
+      updateFields.push(`content = $${values.length}`);
+    }
+    
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No se proporcionaron campos para actualizar' });
+    }
+    
+    values.push(id);
+    
+    const result = await pool.query(
+      `UPDATE notes SET ${updateFields.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    
+    const updatedNote = result.rows[0];
+    
+    if (getNoteText(updatedNote) !== getNoteText(note)) {
+      // Reindexar la fuente derivada de la nota
+      const sourceResult = await pool.query(`
+        UPDATE sources
+        SET title = $1, content = $2, processing_status = 'processing',
+            metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('characterCount', length($2))
+        WHERE note_id = $3
+        RETURNING id
+      `, [updatedNote.title, getNoteText(updatedNote), updatedNote.id]);
+      
+      if (sourceResult.rows.length > 0) {
+        await enqueueDocumentProcessing(sourceResult.rows[0].id, req.user.id);
+      }
+    } else if (updatedNote.title !== note.title) {
+      // Con el mismo contenido basta con renombrar la fuente y sus fragmentos
+      const sourceResult = await pool.query(
+        'UPDATE sources SET title = $1 WHERE note_id = $2 RETURNING id',
+        [updatedNote.title, updatedNote.id]
+      );
+      
+      for (const source of sourceResult.rows) {
+        await updateDocumentsSourceTitle(source.id, updatedNote.title);
+      }
+    }
+    
+    res.json(updatedNote);
+  } catch (error) {
+    logger.error('Error al actualizar nota:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Eliminar una nota
+router.delete('/:id', async (req, res) => {
+  try {
+    const note = await findNote(req.params.id, req.user.id);
+    
+    if (!note) {
+      return res.status(404).json({ error: 'Nota no encontrada' });
+    }
+    
+    // Eliminar la fuente derivada de la nota y después sus documentos vectoriales: el borrado
+    // espera a un reindexado en curso, que ya no guarda fragmentos si la fuente no existe
+    const sourceResult = await pool.query('DELETE FROM sources WHERE note_id = $1 RETURNING id', [note.id]);
+    
+    for (const source of sourceResult.rows) {
+      await deleteDocumentsBySourceId(source.id);
+    }
+    
+    await pool.query('DELETE FROM notes WHERE id = $1', [note.id]);
+    
+    res.json({ message: 'Nota eliminada exitosamente' });
+  } catch (error) {
+    logger.error('Error al eliminar nota:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Función para obtener una nota verificando la propiedad de su cuaderno
+async function findNote(noteId, userId) {
+  const result = await pool.query(`
+    SELECT nt.*
+    FROM notes nt
+    JOIN notebooks n ON nt.notebook_id = n.id
+    WHERE nt.id = $1 AND n.user_id = $2
+  `, [noteId, userId]);
+  
+  return result.rows[0] || null;
+}
+
+// Función para obtener el texto indexable de una nota
+function getNoteText(note) {
+  if (note.source_type === 'ai_response') {
+    return note.extracted_text || getResponseText(note.content);
+  }
+  
+  return note.content;
+}
+
+// Función para generar un título breve para una nota (options: userId y notebookId del consumo)
+async function generateNoteTitle(text, options = {}) {
+  // Truncar el contenido para no exceder el límite de tokens
+  const truncatedContent = text.substring(0, 1000);
+  
+  try {
+    const response = await generateChatResponse([
+      {
+        role: 'system',
+        content: 'Eres un asistente que genera títulos concisos y descriptivos. Genera un título de 5 palabras o menos que recoja el tema principal del contenido. Responde solo con el título.'
+      },
+      {
+        role: 'user',
+        content: `Genera un título de 5 palabras para este contenido: ${truncatedContent}`
+      }
+    ], { ...options, max_tokens: 20, temperature: 0.7, task: 'summary' });
+    
+    const title = response.text.trim().split('\n')[0].replace(/^["'«]+|["'»]+$/g, '');
+    
+    if (title) {
+      return title.substring(0, 255);
+    }
+  } catch (error) {
+    logger.warn(`No se pudo generar el título de la nota: ${error.message}`);
+  }
+  
+  // Sin modelo disponible, usar la primera línea del contenido
+  const firstLine = text.trim().split('\n')[0];
+  return firstLine.length > 50 ? firstLine.substring(0, 47) + '...' : firstLine || 'Nota';
+}
+
+module.exports = router;
\ No newline at end of file
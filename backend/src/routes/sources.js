@@ -5,8 +5,12 @@ const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
-const { processDocument } = require('../services/documentProcessor');
+const { enqueueDocumentProcessing, reprocessSource, enqueueWebsiteCrawl } = require('../services/documentProcessor');
 const { deleteDocumentsBySourceId } = require('../services/vectorService');
+const { findExtractor, getSupportedExtensions } = require('../services/extractorRegistry');
+const { parseHttpUrl, getCrawlOptions } = require('../services/websiteService');
+const { assertSafeUrl } = require('../services/urlSafety');
+const { parseVideoId } = require('../services/youtubeService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -26,20 +30,11 @@ const upload = multer({
   storage,
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'text/plain',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'audio/mpeg',
-      'audio/wav',
-      'audio/mp4'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Solo se aceptan los formatos que tienen un extractor registrado
+    if (findExtractor(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Tipo de archivo no soportado'));
+      cb(new Error(`Tipo de archivo no soportado. Formatos admitidos: ${getSupportedExtensions().join(', ')}`));
     }
   }
 });
@@ -120,15 +115,8 @@ router.post('/upload/:notebookId', upload.single('file'), async (req, res) => {
       return res.status(404).json({ error: 'Cuaderno no encontrado' });
     }
     
-    // Determinar tipo de fuente
-    let sourceType;
-    if (req.file.mimetype.includes('pdf')) {
-      sourceType = 'pdf';
-    } else if (req.file.mimetype.includes('audio')) {
-      sourceType = 'audio';
-    } else {
-      sourceType = 'text';
-    }
+    // Determinar tipo de fuente a partir del extractor del formato
+    const sourceType = findExtractor(req.file.originalname, req.file.mimetype).sourceType;
     
     // Crear registro de fuente
     const result = await pool.query(`
@@ -153,11 +141,10 @@ router.post('/upload/:notebookId', upload.single('file'), async (req, res) => {
     
     const source = result.rows[0];
     
-    // Iniciar procesamiento en segundo plano
-    processDocument(source.id)
-      .catch(error => logger.error('Error en procesamiento de documento:', error));
+    // Encolar procesamiento en segundo plano
+    const job = await enqueueDocumentProcessing(source.id, req.user.id);
     
-    res.status(201).json(source);
+    res.status(201).json({ ...source, job_id: job.id });
   } catch (error) {
     logger.error('Error al subir fuente:', error);
     
@@ -214,11 +201,10 @@ router.post('/text/:notebookId', async (req, res) => {
     
     const source = result.rows[0];
     
-    // Iniciar procesamiento en segundo plano
-    processDocument(source.id)
-      .catch(error => logger.error('Error en procesamiento de documento:', error));
+    // Encolar procesamiento en segundo plano
+    const job = await enqueueDocumentProcessing(source.id, req.user.id);
     
-    res.status(201).json(source);
+    res.status(201).json({ ...source, job_id: job.id });
   } catch (error) {
     logger.error('Error al añadir texto:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
@@ -250,6 +236,24 @@ router.post('/url/:notebookId', async (req, res) => {
       return res.status(400).json({ error: 'Tipo de URL no válido' });
     }
     
+    // Las páginas web las descarga el servidor: no se admiten destinos internos
+    try {
+      parseHttpUrl(url);
+      
+      if (type === 'website') {
+        await assertSafeUrl(url);
+      }
+      
+      if (type === 'youtube' && !parseVideoId(url)) {
+        return res.status(400).json({ error: 'URL de YouTube no válida' });
+      }
+    } catch (error) {
+      if (error.retryable !== false) {
+        throw error;
+      }
+      return res.status(400).json({ error: error.message });
+    }
+    
     // Crear registro de fuente
     const result = await pool.query(`
       INSERT INTO sources (
@@ -272,17 +276,60 @@ router.post('/url/:notebookId', async (req, res) => {
     
     const source = result.rows[0];
     
-    // Iniciar procesamiento en segundo plano
-    processDocument(source.id)
-      .catch(error => logger.error('Error en procesamiento de documento:', error));
+    // Encolar procesamiento en segundo plano
+    const job = await enqueueDocumentProcessing(source.id, req.user.id);
     
-    res.status(201).json(source);
+    res.status(201).json({ ...source, job_id: job.id });
   } catch (error) {
     logger.error('Error al añadir URL:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
+// Rastrear un sitio web a partir de una URL: cada página del mismo dominio se añade como fuente
+router.post('/crawl/:notebookId', async (req, res) => {
+  try {
+    const { notebookId } = req.params;
+    const { url, max_depth, max_pages } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ error: 'La URL es requerida' });
+    }
+    
+    try {
+      parseHttpUrl(url);
+      await assertSafeUrl(url);
+    } catch (error) {
+      if (error.retryable !== false) {
+        throw error;
+      }
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Verificar propiedad del cuaderno
+    const notebookCheck = await pool.query(
+      'SELECT id FROM notebooks WHERE id = $1 AND user_id = $2',
+      [notebookId, req.user.id]
+    );
+    
+    if (notebookCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Cuaderno no encontrado' });
+    }
+    
+    const crawlOptions = getCrawlOptions({ max_depth, max_pages });
+    const job = await enqueueWebsiteCrawl(notebookId, url, crawlOptions, req.user.id);
+    
+    res.status(202).json({
+      job_id: job.id,
+      max_depth: crawlOptions.maxDepth,
+      max_pages: crawlOptions.maxPages
+    });
+  } catch (error) {
+    logger.error('Error al iniciar rastreo de sitio web:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // Actualizar una fuente
 router.put('/:id', async (req, res) => {
   try {
@@ -314,6 +361,34 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Volver a procesar una fuente (p. ej. tras un fallo de extracción o un cambio de modelo)
+router.post('/:id/reprocess', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Verificar propiedad
+    const sourceCheck = await pool.query(`
+      SELECT s.id 
+      FROM sources s
+      JOIN notebooks n ON s.notebook_id = n.id
+      WHERE s.id = $1 AND n.user_id = $2
+    `, [id, req.user.id]);
+    
+    if (sourceCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Fuente no encontrada' });
+    }
+    
+    const job = await reprocessSource(id, req.user.id);
+    
+    const result = await pool.query('SELECT * FROM sources WHERE id = $1', [id]);
+    
+    res.json({ ...result.rows[0], job_id: job.id });
+  } catch (error) {
+    logger.error('Error al reprocesar fuente:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // Eliminar una fuente
 router.delete('/:id', async (req, res) => {
   try {
@@ -343,12 +418,12 @@ router.delete('/:id', async (req, res) => {
       }
     }
     
+    // Eliminar fuente (espera a un procesamiento que esté guardando sus fragmentos)
+    await pool.query('DELETE FROM sources WHERE id = $1', [id]);
+    
     // Eliminar documentos vectoriales asociados
     await deleteDocumentsBySourceId(id);
     
-    // Eliminar fuente
-    await pool.query('DELETE FROM sources WHERE id = $1', [id]);
-    
     res.json({ message: 'Fuente eliminada exitosamente' });
   } catch (error) {
     logger.error('Error al eliminar fuente:', error);
@@ -5,21 +5,15 @@ const morgan = require('morgan');
 const dotenv = require('dotenv');
 const path = require('path');
 const { initializeDatabase } = require('./database/init');
+const { startJobWorker } = require('./services/jobQueue');
 const logger = require('./utils/logger');
 const fs = require('fs');
 
 // Cargar variables de entorno
 dotenv.config();
 
-// Crear directorios necesarios si no existen
-const dirs = ['uploads', 'audio', 'logs'];
-dirs.forEach(dir => {
-  const dirPath = path.join(__dirname, '..', dir);
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-    logger.info(`Directorio creado: ${dirPath}`);
-  }
-});
+// Directorios de datos, relativos al directorio de trabajo como los que usan multer y el audio generado
+const DATA_DIRS = ['uploads', 'audio', 'logs'];
 
 // Inicializar Express
 const app = express();
@@ -35,8 +29,21 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Servir archivos estáticos
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-app.use('/audio', express.static(path.join(__dirname, '../audio')));
+// Los PDF se abren incrustados en el visor de fuentes del frontend, que se sirve desde otro origen;
+// el resto de archivos subidos solo se descarga, para que el navegador no los interprete
+app.use('/uploads', (req, res, next) => {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  
+  if (path.extname(req.path).toLowerCase() === '.pdf') {
+    res.removeHeader('X-Frame-Options');
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  } else {
+    res.setHeader('Content-Disposition', 'attachment');
+  }
+  
+  next();
+}, express.static(path.resolve('uploads')));
+app.use('/audio', express.static(path.resolve('audio')));
 
 // Rutas
 const authRoutes = require('./routes/auth');
@@ -45,6 +52,8 @@ const sourcesRoutes = require('./routes/sources');
 const chatRoutes = require('./routes/chat');
 const audioRoutes = require('./routes/audio');
 const adminRoutes = require('./routes/admin');
+const jobsRoutes = require('./routes/jobs');
+const notesRoutes = require('./routes/notes');
 
 // Montar rutas - Eliminar el prefijo /api para que coincida con el frontend
 app.use('/auth', authRoutes);
@@ -53,6 +62,8 @@ app.use('/sources', sourcesRoutes);
 app.use('/chat', chatRoutes);
 app.use('/audio', audioRoutes);
 app.use('/admin', adminRoutes);
+app.use('/jobs', jobsRoutes);
+app.use('/notes', notesRoutes);
 
 // Ruta de estado
 app.get('/status', (req, res) => {
@@ -68,9 +79,21 @@ app.use((err, req, res, next) => {
 // Iniciar el servidor
 const startServer = async () => {
   try {
+    // Crear directorios necesarios si no existen
+    DATA_DIRS.forEach(dir => {
+      const dirPath = path.resolve(dir);
+      if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+        logger.info(`Directorio creado: ${dirPath}`);
+      }
+    });
+    
     // Inicializar la base de datos
     await initializeDatabase();
     
+    // Iniciar el worker de trabajos (reanuda los trabajos interrumpidos)
+    await startJobWorker();
+    
     app.listen(PORT, () => {
       logger.info(`Servidor iniciado en http://localhost:${PORT}`);
     });
@@ -80,4 +103,9 @@ const startServer = async () => {
   }
 };
 
-startServer();
\ No newline at end of file
+// Solo se arranca al ejecutar este archivo; las pruebas importan la app sin iniciar el servidor
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Función para normalizar audio a WAV mono (16 kHz por defecto, formato esperado por Whisper)
+function normalizeAudio(inputPath, outputPath, sampleRate = 16000) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+// Función para obtener la duración de un archivo de audio en segundos
+function getAudioDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (error, metadata) => {
+      if (error) return reject(error);
+      resolve(parseFloat(metadata.format.duration) || 0);
+    });
+  });
+}
+
+// Función para dividir un audio en segmentos de duración fija
+async function splitAudio(inputPath, outputDir, segmentSeconds) {
+  await new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions([
+        '-f', 'segment',
+        '-segment_time', String(segmentSeconds),
+        '-c', 'copy'
+      ])
+      .on('end', resolve)
+      .on('error', reject)
+      .save(path.join(outputDir, 'segment_%03d.wav'));
+  });
+  
+  const files = await fs.readdir(outputDir);
+  
+  return files
+    .filter(file => file.startsWith('segment_'))
+    .sort()
+    .map(file => path.join(outputDir, file));
+}
+
+// Función para generar audio sintético (silencio o tono) con la fuente lavfi de ffmpeg
+function generateLavfiAudio(source, outputPath, sampleRate) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(source)
+      .inputFormat('lavfi')
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+// Función para generar un silencio de la duración indicada
+function generateSilence(outputPath, seconds, sampleRate = 24000) {
+  return generateLavfiAudio(`anullsrc=r=${sampleRate}:cl=mono:d=${seconds}`, outputPath, sampleRate);
+}
+
+// Función para generar un tono sinusoidal de la duración indicada
+function generateTone(outputPath, frequency, seconds, sampleRate = 24000) {
+  return generateLavfiAudio(`sine=frequency=${frequency}:sample_rate=${sampleRate}:duration=${seconds}`, outputPath, sampleRate);
+}
+
+// Función para concatenar archivos WAV con el mismo formato en un único MP3
+async function concatenateToMp3(inputPaths, outputPath) {
+  const listPath = `${outputPath}.txt`;
+  const list = inputPaths
+    .map(inputPath => `file '${path.resolve(inputPath).replace(/'/g, "'\\''")}'`)
+    .join('\n');
+  
+  await fs.writeFile(listPath, list);
+  
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f', 'concat', '-safe', '0'])
+        .audioCodec('libmp3lame')
+        .audioBitrate('128k')
+        .format('mp3')
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+  } finally {
+    await fs.rm(listPath, { force: true });
+  }
+  
+  return outputPath;
+}
+
+module.exports = {
+  normalizeAudio,
+  getAudioDuration,
+  splitAudio,
+  generateSilence,
+  generateTone,
+  concatenateToMp3
+};
\ No newline at end of file
@@ -0,0 +1,428 @@
+const { getEncoding } = require('js-tiktoken');
+const { pool } = require('../database/init');
+
+// Estrategias de división en fragmentos:
+// - recursive: respeta los encabezados markdown y los bloques (párrafos, tablas, código)
+// - sentence: agrupa frases completas
+// - fixed: ventanas de tamaño fijo en tokens
+const CHUNKING_STRATEGIES = ['recursive', 'sentence', 'fixed'];
+
+// Configuración por defecto cuando el cuaderno no define la suya (tamaños en tokens)
+const DEFAULT_STRATEGY = process.env.CHUNK_STRATEGY || 'recursive';
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE_TOKENS) || 512;
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 64;
+
+const MIN_CHUNK_SIZE = 64;
+const MAX_CHUNK_SIZE = 8192;
+
+// Separadores, del más grueso al más fino. Los trozos cubren el texto sin huecos y conservan sus posiciones
+const SENTENCE_SEPARATOR = /[.!?…]+["'»)\]]*\s+|\n[ \t]*\n\s*/g;
+const LINE_SEPARATOR = /\n/g;
+const WORD_SEPARATOR = /\s+/g;
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// El coste del tokenizador crece más que linealmente con la longitud de un tramo sin espacios
+// (texto CJK sin puntuación, base64, código minificado): esos tramos se cuentan por partes
+const MAX_TOKENIZER_RUN = 32;
+const LONG_RUN_PATTERN = new RegExp(`\\S{${MAX_TOKENIZER_RUN + 1},}`, 'g');
+
+// Caracteres por token a partir de los cuales un tramo se divide sin contar antes sus tokens
+const MAX_CHARS_PER_TOKEN = 4;
+
+let tokenizer = null;
+
+// Función para contar tokens (cl100k_base; una aproximación razonable para otros modelos)
+function countTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  if (!tokenizer) {
+    tokenizer = getEncoding('cl100k_base');
+  }
+
+  let count = 0;
+  let position = 0;
+
+  for (const match of text.matchAll(LONG_RUN_PATTERN)) {
+    count += encodeLength(text.slice(position, match.index));
+
+    for (const part of splitByLength(match[0], MAX_TOKENIZER_RUN)) {
+      count += encodeLength(part);
+    }
+
+    position = match.index + match[0].length;
+  }
+
+  return count + encodeLength(text.slice(position));
+}
+
+function encodeLength(text) {
+  return text ? tokenizer.encode(text).length : 0;
+}
+
+// Función para cortar un texto en partes de como máximo maxLength caracteres sin separar
+// los pares sustitutos (emojis, ideogramas poco frecuentes)
+function splitByLength(text, maxLength) {
+  const parts = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxLength, text.length);
+
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) {
+      end--;
+    }
+
+    parts.push(text.slice(start, end));
+    start = end;
+  }
+
+  return parts;
+}
+
+// Función para dividir un texto en fragmentos. Devuelve { content, offset, end, token_count,
+// heading_path, page_from, page_to } con las posiciones referidas al texto original.
+// options.pageOffsets contiene la posición en la que empieza cada página, si se conoce.
+function chunkText(text, options = {}) {
+  const strategy = options.strategy || DEFAULT_STRATEGY;
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const chunkOverlap = Math.min(options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  let spans;
+
+  switch (strategy) {
+    case 'recursive':
+      spans = chunkRecursive(text, chunkSize, chunkOverlap);
+      break;
+    case 'sentence':
+      spans = packPieces(splitToFit(text, { start: 0, end: text.length }, chunkSize, [SENTENCE_SEPARATOR, WORD_SEPARATOR]), chunkSize, chunkOverlap);
+      break;
+    case 'fixed':
+      spans = packPieces(splitToFit(text, { start: 0, end: text.length }, chunkSize, [WORD_SEPARATOR], true), chunkSize, chunkOverlap);
+      break;
+    default:
+      throw new Error(`Estrategia de fragmentación no soportada: ${strategy}`);
+  }
+
+  const headings = findHeadings(text);
+
+  return spans
+    .map(span => trimSpan(text, span))
+    .filter(span => span.end > span.start)
+    .map(span => {
+      const content = text.slice(span.start, span.end);
+      const headingPath = getHeadingPath(headings, span.start);
+
+      return {
+        content,
+        offset: span.start,
+        end: span.end,
+        token_count: countTokens(content),
+        ...(headingPath.length > 0 && { heading_path: headingPath }),
+        ...(options.pageOffsets?.length > 0 && {
+          page_from: getPageNumber(options.pageOffsets, span.start),
+          page_to: getPageNumber(options.pageOffsets, span.end - 1)
+        })
+      };
+    });
+}
+
+// Estrategia recursiva: cada sección (encabezado markdown) se divide en bloques que no se cortan
+// salvo que superen el tamaño máximo; los fragmentos nunca mezclan secciones
+function chunkRecursive(text, chunkSize, chunkOverlap) {
+  const spans = [];
+
+  for (const section of splitSections(text)) {
+    const pieces = [];
+
+    for (const block of splitBlocks(text, section)) {
+      const blockText = text.slice(block.start, block.end);
+
+      // Tablas y código se cortan por líneas; la prosa por frases
+      const separators = block.code || /^\s*\|/.test(blockText)
+        ? [LINE_SEPARATOR, WORD_SEPARATOR]
+        : [SENTENCE_SEPARATOR, LINE_SEPARATOR, WORD_SEPARATOR];
+
+      pieces.push(...splitToFit(text, block, chunkSize, separators));
+    }
+
+    spans.push(...packPieces(pieces, chunkSize, chunkOverlap));
+  }
+
+  return spans;
+}
+
+// Función para dividir el texto en secciones que empiezan en cada encabezado markdown
+function splitSections(text) {
+  const starts = [0, ...findHeadings(text).map(heading => heading.offset).filter(offset => offset > 0)];
+
+  return starts.map((start, index) => ({ start, end: starts[index + 1] ?? text.length }));
+}
+
+// Función para dividir una sección en bloques separados por líneas en blanco,
+// sin partir los bloques de código delimitados
+function splitBlocks(text, section) {
+  const blocks = [];
+  let blockStart = section.start;
+  let inCode = false;
+  let codeBlock = false;
+  let position = section.start;
+
+  while (position < section.end) {
+    const lineEnd = Math.min(nextLineEnd(text, position), section.end);
+    const line = text.slice(position, lineEnd);
+
+    if (FENCE_PATTERN.test(line)) {
+      inCode = !inCode;
+      codeBlock = true;
+    } else if (!inCode && !line.trim() && position > blockStart) {
+      blocks.push({ start: blockStart, end: lineEnd, code: codeBlock });
+      blockStart = lineEnd;
+      codeBlock = false;
+    }
+
+    position = lineEnd;
+  }
+
+  if (blockStart < section.end) {
+    blocks.push({ start: blockStart, end: section.end, code: codeBlock });
+  }
+
+  return blocks;
+}
+
+// Función para dividir un tramo en trozos de como máximo maxTokens, probando los separadores en orden.
+// Los trozos que siguen siendo demasiado grandes (p. ej. una "palabra" enorme) se cortan por caracteres.
+// Los tramos de más de maxTokens * MAX_CHARS_PER_TOKEN caracteres se dividen sin contar sus tokens
+function splitToFit(text, span, maxTokens, separators, splitAll = false) {
+  const maxChars = maxTokens * MAX_CHARS_PER_TOKEN;
+  const oversized = span.end - span.start > maxChars;
+  const tokens = oversized ? Infinity : countTokens(text.slice(span.start, span.end));
+
+  if (tokens <= maxTokens && !splitAll) {
+    return [{ ...span, tokens }];
+  }
+
+  if (separators.length === 0) {
+    if (tokens <= maxTokens) {
+      return [{ ...span, tokens }];
+    }
+
+    // Sin separadores, el tramo se corta por caracteres: en partes de maxChars caracteres si es
+    // demasiado largo para contarlo y, si no, en las partes iguales necesarias para no superar maxTokens.
+    // Las partes miden un múltiplo de MAX_TOKENIZER_RUN para que, al unirlas, se cuenten igual
+    const length = span.end - span.start;
+    const targetLength = oversized ? maxChars : Math.ceil(length / Math.ceil(tokens / maxTokens));
+    const partLength = Math.floor(targetLength / MAX_TOKENIZER_RUN) * MAX_TOKENIZER_RUN || targetLength;
+    const parts = [];
+
+    for (let start = span.start; start < span.end; start += partLength) {
+      parts.push(...splitToFit(text, { start, end: Math.min(start + partLength, span.end) }, maxTokens, []));
+    }
+
+    return parts;
+  }
+
+  const [separator, ...rest] = separators;
+  const parts = splitBySeparator(text, span, separator);
+
+  if (parts.length === 1 && !splitAll) {
+    return splitToFit(text, span, maxTokens, rest);
+  }
+
+  return parts.flatMap(part => splitToFit(text, part, maxTokens, rest));
+}
+
+// Función para dividir un tramo en cada aparición del separador
+function splitBySeparator(text, span, separator) {
+  const parts = [];
+  const pattern = new RegExp(separator.source, 'g');
+  const slice = text.slice(span.start, span.end);
+  let start = 0;
+  let match;
+
+  while ((match = pattern.exec(slice)) !== null) {
+    // La puntuación queda con el trozo anterior y los espacios con el siguiente, como en el
+    // tokenizador (" palabra" es un token), para que la suma de tokens de los trozos sea fiel
+    const end = match.index + match[0].trimEnd().length;
+
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+
+    if (end > start && end < slice.length) {
+      parts.push({ start: span.start + start, end: span.start + end });
+      start = end;
+    }
+  }
+
+  parts.push({ start: span.start + start, end: span.end });
+
+  return parts;
+}
+
+// Función para agrupar trozos consecutivos en fragmentos de como máximo chunkSize tokens,
+// repitiendo al inicio de cada fragmento los últimos trozos del anterior (hasta chunkOverlap tokens)
+function packPieces(pieces, chunkSize, chunkOverlap) {
+  const spans = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const piece of pieces) {
+    if (current.length > 0 && currentTokens + piece.tokens > chunkSize) {
+      spans.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      const carried = [];
+      let carriedTokens = 0;
+
+      for (let index = current.length - 1; index >= 0; index--) {
+        if (carriedTokens + current[index].tokens > chunkOverlap) break;
+        carried.unshift(current[index]);
+        carriedTokens += current[index].tokens;
+      }
+
+      // El solapamiento nunca debe impedir que quepa el trozo siguiente
+      if (carriedTokens + piece.tokens > chunkSize) {
+        current = [];
+        currentTokens = 0;
+      } else {
+        current = carried;
+        currentTokens = carriedTokens;
+      }
+    }
+
+    current.push(piece);
+    currentTokens += piece.tokens;
+  }
+
+  if (current.length > 0) {
+    spans.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+
+  return spans;
+}
+
+// Función para localizar los encabezados markdown fuera de los bloques de código
+function findHeadings(text) {
+  const headings = [];
+  const stack = [];
+  let inCode = false;
+  let position = 0;
+
+  while (position < text.length) {
+    const lineEnd = nextLineEnd(text, position);
+    const line = text.slice(position, lineEnd).replace(/\n$/, '');
+
+    if (FENCE_PATTERN.test(line)) {
+      inCode = !inCode;
+    } else if (!inCode) {
+      const match = line.match(HEADING_PATTERN);
+
+      if (match) {
+        const level = match[1].length;
+
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+          stack.pop();
+        }
+
+        stack.push({ level, title: match[2].trim() });
+        headings.push({ offset: position, path: stack.map(heading => heading.title) });
+      }
+    }
+
+    position = lineEnd;
+  }
+
+  return headings;
+}
+
+// Función para obtener la ruta de encabezados vigente en una posición del texto
+function getHeadingPath(headings, offset) {
+  let path = [];
+
+  for (const heading of headings) {
+    if (heading.offset > offset) break;
+    path = heading.path;
+  }
+
+  return path;
+}
+
+// Función para obtener el número de página (base 1) de una posición del texto
+function getPageNumber(pageOffsets, offset) {
+  let page = 1;
+
+  for (const [index, pageOffset] of pageOffsets.entries()) {
+    if (pageOffset > offset) break;
+    page = index + 1;
+  }
+
+  return page;
+}
+
+function nextLineEnd(text, position) {
+  const newline = text.indexOf('\n', position);
+  return newline === -1 ? text.length : newline + 1;
+}
+
+// Función para ajustar un tramo eliminando los espacios de sus extremos
+function trimSpan(text, span) {
+  let { start, end } = span;
+
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+
+  return { start, end };
+}
+
+// Función para obtener la configuración de fragmentación de un cuaderno (o la configuración por defecto)
+async function getNotebookChunkingOptions(notebookId) {
+  const result = await pool.query(
+    'SELECT chunking_strategy, chunk_size, chunk_overlap FROM notebooks WHERE id = $1',
+    [notebookId]
+  );
+
+  const notebook = result.rows[0] || {};
+
+  return {
+    strategy: notebook.chunking_strategy || DEFAULT_STRATEGY,
+    chunkSize: notebook.chunk_size || DEFAULT_CHUNK_SIZE,
+    chunkOverlap: notebook.chunk_overlap ?? DEFAULT_CHUNK_OVERLAP
+  };
+}
+
+// Función para validar la configuración de fragmentación de un cuaderno (null restablece el valor por defecto).
+// currentChunkSize es el tamaño ya guardado, con el que se valida el solapamiento si no se cambia el tamaño.
+function validateChunkingOptions({ chunking_strategy, chunk_size, chunk_overlap }, currentChunkSize = null) {
+  if (chunking_strategy != null && !CHUNKING_STRATEGIES.includes(chunking_strategy)) {
+    return `Estrategia de fragmentación no válida: ${chunking_strategy}`;
+  }
+
+  if (chunk_size != null && (!Number.isInteger(chunk_size) || chunk_size < MIN_CHUNK_SIZE || chunk_size > MAX_CHUNK_SIZE)) {
+    return `El tamaño de fragmento debe ser un entero entre ${MIN_CHUNK_SIZE} y ${MAX_CHUNK_SIZE} tokens`;
+  }
+
+  const effectiveChunkSize = (chunk_size !== undefined ? chunk_size : currentChunkSize) || DEFAULT_CHUNK_SIZE;
+
+  if (chunk_overlap != null && (!Number.isInteger(chunk_overlap) || chunk_overlap < 0 || chunk_overlap >= effectiveChunkSize / 2)) {
+    return 'El solapamiento debe ser un entero no negativo menor que la mitad del tamaño de fragmento';
+  }
+
+  return null;
+}
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  countTokens,
+  chunkText,
+  getNotebookChunkingOptions,
+  validateChunkingOptions
+};
\ No newline at end of file
@@ -0,0 +1,265 @@
+const { pool } = require('../database/init');
+const { generateEmbeddingsBatch, getEmbeddingConfig } = require('./llmService');
+const { getDocumentSimilarities } = require('./vectorService');
+const logger = require('../utils/logger');
+
+// Similitud mínima para atribuir una frase sin cita al fragmento más parecido
+const SIMILARITY_THRESHOLD = parseFloat(process.env.CITATION_SIMILARITY_THRESHOLD) || 0.75;
+
+// Frases más cortas que esto no se atribuyen por similitud (saludos, conectores...)
+const MIN_FALLBACK_LENGTH = 30;
+
+// Marcadores de cita: [1], [1, 3] o [1][3]
+const MARKER_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const CITATION_INSTRUCTIONS = 'Cada fragmento del contexto está numerado como [n]. Cita los fragmentos en los que se apoya cada frase añadiendo su marcador al final de la frase, por ejemplo [1] o [1, 3]. No cites fragmentos que no respalden la frase.';
+
+// Función para construir el contexto numerado que se envía al modelo
+function buildNumberedContext(relevantDocs) {
+  return relevantDocs
+    .map((doc, index) => `[${index + 1}] Fuente: ${doc.metadata.source_title || 'Fuente desconocida'}${formatPageRange(doc.metadata)}\n${doc.content}`)
+    .join('\n\n');
+}
+
+// Función para indicar al modelo las páginas de un fragmento de PDF, p. ej. " (página 12)",
+// o las diapositivas de una presentación
+function formatPageRange(metadata) {
+  if (metadata.page_from === undefined) {
+    return '';
+  }
+
+  const unit = metadata.source_type === 'presentation' ? 'diapositiva' : 'página';
+
+  return metadata.page_from === metadata.page_to
+    ? ` (${unit} ${metadata.page_from})`
+    : ` (${unit}s ${metadata.page_from}-${metadata.page_to})`;
+}
+
+// Función para procesar respuesta y añadir citas a partir de los marcadores [n]
+async function processResponseWithCitations(text, relevantDocs) {
+  const segments = [];
+  const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim());
+
+  paragraphs.forEach((paragraph, paragraphIndex) => {
+    const sentences = splitSentences(moveMarkersBeforePunctuation(paragraph.trim()));
+
+    sentences.forEach((sentence, index) => {
+      const docIndexes = extractMarkers(sentence)
+        .map(n => n - 1)
+        .filter(docIndex => docIndex >= 0 && docIndex < relevantDocs.length);
+
+      // Las frases se muestran seguidas; "\n\n" al inicio marca un nuevo párrafo
+      const separator = index > 0 ? ' ' : paragraphIndex > 0 ? '\n\n' : '';
+
+      segments.push({
+        text: separator + sentence.replace(MARKER_PATTERN, ''),
+        docIndexes
+      });
+    });
+  });
+
+  await attributeUncitedSegments(segments, relevantDocs);
+
+  return await buildCitations(segments, relevantDocs);
+}
+
+// Función para mover los marcadores que el modelo pone tras el punto ("frase. [1]" -> "frase [1].")
+function moveMarkersBeforePunctuation(text) {
+  return text.replace(/([.!?])((?:\s*\[\d+(?:\s*,\s*\d+)*\])+)/g, (match, punctuation, markers) =>
+    `${markers}${punctuation}`
+  );
+}
+
+// Función para dividir un párrafo en frases conservando los saltos de línea de listas
+function splitSentences(paragraph) {
+  return paragraph
+    .split(/(?<=[.!?])[ \t]+(?=\S)|\n(?=\s*(?:[-*•]|\d+\.)\s)/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Función para extraer los números citados en una frase
+function extractMarkers(sentence) {
+  const numbers = [];
+
+  for (const match of sentence.matchAll(MARKER_PATTERN)) {
+    for (const value of match[1].split(',')) {
+      const n = parseInt(value);
+      if (!numbers.includes(n)) {
+        numbers.push(n);
+      }
+    }
+  }
+
+  return numbers;
+}
+
+// Función para atribuir por similitud de embeddings las frases que el modelo no citó
+async function attributeUncitedSegments(segments, relevantDocs) {
+  const uncited = segments.filter(segment =>
+    segment.docIndexes.length === 0 && segment.text.trim().length >= MIN_FALLBACK_LENGTH
+  );
+
+  if (uncited.length === 0 || relevantDocs.length === 0) {
+    return;
+  }
+
+  const documentIds = relevantDocs.map(doc => doc.id);
+  let embeddingConfig;
+  let embeddings;
+
+  // Los embeddings de todas las frases se piden de una vez, en lotes, en lugar de uno por frase
+  try {
+    embeddingConfig = await getEmbeddingConfig();
+    embeddings = await generateEmbeddingsBatch(uncited.map(segment => segment.text.trim()), embeddingConfig, {
+      notebookId: relevantDocs[0].metadata.notebook_id
+    });
+  } catch (error) {
+    logger.warn(`No se pudo atribuir frases por similitud: ${error.message}`);
+    return;
+  }
+
+  for (const [index, segment] of uncited.entries()) {
+    try {
+      const similarities = await getDocumentSimilarities(embeddings[index], documentIds, embeddingConfig.model_id);
+      const best = similarities.reduce((top, row) => (!top || row.similarity > top.similarity ? row : top), null);
+
+      if (best && parseFloat(best.similarity) >= SIMILARITY_THRESHOLD) {
+        segment.docIndexes = [documentIds.findIndex(id => String(id) === String(best.id))];
+      }
+    } catch (error) {
+      // Sin atribución por similitud la frase simplemente queda sin cita
+      logger.warn(`No se pudo atribuir una frase por similitud: ${error.message}`);
+    }
+  }
+}
+
+// Función para convertir los índices de documentos en segmentos y citas numeradas por orden de aparición
+async function buildCitations(segments, relevantDocs) {
+  const citationIds = new Map();
+  const citations = [];
+  const citedDocs = [];
+  const result = [];
+
+  for (const segment of segments) {
+    const docIndexes = segment.docIndexes;
+
+    if (docIndexes.length === 0) {
+      result.push({ text: segment.text });
+      continue;
+    }
+
+    docIndexes.forEach(docIndex => {
+      if (!citationIds.has(docIndex)) {
+        citationIds.set(docIndex, citations.length + 1);
+        citations.push(createCitation(citations.length + 1, relevantDocs[docIndex]));
+        citedDocs.push(relevantDocs[docIndex]);
+      }
+    });
+
+    // Un segmento admite una sola cita: las adicionales van como segmentos vacíos a continuación
+    docIndexes.forEach((docIndex, index) => {
+      result.push({
+        text: index === 0 ? segment.text : '',
+        citation_id: citationIds.get(docIndex)
+      });
+    });
+  }
+
+  await addLineRanges(citations, citedDocs);
+
+  return {
+    segments: result,
+    citations
+  };
+}
+
+function createCitation(citationId, doc) {
+  return {
+    citation_id: citationId,
+    document_id: doc.id,
+    source_id: doc.metadata.source_id,
+    source_title: doc.metadata.source_title || 'Fuente desconocida',
+    source_type: doc.metadata.source_type || 'text',
+    chunk_index: doc.metadata.chunk_index,
+    excerpt: doc.content.length > 200 ? doc.content.substring(0, 200) + '...' : doc.content,
+    ...(doc.metadata.time_from !== undefined && {
+      time_from: doc.metadata.time_from,
+      time_to: doc.metadata.time_to
+    }),
+    ...(doc.metadata.page_from !== undefined && {
+      page_from: doc.metadata.page_from,
+      page_to: doc.metadata.page_to
+    })
+  };
+}
+
+// Función para calcular las líneas de cada cita a partir de la posición del fragmento en sources.content
+async function addLineRanges(citations, citedDocs) {
+  const sourceIds = [...new Set(citations.map(citation => citation.source_id).filter(Boolean))];
+
+  if (sourceIds.length === 0) {
+    return;
+  }
+
+  try {
+    const result = await pool.query('SELECT id, content FROM sources WHERE id = ANY($1)', [sourceIds]);
+    const contents = new Map(result.rows.map(row => [String(row.id), row.content || '']));
+
+    citations.forEach((citation, index) => {
+      const doc = citedDocs[index];
+      const content = contents.get(String(citation.source_id));
+      const range = content ? getLineRange(content, doc.content, doc.metadata.chunk_offset) : null;
+
+      if (range) {
+        citation.chunk_lines_from = range.from;
+        citation.chunk_lines_to = range.to;
+      }
+    });
+  } catch (error) {
+    logger.warn(`No se pudieron calcular las líneas de las citas: ${error.message}`);
+  }
+}
+
+// Función para obtener el rango de líneas (base 1) que ocupa un fragmento dentro del texto de la fuente
+function getLineRange(content, chunk, offset) {
+  // Los fragmentos antiguos no guardan su posición: buscarlos en el texto
+  const start = Number.isInteger(offset) && content.startsWith(chunk, offset)
+    ? offset
+    : content.indexOf(chunk);
+
+  if (start === -1) {
+    return null;
+  }
+
+  const from = countNewlines(content.slice(0, start)) + 1;
+  const to = from + countNewlines(chunk.trimEnd());
+
+  return { from, to };
+}
+
+function countNewlines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+// Función para obtener el texto plano de una respuesta guardada como segmentos
+function getResponseText(content) {
+  try {
+    const parsed = JSON.parse(content);
+
+    if (Array.isArray(parsed.segments)) {
+      return parsed.segments.map(segment => segment.text).join('');
+    }
+  } catch (error) {
+    // El contenido ya es texto plano
+  }
+
+  return content;
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  buildNumberedContext,
+  processResponseWithCitations,
+  getResponseText
+};
\ No newline at end of file
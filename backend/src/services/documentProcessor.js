@@ -1,13 +1,15 @@
-const fs = require('fs').promises;
-const path = require('path');
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
-const axios = require('axios');
-const { parse } = require('node-html-parser');
 const { pool } = require('../database/init');
-const { insertDocument } = require('./vectorService');
+const { insertDocuments, deleteDocumentsBySourceId, reembedNotebookDocuments } = require('./vectorService');
+const { registerJobHandler, enqueueJob, updateJobProgress, createNonRetryableError } = require('./jobQueue');
+const { chunkText, getNotebookChunkingOptions } = require('./chunkingService');
+const { extractFile } = require('./extractorRegistry');
+const { getYouTubeTranscript } = require('./youtubeService');
+const { fetchWebPage, crawlWebsite } = require('./websiteService');
 const logger = require('../utils/logger');
 
+// Registrar los extractores de archivos incorporados
+require('./fileExtractors');
+
 // Función principal para procesar documento
 async function processDocument(sourceId) {
   try {
@@ -15,167 +17,160 @@ async function processDocument(sourceId) {
     const sourceResult = await pool.query('SELECT * FROM sources WHERE id = $1', [sourceId]);
     
     if (sourceResult.rows.length === 0) {
-      throw new Error(`Fuente no encontrada: ${sourceId}`);
+      throw createNonRetryableError(`Fuente no encontrada: ${sourceId}`);
     }
     
     const source = sourceResult.rows[0];
     
+    // Marcar como en procesamiento (también al reintentar o reanudar)
+    await pool.query(
+      'UPDATE sources SET processing_status = $1 WHERE id = $2',
+      ['processing', sourceId]
+    );
+    
     // Obtener información del cuaderno
     const notebookResult = await pool.query('SELECT title FROM notebooks WHERE id = $1', [source.notebook_id]);
     const notebookTitle = notebookResult.rows[0]?.title || 'Cuaderno sin título';
     
     // Extraer texto según el tipo de fuente
     let extractedText = '';
+    let extractedMetadata = {};
+    let sourceTitle = source.title;
     let summary = '';
     
-    switch (source.type) {
-      case 'pdf':
-        extractedText = await extractTextFromPDF(source.file_path);
-        break;
-      case 'text':
-        extractedText = source.content || await extractTextFromFile(source.file_path);
-        break;
-      case 'website':
-        extractedText = await extractTextFromWebsite(source.url);
-        break;
-      case 'youtube':
-        extractedText = await extractTextFromYouTube(source.url);
-        break;
-      case 'audio':
-        extractedText = await transcribeAudio(source.file_path);
-        break;
-      default:
-        throw new Error(`Tipo de fuente no soportado: ${source.type}`);
+    if (source.file_path) {
+      // Archivos subidos: el extractor se elige por extensión y tipo MIME
+      const extraction = await extractFile(source.file_path, source.metadata?.mimeType);
+      extractedText = extraction.text;
+      extractedMetadata = extraction.metadata;
+    } else {
+      switch (source.type) {
+        case 'text':
+          extractedText = source.content;
+          break;
+        case 'website': {
+          // Las páginas de un rastreo llegan ya descargadas; al reprocesarlas se vuelven a descargar
+          const page = source.metadata?.prefetched && source.content
+            ? {
+              text: source.content,
+              title: source.metadata.page_title,
+              canonicalUrl: source.metadata.canonical_url,
+              finalUrl: source.metadata.final_url
+            }
+            : await fetchWebPage(source.url);
+          extractedText = page.text;
+          extractedMetadata = {
+            page_title: page.title,
+            canonical_url: page.canonicalUrl,
+            final_url: page.finalUrl,
+            prefetched: null
+          };
+          
+          // Usar el título de la página si el usuario no indicó uno
+          if (page.title && source.title === source.url) {
+            sourceTitle = page.title;
+          }
+          break;
+        }
+        case 'youtube': {
+          const transcript = await getYouTubeTranscript(source.url);
+          extractedText = transcript.text;
+          extractedMetadata = {
+            transcript_segments: transcript.segments,
+            video_id: transcript.metadata.video_id,
+            video_title: transcript.metadata.title,
+            channel: transcript.metadata.channel,
+            duration: transcript.metadata.duration,
+            caption_language: transcript.metadata.caption_language,
+            transcript_source: transcript.metadata.transcript_source
+          };
+          
+          // Usar el título del video si el usuario no indicó uno
+          if (transcript.metadata.title && source.title === source.url) {
+            sourceTitle = transcript.metadata.title;
+          }
+          break;
+        }
+        default:
+          throw new Error(`Tipo de fuente no soportado: ${source.type}`);
+      }
+    }
+    
+    // Un documento sin texto (p. ej. un escaneo sin OCR) no debe darse por procesado
+    if (!extractedText || !extractedText.trim()) {
+      throw createNonRetryableError('No se pudo extraer texto de la fuente');
     }
     
     // Generar resumen
-    summary = await generateSummary(extractedText);
+    summary = await generateSummary(extractedText, source.notebook_id);
     
-    // Actualizar fuente con texto extraído y resumen
+    // Actualizar fuente con texto extraído, resumen y metadatos de extracción; sigue en
+    // procesamiento hasta que sus fragmentos estén guardados
     await pool.query(
-      'UPDATE sources SET content = $1, summary = $2, processing_status = $3 WHERE id = $4',
-      [extractedText, summary, 'completed', sourceId]
+      `UPDATE sources 
+       SET content = $1, summary = $2, title = $3,
+           metadata = COALESCE(metadata, '{}'::jsonb) || $4::jsonb
+       WHERE id = $5`,
+      [extractedText, summary, sourceTitle, { ...extractedMetadata, processing_error: null }, sourceId]
     );
     
-    // Dividir texto en chunks para vectorización
-    const chunks = splitTextIntoChunks(extractedText);
+    // Dividir texto en chunks para vectorización según la configuración del cuaderno
+    const chunkingOptions = await getNotebookChunkingOptions(source.notebook_id);
+    const chunks = chunkText(extractedText, {
+      ...chunkingOptions,
+      pageOffsets: extractedMetadata.page_offsets
+    });
     
-    // Insertar chunks en la base de datos vectorial
-    for (const [index, chunk] of chunks.entries()) {
-      await insertDocument(chunk, {
+    // Insertar chunks en la base de datos vectorial, reemplazando los de intentos anteriores
+    // para que el trabajo sea idempotente
+    const insertedIds = await insertDocuments(chunks.map((chunk, index) => ({
+      content: chunk.content,
+      metadata: {
         notebook_id: source.notebook_id,
         source_id: sourceId,
-        source_title: source.title,
+        source_title: sourceTitle,
         source_type: source.type,
         chunk_index: index,
-        notebook_title: notebookTitle
-      });
+        chunk_offset: chunk.offset,
+        chunk_end: chunk.end,
+        chunk_tokens: chunk.token_count,
+        chunk_strategy: chunkingOptions.strategy,
+        notebook_title: notebookTitle,
+        ...(chunk.heading_path && { heading_path: chunk.heading_path }),
+        ...(chunk.page_from && { page_from: chunk.page_from, page_to: chunk.page_to }),
+        ...getChunkTimeRange(extractedMetadata.transcript_segments, chunk.offset, chunk.content.length)
+      }
+    })), { replaceSourceId: sourceId });
+    
+    if (!insertedIds) {
+      return;
     }
     
+    await pool.query(
+      'UPDATE sources SET processing_status = $1 WHERE id = $2',
+      ['completed', sourceId]
+    );
+    
     logger.info(`Documento procesado exitosamente: ${sourceId}`);
   } catch (error) {
     logger.error(`Error al procesar documento ${sourceId}:`, error);
     
-    // Actualizar estado a fallido
+    // Actualizar estado a fallido guardando el motivo para mostrarlo en la lista de fuentes
     await pool.query(
-      'UPDATE sources SET processing_status = $1 WHERE id = $2',
-      ['failed', sourceId]
+      `UPDATE sources
+       SET processing_status = $1,
+           metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('processing_error', $2::text)
+       WHERE id = $3`,
+      ['failed', error.message, sourceId]
     );
-  }
-}
-
-// Función para extraer texto de PDF
-async function extractTextFromPDF(filePath) {
-  try {
-    const dataBuffer = await fs.readFile(filePath);
-    const data = await pdf(dataBuffer);
-    return data.text;
-  } catch (error) {
-    logger.error('Error al extraer texto de PDF:', error);
-    throw error;
-  }
-}
-
-// Función para extraer texto de archivo de texto
-async function extractTextFromFile(filePath) {
-  try {
-    const extension = path.extname(filePath).toLowerCase();
     
-    if (extension === '.docx') {
-      const buffer = await fs.readFile(filePath);
-      const result = await mammoth.extractRawText({ buffer });
-      return result.value;
-    } else {
-      // Asumir archivo de texto plano
-      return await fs.readFile(filePath, 'utf8');
-    }
-  } catch (error) {
-    logger.error('Error al extraer texto de archivo:', error);
-    throw error;
-  }
-}
-
-// Función para extraer texto de sitio web
-async function extractTextFromWebsite(url) {
-  try {
-    const response = await axios.get(url);
-    const root = parse(response.data);
-    
-    // Eliminar scripts, estilos y otros elementos no deseados
-    root.querySelectorAll('script, style, nav, footer, header, aside, iframe').forEach(el => el.remove());
-    
-    // Extraer texto del contenido principal
-    const mainContent = root.querySelector('main') || 
-                        root.querySelector('article') || 
-                        root.querySelector('.content') || 
-                        root.querySelector('#content') || 
-                        root.querySelector('.main') || 
-                        root.querySelector('body');
-    
-    let text = '';
-    
-    if (mainContent) {
-      // Extraer texto de párrafos, encabezados, listas, etc.
-      const textElements = mainContent.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, blockquote');
-      text = textElements.map(el => el.text.trim()).join('\n\n');
-    } else {
-      // Fallback: extraer todo el texto
-      text = root.text;
-    }
-    
-    return text;
-  } catch (error) {
-    logger.error('Error al extraer texto de sitio web:', error);
-    throw error;
-  }
-}
-
-// Función para extraer texto de YouTube (simulada)
-async function extractTextFromYouTube(url) {
-  try {
-    // En una implementación real, se usaría la API de YouTube o un servicio de transcripción
-    // Para este ejemplo, devolvemos un mensaje informativo
-    return `Transcripción de video de YouTube: ${url}\n\nEsta es una implementación simulada. En una implementación real, se utilizaría la API de YouTube o un servicio de transcripción para obtener el contenido del video.`;
-  } catch (error) {
-    logger.error('Error al extraer texto de YouTube:', error);
-    throw error;
-  }
-}
-
-// Función para transcribir audio (simulada)
-async function transcribeAudio(filePath) {
-  try {
-    // En una implementación real, se usaría un servicio de transcripción como Whisper API
-    // Para este ejemplo, devolvemos un mensaje informativo
-    return `Transcripción de audio: ${path.basename(filePath)}\n\nEsta es una implementación simulada. En una implementación real, se utilizaría un servicio de transcripción como Whisper API para convertir el audio a texto.`;
-  } catch (error) {
-    logger.error('Error al transcribir audio:', error);
+    // Propagar el error para que la cola de trabajos pueda reintentar
     throw error;
   }
 }
 
 // Función para generar resumen
-async function generateSummary(text) {
+async function generateSummary(text, notebookId) {
   try {
     // Limitar longitud del texto para el resumen
     const truncatedText = text.substring(0, 5000);
@@ -193,7 +188,7 @@ async function generateSummary(text) {
       content: truncatedText
     };
     
-    const response = await generateChatResponse([systemPrompt, userPrompt]);
+    const response = await generateChatResponse([systemPrompt, userPrompt], { task: 'summary', notebookId });
     
     return response.text;
   } catch (error) {
@@ -202,54 +197,175 @@ async function generateSummary(text) {
   }
 }
 
-// Función para dividir texto en chunks
-function splitTextIntoChunks(text, maxChunkSize = 1000, overlap = 200) {
-  const chunks = [];
+// Función para calcular el rango temporal de un chunk a partir de los segmentos de transcripción
+function getChunkTimeRange(segments, offset, length) {
+  if (!segments || offset === null) {
+    return {};
+  }
   
-  // Si el texto es más corto que el tamaño máximo, devolverlo como un solo chunk
-  if (text.length <= maxChunkSize) {
-    chunks.push(text);
-    return chunks;
+  const end = offset + length;
+  const overlapping = segments.filter(segment => 
+    segment.offset < end && segment.offset + segment.text.length > offset
+  );
+  
+  if (overlapping.length === 0) {
+    return {};
   }
   
-  // Dividir por párrafos primero
-  const paragraphs = text.split(/\n\s*\n/);
-  let currentChunk = '';
+  return {
+    time_from: overlapping[0].start,
+    time_to: overlapping[overlapping.length - 1].end
+  };
+}
+
+// Función para encolar el procesamiento de una fuente en segundo plano
+function enqueueDocumentProcessing(sourceId, userId) {
+  return enqueueJob('process_document', { sourceId }, { userId });
+}
+
+// Función para volver a procesar una fuente existente conservando su registro
+async function reprocessSource(sourceId, userId) {
+  await pool.query(
+    'UPDATE sources SET processing_status = $1 WHERE id = $2',
+    ['pending', sourceId]
+  );
   
-  for (const paragraph of paragraphs) {
-    // Si el párrafo es muy largo, dividirlo
-    if (paragraph.length > maxChunkSize) {
-      // Añadir el chunk actual si no está vacío
-      if (currentChunk) {
-        chunks.push(currentChunk);
-        currentChunk = '';
-      }
+  // Eliminar los chunks anteriores para que no se usen mientras se procesa
+  await deleteDocumentsBySourceId(sourceId);
+  
+  return enqueueDocumentProcessing(sourceId, userId);
+}
+
+// Función para encolar el reprocesamiento de todas las fuentes de un cuaderno
+async function enqueueNotebookReindex(notebookId, userId) {
+  await pool.query(
+    'UPDATE sources SET processing_status = $1 WHERE notebook_id = $2',
+    ['pending', notebookId]
+  );
+  
+  return enqueueJob('reindex_notebook', { notebookId }, { userId, maxAttempts: 1 });
+}
+
+// Función para reprocesar las fuentes de un cuaderno una a una, registrando el progreso
+async function reindexNotebook(notebookId, job) {
+  const sourcesResult = await pool.query(
+    'SELECT id, title FROM sources WHERE notebook_id = $1 ORDER BY created_at ASC',
+    [notebookId]
+  );
+  
+  const progress = {
+    total: sourcesResult.rows.length,
+    processed: 0,
+    failed: [],
+    current_source_id: null
+  };
+  
+  for (const source of sourcesResult.rows) {
+    progress.current_source_id = source.id;
+    await updateJobProgress(job.id, progress);
+    
+    try {
+      await processDocument(source.id);
+    } catch (error) {
+      // Un fallo en una fuente no detiene el resto; queda marcada como fallida
+      progress.failed.push({ source_id: source.id, title: source.title, error: error.message });
+    }
+    
+    progress.processed++;
+  }
+  
+  progress.current_source_id = null;
+  await updateJobProgress(job.id, progress);
+  
+  logger.info(`Cuaderno ${notebookId} reindexado: ${progress.processed - progress.failed.length}/${progress.total} fuentes`);
+}
+
+// Función para encolar la regeneración de los embeddings de un cuaderno con el modelo activo
+function enqueueNotebookReembed(notebookId, userId) {
+  return enqueueJob('reembed_notebook', { notebookId }, { userId });
+}
+
+// Función para encolar el rastreo de un sitio web; cada página encontrada se añade como fuente
+function enqueueWebsiteCrawl(notebookId, url, crawlOptions, userId) {
+  return enqueueJob('crawl_website', { notebookId, url, ...crawlOptions }, { userId, maxAttempts: 1 });
+}
+
+// Función para rastrear un sitio web creando una fuente por página y encolando su procesamiento.
+// El contenido descargado se guarda en la fuente para no volver a pedir la página al procesarla
+async function crawlWebsiteIntoNotebook({ notebookId, url, maxDepth, maxPages }, job) {
+  // Las páginas que ya son fuentes del cuaderno (por su URL o su URL canónica) no se duplican
+  const existing = await pool.query(
+    "SELECT url, metadata->>'canonical_url' as canonical_url FROM sources WHERE notebook_id = $1 AND url IS NOT NULL",
+    [notebookId]
+  );
+  const knownUrls = new Set(existing.rows.flatMap(row => [row.url, row.canonical_url]).filter(Boolean));
+  
+  const progress = {
+    pages: 0,
+    created: 0,
+    skipped: 0,
+    current_url: null
+  };
+  
+  await crawlWebsite(url, {
+    maxDepth,
+    maxPages,
+    onPage: async (page, { depth }) => {
+      progress.pages++;
+      progress.current_url = page.url;
       
-      // Dividir párrafo largo en chunks más pequeños
-      let i = 0;
-      while (i < paragraph.length) {
-        const chunk = paragraph.substring(i, i + maxChunkSize);
-        chunks.push(chunk);
-        i += maxChunkSize - overlap;
+      if (knownUrls.has(page.url) || knownUrls.has(page.canonicalUrl)) {
+        progress.skipped++;
+      } else {
+        knownUrls.add(page.url);
+        knownUrls.add(page.canonicalUrl);
+        
+        const result = await pool.query(`
+          INSERT INTO sources (notebook_id, title, type, url, content, processing_status, metadata)
+          VALUES ($1, $2, 'website', $3, $4, 'processing', $5)
+          RETURNING id
+        `, [
+          notebookId,
+          page.title || page.url,
+          page.url,
+          page.text,
+          {
+            originalUrl: page.url,
+            dateAdded: new Date().toISOString(),
+            crawl: { start_url: url, depth },
+            prefetched: true,
+            page_title: page.title,
+            canonical_url: page.canonicalUrl,
+            final_url: page.finalUrl
+          }
+        ]);
+        
+        await enqueueDocumentProcessing(result.rows[0].id, job.user_id);
+        progress.created++;
       }
-    } 
-    // Si añadir el párrafo excede el tamaño máximo, comenzar un nuevo chunk
-    else if (currentChunk.length + paragraph.length > maxChunkSize) {
-      chunks.push(currentChunk);
-      currentChunk = paragraph;
-    } 
-    // De lo contrario, añadir el párrafo al chunk actual
-    else {
-      currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
+      
+      await updateJobProgress(job.id, progress);
     }
-  }
+  });
   
-  // Añadir el último chunk si no está vacío
-  if (currentChunk) {
-    chunks.push(currentChunk);
-  }
+  progress.current_url = null;
+  await updateJobProgress(job.id, progress);
   
-  return chunks;
+  logger.info(`Rastreo de ${url} en el cuaderno ${notebookId}: ${progress.created} fuentes nuevas`);
 }
 
-module.exports = { processDocument };
\ No newline at end of file
+registerJobHandler('process_document', ({ sourceId }) => processDocument(sourceId));
+registerJobHandler('reindex_notebook', ({ notebookId }, job) => reindexNotebook(notebookId, job));
+registerJobHandler('reembed_notebook', ({ notebookId }, job) =>
+  reembedNotebookDocuments(notebookId, progress => updateJobProgress(job.id, progress))
+);
+registerJobHandler('crawl_website', (payload, job) => crawlWebsiteIntoNotebook(payload, job));
+
+module.exports = {
+  processDocument,
+  enqueueDocumentProcessing,
+  reprocessSource,
+  enqueueNotebookReindex,
+  enqueueNotebookReembed,
+  enqueueWebsiteCrawl
+};
\ No newline at end of file
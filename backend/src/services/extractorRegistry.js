@@ -0,0 +1,78 @@
+const path = require('path');
+const { createNonRetryableError } = require('./jobQueue');
+
+// Extractores de texto registrados, en orden de registro
+const extractors = [];
+
+// Proporción máxima de caracteres de control o no válidos en un texto extraído
+const BINARY_NOISE_RATIO = 0.1;
+const BINARY_SAMPLE_SIZE = 10000;
+
+// Función para registrar un extractor de archivos
+// extractor: { name, sourceType, extensions, mimeTypes, extract(filePath) => { text, metadata } }
+function registerExtractor(extractor) {
+  if (extractors.some(existing => existing.name === extractor.name)) {
+    throw new Error(`Extractor ya registrado: ${extractor.name}`);
+  }
+
+  extractors.push({
+    ...extractor,
+    extensions: (extractor.extensions || []).map(extension => extension.toLowerCase()),
+    mimeTypes: extractor.mimeTypes || []
+  });
+}
+
+// Función para encontrar el extractor de un archivo. La extensión tiene prioridad porque
+// los navegadores informan tipos MIME genéricos o distintos para CSV, Markdown o EPUB
+function findExtractor(fileName, mimeType) {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  return extractors.find(extractor => extension && extractor.extensions.includes(extension)) ||
+         extractors.find(extractor => mimeType && extractor.mimeTypes.includes(mimeType)) ||
+         null;
+}
+
+// Función para obtener las extensiones admitidas en las subidas
+function getSupportedExtensions() {
+  return extractors.flatMap(extractor => extractor.extensions);
+}
+
+// Función para extraer el texto de un archivo con el extractor que le corresponda
+async function extractFile(filePath, mimeType) {
+  const extractor = findExtractor(filePath, mimeType);
+
+  if (!extractor) {
+    throw new Error(`Formato de archivo no soportado: ${path.basename(filePath)}`);
+  }
+
+  const result = await extractor.extract(filePath);
+
+  if (isBinaryNoise(result.text)) {
+    throw createNonRetryableError(`El archivo ${path.basename(filePath)} no contiene texto legible`);
+  }
+
+  return {
+    text: result.text,
+    metadata: { extractor: extractor.name, ...result.metadata }
+  };
+}
+
+// Función para detectar texto que en realidad es contenido binario: demasiados caracteres de control
+// o de reemplazo (U+FFFD, lo que deja la lectura UTF-8 de bytes no válidos) en una muestra
+function isBinaryNoise(text) {
+  const sample = (text || '').slice(0, BINARY_SAMPLE_SIZE);
+
+  if (sample.length === 0) {
+    return false;
+  }
+
+  const suspicious = (sample.match(/[\u0000-\u0008\u000B\u000E-\u001F\u007F\uFFFD]/g) || []).length;
+  return suspicious / sample.length > BINARY_NOISE_RATIO;
+}
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  getSupportedExtensions,
+  extractFile
+};
\ No newline at end of file
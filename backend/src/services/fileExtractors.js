@@ -0,0 +1,971 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { parse } = require('node-html-parser');
+const { registerExtractor } = require('./extractorRegistry');
+const { createNonRetryableError } = require('./jobQueue');
+const { transcribeAudio } = require('./transcriptionService');
+const { needsOcr, recognizeImage, recognizePdfPages, buildOcrMetadata } = require('./ocrService');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Firmas de archivo para reconocer el formato real de los documentos de Word
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+const RTF_SIGNATURE = Buffer.from('{\\rtf', 'latin1');
+
+// Tiempo máximo de las conversiones con herramientas externas
+const CONVERSION_TIMEOUT_MS = parseInt(process.env.CONVERSION_TIMEOUT_MS) || 2 * 60 * 1000;
+
+// Límites de descompresión de los archivos ZIP (por parte y en total), contra bombas de descompresión
+const ZIP_MAX_ENTRY_BYTES = parseInt(process.env.ZIP_MAX_ENTRY_BYTES) || 50 * 1024 * 1024;
+const ZIP_MAX_TOTAL_BYTES = parseInt(process.env.ZIP_MAX_TOTAL_BYTES) || 200 * 1024 * 1024;
+
+// Elementos HTML que delimitan bloques de texto
+const HTML_BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'section', 'ul'
+]);
+
+// Función para extraer texto de PDF página a página. Las páginas se separan con una línea en blanco
+// y pageOffsets guarda la posición en la que empieza cada una dentro del texto
+async function extractTextFromPDF(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  const pages = [];
+
+  const data = await pdf(dataBuffer, {
+    pagerender: async pageData => {
+      const pageText = await renderPdfPage(pageData);
+      pages[pageData.pageNumber - 1] = pageText;
+      return pageText;
+    }
+  });
+
+  const pageTexts = Array.from({ length: data.numpages }, (_, index) => (pages[index] || '').trim());
+  const ocrMetadata = await applyPdfOcr(filePath, pageTexts);
+  const { text, offsets } = joinParts(pageTexts);
+
+  return {
+    text,
+    metadata: { page_count: data.numpages, page_offsets: offsets, ...ocrMetadata }
+  };
+}
+
+// Función para sustituir por su OCR el texto de las páginas escaneadas (sin apenas texto)
+async function applyPdfOcr(filePath, pageTexts) {
+  const scannedPages = pageTexts
+    .map((pageText, index) => (needsOcr(pageText) ? index + 1 : null))
+    .filter(pageNumber => pageNumber !== null);
+
+  // Las claves se envían siempre para limpiar avisos de procesamientos anteriores
+  if (scannedPages.length === 0) {
+    return { ocr_applied: false, ocr_warning: null };
+  }
+
+  try {
+    const results = await recognizePdfPages(filePath, scannedPages);
+
+    for (const [pageNumber, result] of results) {
+      if (result.text) {
+        pageTexts[pageNumber - 1] = result.text;
+      }
+    }
+
+    return buildOcrMetadata([...results].map(([page, result]) => ({ page, confidence: result.confidence })));
+  } catch (error) {
+    // Sin OCR disponible se indexa el texto que sí tenga el PDF
+    logger.warn(`No se pudo aplicar OCR a ${path.basename(filePath)}: ${error.message}`);
+
+    return {
+      ocr_applied: false,
+      ocr_warning: `No se pudo aplicar OCR a ${scannedPages.length === 1 ? 'la página escaneada' : `${scannedPages.length} páginas escaneadas`}`
+    };
+  }
+}
+
+// Función para obtener el texto de una página conservando los saltos de línea
+// (mismo criterio que el renderizado por defecto de pdf-parse)
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    if (lastY === undefined || lastY === item.transform[5]) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+
+    lastY = item.transform[5];
+  }
+
+  return text;
+}
+
+// Función para unir partes (páginas, diapositivas) con una línea en blanco guardando dónde empieza cada una
+function joinParts(parts) {
+  const offsets = [];
+  let text = '';
+
+  for (const part of parts) {
+    if (offsets.length > 0) {
+      text += '\n\n';
+    }
+
+    offsets.push(text.length);
+    text += part;
+  }
+
+  return { text, offsets };
+}
+
+async function extractTextFromDOCX(filePath) {
+  const buffer = await fs.readFile(filePath);
+  let result;
+
+  try {
+    result = await mammoth.extractRawText({ buffer });
+  } catch (error) {
+    throw createNonRetryableError(`No se pudo leer el documento de Word: ${error.message}`);
+  }
+
+  return { text: result.value, metadata: {} };
+}
+
+// Función para extraer documentos de Word 97-2003 (.doc). Se comprueba la firma del archivo
+// porque muchos .doc son en realidad documentos .docx o RTF renombrados
+async function extractTextFromDOC(filePath) {
+  const header = await readFileHeader(filePath, OLE2_SIGNATURE.length);
+
+  if (header.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    return await extractTextFromDOCX(filePath);
+  }
+
+  if (header.subarray(0, RTF_SIGNATURE.length).equals(RTF_SIGNATURE)) {
+    return await convertWithLibreOffice(filePath);
+  }
+
+  if (!header.equals(OLE2_SIGNATURE)) {
+    throw createNonRetryableError('El archivo no es un documento de Word válido');
+  }
+
+  // antiword es rápido pero no admite todas las versiones de Word: LibreOffice como alternativa
+  try {
+    return await extractWithAntiword(filePath);
+  } catch (error) {
+    logger.warn(`antiword no pudo extraer ${path.basename(filePath)}, probando con LibreOffice: ${error.message}`);
+  }
+
+  return await convertWithLibreOffice(filePath);
+}
+
+async function readFileHeader(filePath, length) {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function extractWithAntiword(filePath) {
+  const binary = process.env.ANTIWORD_BIN || 'antiword';
+
+  // -w 0: sin cortes de línea artificiales; salida en UTF-8
+  const { stdout } = await execFileAsync(binary, ['-w', '0', '-m', 'UTF-8.txt', filePath], {
+    maxBuffer: 50 * 1024 * 1024,
+    timeout: CONVERSION_TIMEOUT_MS
+  });
+
+  return { text: stdout.trim(), metadata: { converter: 'antiword' } };
+}
+
+// Función para convertir un documento a texto con LibreOffice en modo headless
+async function convertWithLibreOffice(filePath) {
+  const binary = process.env.LIBREOFFICE_BIN || 'soffice';
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-convert-'));
+
+  try {
+    await execFileAsync(binary, [
+      // Perfil propio para que varias conversiones simultáneas no se bloqueen entre sí
+      `-env:UserInstallation=file://${path.join(tmpDir, 'profile')}`,
+      '--headless',
+      '--norestore',
+      '--convert-to', 'txt:Text (encoded):UTF8',
+      '--outdir', tmpDir,
+      filePath
+    ], { maxBuffer: 50 * 1024 * 1024, timeout: CONVERSION_TIMEOUT_MS });
+
+    const outputPath = path.join(tmpDir, `${path.basename(filePath, path.extname(filePath))}.txt`);
+    const text = await fs.readFile(outputPath, 'utf8').catch(() => {
+      throw createNonRetryableError('LibreOffice no pudo convertir el documento');
+    });
+
+    return { text: text.replace(/^\uFEFF/, '').trim(), metadata: { converter: 'libreoffice' } };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw createNonRetryableError('Para procesar documentos .doc es necesario instalar antiword o LibreOffice');
+    }
+    throw error;
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function extractTextFromPlainFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  return { text: text.replace(/^\uFEFF/, ''), metadata: {} };
+}
+
+async function extractTextFromHTMLFile(filePath) {
+  const html = await fs.readFile(filePath, 'utf8');
+  const title = parse(html).querySelector('title')?.text.trim();
+
+  return {
+    text: htmlToText(html),
+    metadata: title ? { html_title: title } : {}
+  };
+}
+
+// Función para convertir HTML en texto conservando encabezados, listas y tablas en formato Markdown
+function htmlToText(html) {
+  const root = parse(html, { blockTextElements: { pre: true } });
+  root.querySelectorAll('script, style, noscript, template, head').forEach(el => el.remove());
+
+  const blocks = [];
+  let inline = '';
+
+  const flush = (prefix = '') => {
+    const text = inline.replace(/\s+/g, ' ').trim();
+    if (text) {
+      blocks.push(prefix + text);
+    }
+    inline = '';
+  };
+
+  const walk = node => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        inline += child.text;
+        continue;
+      }
+
+      if (child.nodeType !== 1) continue;
+
+      const tag = child.tagName.toLowerCase();
+      const heading = tag.match(/^h([1-6])$/);
+
+      if (heading) {
+        flush();
+        inline = child.text;
+        flush(`${'#'.repeat(parseInt(heading[1]))} `);
+      } else if (tag === 'pre') {
+        flush();
+        const code = child.text.replace(/^\n+|\s+$/g, '');
+        if (code) {
+          blocks.push('```\n' + code + '\n```');
+        }
+      } else if (tag === 'table') {
+        flush();
+        const rows = child.querySelectorAll('tr').map(row =>
+          row.querySelectorAll('th, td').map(cell => cell.text)
+        );
+        if (rows.length > 0) {
+          blocks.push(formatTable(rows));
+        }
+      } else if (tag === 'li') {
+        flush();
+        const firstBlock = blocks.length;
+        walk(child);
+        flush();
+        if (blocks.length > firstBlock) {
+          blocks[firstBlock] = `- ${blocks[firstBlock]}`;
+        }
+      } else if (tag === 'br') {
+        inline += '\n';
+      } else if (HTML_BLOCK_TAGS.has(tag)) {
+        flush();
+        walk(child);
+        flush();
+      } else {
+        walk(child);
+      }
+    }
+  };
+
+  walk(root.querySelector('body') || root);
+  flush();
+
+  return blocks.join('\n\n');
+}
+
+// Función para dar formato de tabla Markdown a una lista de filas; la primera fila hace de cabecera
+function formatTable(rows) {
+  const width = Math.max(...rows.map(row => row.length));
+  const formatRow = row => {
+    const cells = Array.from({ length: width }, (_, index) =>
+      String(row[index] ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()
+    );
+    return `| ${cells.join(' | ')} |`;
+  };
+
+  return [
+    formatRow(rows[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(formatRow)
+  ].join('\n');
+}
+
+async function extractTextFromCSV(filePath) {
+  const content = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  const rows = parseCsv(content, detectDelimiter(content));
+
+  return {
+    text: rows.length > 0 ? formatTable(rows) : '',
+    metadata: { row_count: rows.length }
+  };
+}
+
+// Función para elegir el separador (coma, punto y coma o tabulador) más frecuente en la primera línea
+function detectDelimiter(content) {
+  const firstLine = content.split('\n', 1)[0];
+
+  return [',', ';', '\t'].reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  );
+}
+
+// Función para leer un CSV con campos entre comillas, comillas escapadas ("") y saltos de línea en campos
+function parseCsv(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(values => values.some(value => value.trim()));
+}
+
+// Los formatos de Office y OpenDocument son archivos ZIP con partes XML
+
+// Bytes ya descomprimidos de cada ZIP abierto
+const zipInflatedBytes = new WeakMap();
+
+async function readZip(filePath) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  zipInflatedBytes.set(zip, 0);
+  return zip;
+}
+
+async function readZipXml(zip, partPath) {
+  const entry = zip.file(partPath);
+
+  if (!entry) {
+    return null;
+  }
+
+  return new DOMParser({ errorHandler: { warning: () => {} } })
+    .parseFromString(await readZipText(zip, entry), 'text/xml');
+}
+
+// Función para descomprimir una parte como texto sin superar los límites de tamaño. El tamaño
+// declarado se comprueba antes de descomprimir y el real mientras se descomprime, porque el
+// declarado puede ser falso
+async function readZipText(zip, entry) {
+  const limitError = () => createNonRetryableError(
+    `El archivo comprimido supera el tamaño máximo descomprimido (${entry.name})`
+  );
+  let total = zipInflatedBytes.get(zip) || 0;
+  const declaredSize = entry._data?.uncompressedSize || 0;
+
+  if (declaredSize > ZIP_MAX_ENTRY_BYTES || total + declaredSize > ZIP_MAX_TOTAL_BYTES) {
+    throw limitError();
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  await new Promise((resolve, reject) => {
+    const stream = entry.internalStream('uint8array');
+
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        total += chunk.length;
+
+        if (size > ZIP_MAX_ENTRY_BYTES || total > ZIP_MAX_TOTAL_BYTES) {
+          stream.pause();
+          reject(limitError());
+          return;
+        }
+
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', resolve)
+      .resume();
+  });
+
+  zipInflatedBytes.set(zip, total);
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Función para buscar elementos por nombre local, sin depender del prefijo de espacio de nombres
+function byTag(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+// Función para resolver la ruta de una parte relativa a otra dentro del ZIP
+function resolveZipPath(basePart, target) {
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+
+  return path.posix.normalize(path.posix.join(path.posix.dirname(basePart), target));
+}
+
+// Función para leer las relaciones de una parte OOXML: Id -> { type, target }
+async function readRelationships(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const doc = await readZipXml(zip, relsPath);
+  const relationships = new Map();
+
+  if (!doc) {
+    return relationships;
+  }
+
+  for (const relationship of byTag(doc, 'Relationship')) {
+    if (relationship.getAttribute('TargetMode') === 'External') continue;
+
+    relationships.set(relationship.getAttribute('Id'), {
+      type: relationship.getAttribute('Type'),
+      target: resolveZipPath(partPath, relationship.getAttribute('Target'))
+    });
+  }
+
+  return relationships;
+}
+
+// Función para extraer una hoja de cálculo: cada hoja se convierte en una sección con su tabla
+async function extractTextFromXLSX(filePath) {
+  const zip = await readZip(filePath);
+  const workbookPath = 'xl/workbook.xml';
+  const workbook = await readZipXml(zip, workbookPath);
+
+  if (!workbook) {
+    throw new Error('El archivo no es un libro de Excel válido');
+  }
+
+  const relationships = await readRelationships(zip, workbookPath);
+  const sharedStrings = await readSharedStrings(zip, relationships);
+  const sheets = [];
+
+  for (const sheet of byTag(workbook, 'sheet')) {
+    const sheetPath = relationships.get(sheet.getAttribute('r:id'))?.target;
+    const sheetDoc = sheetPath && await readZipXml(zip, sheetPath);
+
+    if (!sheetDoc) continue;
+
+    const rows = readSheetRows(sheetDoc, sharedStrings);
+
+    if (rows.length > 0) {
+      sheets.push({ name: sheet.getAttribute('name'), rows });
+    }
+  }
+
+  return {
+    text: sheets.map(sheet => `## ${sheet.name}\n\n${formatTable(sheet.rows)}`).join('\n\n'),
+    metadata: {
+      sheet_count: sheets.length,
+      sheet_names: sheets.map(sheet => sheet.name)
+    }
+  };
+}
+
+async function readSharedStrings(zip, relationships) {
+  const sharedStringsPath = [...relationships.values()]
+    .find(relationship => relationship.type.endsWith('/sharedStrings'))?.target || 'xl/sharedStrings.xml';
+  const doc = await readZipXml(zip, sharedStringsPath);
+
+  if (!doc) {
+    return [];
+  }
+
+  // Las cadenas con formato se dividen en varios <r><t>; las lecturas fonéticas (<rPh>) se omiten
+  return byTag(doc, 'si').map(item =>
+    byTag(item, 't')
+      .filter(t => t.parentNode.localName !== 'rPh')
+      .map(t => t.textContent)
+      .join('')
+  );
+}
+
+function readSheetRows(sheetDoc, sharedStrings) {
+  const rows = [];
+
+  for (const row of byTag(sheetDoc, 'row')) {
+    const values = [];
+
+    for (const cell of byTag(row, 'c')) {
+      const index = getColumnIndex(cell.getAttribute('r'));
+      values[index ?? values.length] = getCellValue(cell, sharedStrings);
+    }
+
+    // Las celdas vacías no aparecen en el XML: rellenar los huecos
+    const filled = Array.from(values, value => value ?? '');
+
+    if (filled.some(value => value.trim())) {
+      rows.push(filled);
+    }
+  }
+
+  return rows;
+}
+
+// Función para obtener el índice de columna (base 0) de una referencia como "AB12"
+function getColumnIndex(reference) {
+  const letters = (reference || '').match(/^[A-Z]+/)?.[0];
+
+  if (!letters) {
+    return null;
+  }
+
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function getCellValue(cell, sharedStrings) {
+  const type = cell.getAttribute('t');
+  const value = byTag(cell, 'v')[0]?.textContent || '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[parseInt(value)] || '';
+    case 'inlineStr':
+      return byTag(cell, 't').map(t => t.textContent).join('');
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    default:
+      return value;
+  }
+}
+
+// Función para extraer una presentación diapositiva a diapositiva, con sus notas del orador.
+// page_offsets guarda dónde empieza cada diapositiva para citarlas como las páginas de un PDF
+async function extractTextFromPPTX(filePath) {
+  const zip = await readZip(filePath);
+  const presentationPath = 'ppt/presentation.xml';
+  const presentation = await readZipXml(zip, presentationPath);
+
+  if (!presentation) {
+    throw new Error('El archivo no es una presentación de PowerPoint válida');
+  }
+
+  const relationships = await readRelationships(zip, presentationPath);
+  const slides = [];
+
+  for (const slideId of byTag(presentation, 'sldId')) {
+    const slidePath = relationships.get(slideId.getAttribute('r:id'))?.target;
+    const slide = slidePath && await readZipXml(zip, slidePath);
+
+    if (!slide) continue;
+
+    const slideRelationships = await readRelationships(zip, slidePath);
+    const notesPath = [...slideRelationships.values()]
+      .find(relationship => relationship.type.endsWith('/notesSlide'))?.target;
+    const notes = notesPath && await readZipXml(zip, notesPath);
+
+    slides.push(formatSlide(slides.length + 1, slide, notes));
+  }
+
+  const { text, offsets } = joinParts(slides);
+
+  return {
+    text,
+    metadata: { slide_count: slides.length, page_offsets: offsets }
+  };
+}
+
+function formatSlide(number, slide, notes) {
+  const titleParagraphs = getPlaceholderShapes(slide, ['title', 'ctrTitle']).flatMap(getDrawingParagraphs);
+  const bodyParagraphs = getDrawingParagraphs(slide);
+
+  // El título se muestra en el encabezado: quitarlo del cuerpo
+  for (const title of titleParagraphs) {
+    const index = bodyParagraphs.indexOf(title);
+    if (index !== -1) {
+      bodyParagraphs.splice(index, 1);
+    }
+  }
+
+  const title = titleParagraphs.join(' ');
+  const lines = [title ? `## Diapositiva ${number}: ${title}` : `## Diapositiva ${number}`];
+
+  if (bodyParagraphs.length > 0) {
+    lines.push('', ...bodyParagraphs);
+  }
+
+  // En las notas solo interesa el cuerpo, no la miniatura ni el número de diapositiva
+  const noteParagraphs = notes
+    ? getPlaceholderShapes(notes, ['body']).flatMap(getDrawingParagraphs)
+    : [];
+
+  if (noteParagraphs.length > 0) {
+    lines.push('', 'Notas del orador:', ...noteParagraphs);
+  }
+
+  return lines.join('\n');
+}
+
+function getPlaceholderShapes(doc, types) {
+  return byTag(doc, 'sp').filter(shape => {
+    const placeholder = byTag(shape, 'ph')[0];
+    return placeholder && types.includes(placeholder.getAttribute('type'));
+  });
+}
+
+// Función para obtener los párrafos de texto (<a:p>) de una diapositiva o forma
+function getDrawingParagraphs(node) {
+  return byTag(node, 'p')
+    .map(paragraph => byTag(paragraph, 't').map(t => t.textContent).join('').trim())
+    .filter(Boolean);
+}
+
+// Función para extraer un libro EPUB capítulo a capítulo siguiendo el orden de lectura (spine)
+async function extractTextFromEPUB(filePath) {
+  const zip = await readZip(filePath);
+  const container = await readZipXml(zip, 'META-INF/container.xml');
+  const packagePath = container && byTag(container, 'rootfile')[0]?.getAttribute('full-path');
+  const opf = packagePath && await readZipXml(zip, packagePath);
+
+  if (!opf) {
+    throw new Error('El archivo no es un libro EPUB válido');
+  }
+
+  const manifest = new Map(byTag(opf, 'item').map(item => [item.getAttribute('id'), item]));
+  const chapters = [];
+
+  for (const itemref of byTag(opf, 'itemref')) {
+    const item = manifest.get(itemref.getAttribute('idref'));
+
+    if (!item || !item.getAttribute('media-type').includes('html')) continue;
+
+    const chapterPath = resolveZipPath(packagePath, decodeURIComponent(item.getAttribute('href')));
+    const entry = zip.file(chapterPath);
+
+    if (!entry) continue;
+
+    const chapterText = htmlToText(await readZipText(zip, entry));
+
+    if (!chapterText) continue;
+
+    // Los capítulos sin encabezado propio reciben uno para que los fragmentos indiquen su capítulo
+    chapters.push(chapterText.startsWith('#')
+      ? chapterText
+      : `# Capítulo ${chapters.length + 1}\n\n${chapterText}`);
+  }
+
+  const bookTitle = byTag(opf, 'title')[0]?.textContent.trim();
+  const bookAuthor = byTag(opf, 'creator')[0]?.textContent.trim();
+
+  return {
+    text: chapters.join('\n\n'),
+    metadata: {
+      chapter_count: chapters.length,
+      ...(bookTitle && { book_title: bookTitle }),
+      ...(bookAuthor && { book_author: bookAuthor })
+    }
+  };
+}
+
+// Función para extraer un documento OpenDocument de texto con encabezados, listas y tablas
+async function extractTextFromODT(filePath) {
+  const zip = await readZip(filePath);
+  const content = await readZipXml(zip, 'content.xml');
+  const body = content && byTag(content, 'text')[0];
+
+  if (!body) {
+    throw new Error('El archivo no es un documento ODT válido');
+  }
+
+  const blocks = [];
+  collectOdtBlocks(body, blocks);
+
+  return { text: blocks.join('\n\n'), metadata: {} };
+}
+
+function collectOdtBlocks(node, blocks) {
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType !== 1) continue;
+
+    switch (child.localName) {
+      case 'h': {
+        const text = getOdtText(child).trim();
+        const level = Math.min(parseInt(child.getAttribute('text:outline-level')) || 1, 6);
+        if (text) {
+          blocks.push(`${'#'.repeat(level)} ${text}`);
+        }
+        break;
+      }
+      case 'p': {
+        const text = getOdtText(child).trim();
+        if (text) {
+          blocks.push(text);
+        }
+        break;
+      }
+      case 'list-item': {
+        const itemBlocks = [];
+        collectOdtBlocks(child, itemBlocks);
+        if (itemBlocks.length > 0) {
+          blocks.push(`- ${itemBlocks.join('\n')}`);
+        }
+        break;
+      }
+      case 'table': {
+        const rows = byTag(child, 'table-row').map(row =>
+          byTag(row, 'table-cell').map(cell => byTag(cell, 'p').map(getOdtText).join(' '))
+        );
+        if (rows.length > 0) {
+          blocks.push(formatTable(rows));
+        }
+        break;
+      }
+      case 'tracked-changes':
+        // Texto eliminado en el control de cambios
+        break;
+      default:
+        collectOdtBlocks(child, blocks);
+    }
+  }
+}
+
+// Función para obtener el texto de un párrafo ODT: los espacios repetidos, tabuladores
+// y saltos de línea se guardan como elementos (<text:s text:c="3"/>, <text:tab/>...)
+function getOdtText(node) {
+  let text = '';
+
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      text += child.data;
+      continue;
+    }
+
+    if (child.nodeType !== 1) continue;
+
+    switch (child.localName) {
+      case 's':
+        text += ' '.repeat(parseInt(child.getAttribute('text:c')) || 1);
+        break;
+      case 'tab':
+        text += '\t';
+        break;
+      case 'line-break':
+        text += '\n';
+        break;
+      case 'note-citation':
+        break;
+      default:
+        text += getOdtText(child);
+    }
+  }
+
+  return text;
+}
+
+async function extractTextFromImage(filePath) {
+  const result = await recognizeImage(filePath);
+
+  return {
+    text: result.text,
+    metadata: buildOcrMetadata([{ page: null, confidence: result.confidence }])
+  };
+}
+
+async function extractTextFromAudio(filePath) {
+  const transcription = await transcribeAudio(filePath);
+
+  return {
+    text: transcription.text,
+    metadata: {
+      transcript_segments: transcription.segments,
+      duration: transcription.duration,
+      transcription_provider: transcription.provider,
+      transcription_model: transcription.model
+    }
+  };
+}
+
+// Función para registrar un extractor anotando en el log los fallos de extracción
+function register(extractor) {
+  registerExtractor({
+    ...extractor,
+    extract: async filePath => {
+      try {
+        return await extractor.extract(filePath);
+      } catch (error) {
+        logger.error(`Error al extraer texto (${extractor.name}):`, error);
+        throw error;
+      }
+    }
+  });
+}
+
+// Extractores incorporados
+register({
+  name: 'pdf',
+  sourceType: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  extract: extractTextFromPDF
+});
+
+register({
+  name: 'docx',
+  sourceType: 'doc',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extract: extractTextFromDOCX
+});
+
+register({
+  name: 'doc',
+  sourceType: 'doc',
+  extensions: ['.doc'],
+  mimeTypes: ['application/msword'],
+  extract: extractTextFromDOC
+});
+
+register({
+  name: 'odt',
+  sourceType: 'doc',
+  extensions: ['.odt'],
+  mimeTypes: ['application/vnd.oasis.opendocument.text'],
+  extract: extractTextFromODT
+});
+
+register({
+  name: 'text',
+  sourceType: 'text',
+  extensions: ['.txt'],
+  mimeTypes: ['text/plain'],
+  extract: extractTextFromPlainFile
+});
+
+register({
+  name: 'markdown',
+  sourceType: 'markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extract: extractTextFromPlainFile
+});
+
+register({
+  name: 'html',
+  sourceType: 'html',
+  extensions: ['.html', '.htm', '.xhtml'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extract: extractTextFromHTMLFile
+});
+
+register({
+  name: 'csv',
+  sourceType: 'spreadsheet',
+  extensions: ['.csv', '.tsv'],
+  mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+  extract: extractTextFromCSV
+});
+
+register({
+  name: 'xlsx',
+  sourceType: 'spreadsheet',
+  extensions: ['.xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extract: extractTextFromXLSX
+});
+
+register({
+  name: 'pptx',
+  sourceType: 'presentation',
+  extensions: ['.pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  extract: extractTextFromPPTX
+});
+
+register({
+  name: 'epub',
+  sourceType: 'epub',
+  extensions: ['.epub'],
+  mimeTypes: ['application/epub+zip'],
+  extract: extractTextFromEPUB
+});
+
+register({
+  name: 'image',
+  sourceType: 'image',
+  extensions: ['.png', '.jpg', '.jpeg'],
+  mimeTypes: ['image/png', 'image/jpeg'],
+  extract: extractTextFromImage
+});
+
+register({
+  name: 'audio',
+  sourceType: 'audio',
+  extensions: ['.mp3', '.wav', '.m4a'],
+  mimeTypes: ['audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/mp4', 'audio/x-m4a'],
+  extract: extractTextFromAudio
+});
+
+module.exports = {
+  htmlToText,
+  formatTable
+};
\ No newline at end of file
@@ -0,0 +1,193 @@
+const { pool } = require('../database/init');
+const logger = require('../utils/logger');
+
+// Configuración de la cola de trabajos
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const JOB_BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000;
+const JOB_BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS) || 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Manejadores registrados por tipo de trabajo
+const handlers = new Map();
+
+let activeJobs = 0;
+let polling = false;
+let pollTimer = null;
+
+// Función para registrar el manejador de un tipo de trabajo
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Función para encolar un trabajo
+async function enqueueJob(type, payload = {}, options = {}) {
+  try {
+    const result = await pool.query(`
+      INSERT INTO jobs (type, payload, user_id, max_attempts)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [type, payload, options.userId || null, options.maxAttempts || DEFAULT_MAX_ATTEMPTS]);
+
+    const job = result.rows[0];
+    logger.info(`Trabajo encolado: ${job.type} (${job.id})`);
+
+    // Intentar procesarlo de inmediato si el worker está activo
+    if (pollTimer) {
+      setImmediate(pollJobs);
+    }
+
+    return job;
+  } catch (error) {
+    logger.error('Error al encolar trabajo:', error);
+    throw error;
+  }
+}
+
+// Función para obtener un trabajo por id
+async function getJob(jobId) {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+}
+
+// Función para registrar el progreso de un trabajo en ejecución
+async function updateJobProgress(jobId, progress) {
+  await pool.query(
+    'UPDATE jobs SET progress = $1, updated_at = NOW() WHERE id = $2',
+    [progress, jobId]
+  );
+}
+
+// Función para crear un error que hace fallar el trabajo sin reintentos (p. ej. un archivo ilegible)
+function createNonRetryableError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Función para calcular el retraso antes del siguiente intento (backoff exponencial)
+function computeBackoff(attempts) {
+  const delay = JOB_BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, JOB_BACKOFF_MAX_MS);
+}
+
+// Función para reclamar el siguiente trabajo pendiente
+async function claimNextJob() {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, started_at = NOW(), updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_at <= NOW()
+      ORDER BY run_at ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `);
+
+  return result.rows[0] || null;
+}
+
+// Función para ejecutar un trabajo y registrar su resultado
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No hay manejador registrado para el tipo de trabajo: ${job.type}`);
+    }
+
+    await handler(job.payload, job);
+
+    await pool.query(
+      `UPDATE jobs SET status = 'completed', last_error = NULL, completed_at = NOW(), updated_at = NOW() WHERE id = $1`,
+      [job.id]
+    );
+
+    logger.info(`Trabajo completado: ${job.type} (${job.id})`);
+  } catch (error) {
+    // Los errores marcados como no reintentables (p. ej. un archivo ilegible) fallan a la primera
+    if (job.attempts >= job.max_attempts || error.retryable === false) {
+      logger.error(`Trabajo fallido definitivamente tras ${job.attempts} intentos: ${job.type} (${job.id})`, error);
+
+      await pool.query(
+        `UPDATE jobs SET status = 'failed', last_error = $1, completed_at = NOW(), updated_at = NOW() WHERE id = $2`,
+        [error.message, job.id]
+      );
+    } else {
+      const delay = computeBackoff(job.attempts);
+      logger.warn(`Trabajo ${job.type} (${job.id}) falló en el intento ${job.attempts}, reintentando en ${delay} ms: ${error.message}`);
+
+      await pool.query(
+        `UPDATE jobs
+         SET status = 'pending', last_error = $1, run_at = NOW() + $2 * INTERVAL '1 millisecond', updated_at = NOW()
+         WHERE id = $3`,
+        [error.message, delay, job.id]
+      );
+    }
+  }
+}
+
+// Función para reclamar y lanzar trabajos respetando el límite de concurrencia
+async function pollJobs() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch(error => logger.error(`Error al ejecutar trabajo ${job.id}:`, error))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(pollJobs);
+        });
+    }
+  } catch (error) {
+    logger.error('Error al consultar la cola de trabajos:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+// Función para iniciar el worker, reanudando los trabajos interrumpidos
+async function startJobWorker() {
+  // Los trabajos que quedaron en ejecución pertenecen a un proceso anterior
+  const result = await pool.query(`
+    UPDATE jobs SET status = 'pending', run_at = NOW(), updated_at = NOW()
+    WHERE status = 'running'
+    RETURNING id
+  `);
+
+  if (result.rows.length > 0) {
+    logger.info(`Reanudando ${result.rows.length} trabajos interrumpidos`);
+  }
+
+  pollTimer = setInterval(pollJobs, JOB_POLL_INTERVAL_MS);
+  logger.info(`Worker de trabajos iniciado (concurrencia: ${JOB_CONCURRENCY})`);
+
+  await pollJobs();
+}
+
+// Función para detener el worker
+function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  updateJobProgress,
+  createNonRetryableError,
+  startJobWorker,
+  stopJobWorker
+};
\ No newline at end of file
@@ -1,225 +1,999 @@
-const { Configuration, OpenAIApi } = require('openai');
+const { OpenAI } = require('openai');
 const { Anthropic } = require('@anthropic-ai/sdk');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
+const crypto = require('crypto');
 const { pool } = require('../database/init');
+const { countTokens } = require('./chunkingService');
+const { recordUsage } = require('./usageService');
 const logger = require('../utils/logger');
 
-// Función para obtener la configuración LLM activa
-async function getActiveLLMConfig() {
+// Tareas a las que se puede asignar un modelo; la de embeddings usa configuraciones de tipo 'embedding'
+const LLM_TASKS = ['chat', 'summary', 'notebook_details', 'podcast_script', 'embeddings'];
+
+// Modelo de embeddings usado con OpenAI cuando no hay una configuración de tipo 'embedding'
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-ada-002';
+const LEGACY_EMBEDDING_DIMENSIONS = 1536;
+
+// Textos enviados por petición al generar embeddings en lote
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64;
+
+// Política de reintentos y respaldo de las peticiones de chat (los SDK se usan con maxRetries: 0
+// para que sus reintentos internos no se sumen a estos)
+const LLM_REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS) || 120000;
+// LLM_MAX_RETRIES=0 desactiva los reintentos; vacío o no numérico se usa el valor por defecto
+const LLM_MAX_RETRIES = Number.isNaN(parseInt(process.env.LLM_MAX_RETRIES)) ? 2 : Math.max(parseInt(process.env.LLM_MAX_RETRIES), 0);
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000;
+const LLM_MAX_RETRY_DELAY_MS = 30000;
+const LLM_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3;
+const LLM_CIRCUIT_RESET_MS = parseInt(process.env.LLM_CIRCUIT_RESET_MS) || 60000;
+
+// Errores de red que suelen resolverse reintentando
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+// Estado del circuito de cada configuración LLM: { failures, openUntil }
+const circuits = new Map();
+
+// Consumo de una llamada que falló sin generar nada
+const NO_USAGE = { promptTokens: 0, completionTokens: 0, estimated: false };
+
+// Proveedor simulado para desarrollo sin red y pruebas automáticas. Se puede crear como cualquier
+// configuración (provider 'mock') o forzar con LLM_MOCK=true, que ignora las de la base de datos
+const LLM_MOCK = process.env.LLM_MOCK === 'true';
+const LLM_MOCK_EMBEDDING_DIMENSIONS = parseInt(process.env.LLM_MOCK_EMBEDDING_DIMENSIONS) || 256;
+
+const MOCK_LLM_CONFIG = {
+  id: 'mock',
+  name: 'Simulado',
+  provider: 'mock',
+  model: 'mock',
+  config_type: 'llm',
+  config: {}
+};
+
+// El modelo incluye las dimensiones para no mezclar vectores de distinto tamaño en el índice y la caché
+const MOCK_EMBEDDING_CONFIG = {
+  id: 'mock-embedding',
+  name: 'Embeddings simulados',
+  provider: 'mock',
+  model: `hash-${LLM_MOCK_EMBEDDING_DIMENSIONS}`,
+  config_type: 'embedding',
+  config: { dimensions: LLM_MOCK_EMBEDDING_DIMENSIONS }
+};
+
+// Función para obtener las configuraciones activas de un tipo, en el orden en que se prueban:
+// primero la predeterminada y después de menor a mayor prioridad
+async function getActiveConfigs(configType) {
+  const result = await pool.query(`
+    SELECT * FROM llm_configs 
+    WHERE is_active = true AND config_type = $1
+    ORDER BY is_default DESC, priority ASC, created_at ASC
+  `, [configType]);
+  
+  if (result.rows.length === 0) {
+    throw new Error(`No hay configuración activa de tipo ${configType}`);
+  }
+  
+  return result.rows;
+}
+
+// Función para obtener la configuración activa de un tipo (llm, transcription...)
+async function getActiveConfig(configType) {
   try {
-    const result = await pool.query(`
-      SELECT * FROM llm_configs 
-      WHERE is_active = true 
-      ORDER BY is_default DESC 
-      LIMIT 1
-    `);
-    
-    if (result.rows.length === 0) {
-      throw new Error('No hay configuración LLM activa');
-    }
-    
-    return result.rows[0];
+    const [config] = await getActiveConfigs(configType);
+    return config;
   } catch (error) {
-    logger.error('Error al obtener configuración LLM:', error);
+    logger.error(`Error al obtener configuración ${configType}:`, error);
     throw error;
   }
 }
 
-// Función para generar respuesta de chat
+// Función para obtener la configuración LLM activa
+async function getActiveLLMConfig() {
+  return LLM_MOCK ? MOCK_LLM_CONFIG : getActiveConfig('llm');
+}
+
+// Función para obtener las configuraciones LLM activas en el orden en que se prueban para una tarea:
+// el modelo elegido para el cuaderno (solo en el chat), el asignado a la tarea y después el orden
+// habitual (predeterminada y resto por prioridad)
+async function getLLMConfigChain({ task = null, notebookId = null } = {}) {
+  if (LLM_MOCK) {
+    return [MOCK_LLM_CONFIG];
+  }
+  
+  const result = await pool.query(`
+    SELECT c.* FROM llm_configs c
+    WHERE c.is_active = true AND c.config_type = 'llm'
+    ORDER BY
+      COALESCE(c.user_selectable AND c.id = (SELECT llm_config_id FROM notebooks WHERE id = $2), false) DESC,
+      COALESCE(c.id = (SELECT config_id FROM llm_task_routes WHERE task = $1), false) DESC,
+      c.is_default DESC, c.priority ASC, c.created_at ASC
+  `, [task, task === 'chat' ? notebookId : null]);
+  
+  if (result.rows.length === 0) {
+    throw new Error('No hay configuración activa de tipo llm');
+  }
+  
+  return result.rows;
+}
+
+// Función para generar respuesta de chat. options.task (chat, summary, notebook_details, podcast_script)
+// elige el modelo asignado a la tarea y options.notebookId el elegido para el cuaderno; ambos, junto
+// con options.userId, etiquetan el consumo registrado
 async function generateChatResponse(messages, options = {}) {
   try {
-    const llmConfig = await getActiveLLMConfig();
-    
-    switch (llmConfig.provider) {
-      case 'openai':
-        return await generateOpenAIResponse(llmConfig, messages, options);
-      case 'anthropic':
-        return await generateAnthropicResponse(llmConfig, messages, options);
-      case 'gemini':
-        return await generateGeminiResponse(llmConfig, messages, options);
-      case 'ollama':
-        return await generateOllamaResponse(llmConfig, messages, options);
-      default:
-        throw new Error(`Proveedor no soportado: ${llmConfig.provider}`);
-    }
+    return await runWithFallback(options, (llmConfig, attemptOptions) =>
+      trackUsage(llmConfig, options,
+        () => callProvider(llmConfig, messages, attemptOptions),
+        result => getChatUsage(messages, result)
+      )
+    );
   } catch (error) {
     logger.error('Error al generar respuesta de chat:', error);
     throw error;
   }
 }
 
-// Función para generar embeddings
-async function generateEmbeddings(text) {
+// Función para generar respuesta de chat en streaming; onToken recibe cada fragmento de texto.
+// options.signal (AbortSignal) cancela la petición al proveedor.
+async function streamChatResponse(messages, options = {}, onToken = () => {}) {
+  // Una vez enviado texto al cliente ya no se puede reintentar ni pasar a otro proveedor
+  let tokensSent = false;
+  
   try {
-    const llmConfig = await getActiveLLMConfig();
-    
-    switch (llmConfig.provider) {
-      case 'openai':
-        return await generateOpenAIEmbeddings(llmConfig, text);
-      case 'ollama':
-        return await generateOllamaEmbeddings(llmConfig, text);
-      default:
-        // Fallback a OpenAI para embeddings si el proveedor no los soporta
-        const openAIConfig = await pool.query(`
-          SELECT * FROM llm_configs 
-          WHERE provider = 'openai' AND is_active = true 
-          LIMIT 1
-        `);
-        
-        if (openAIConfig.rows.length > 0) {
-          return await generateOpenAIEmbeddings(openAIConfig.rows[0], text);
-        } else {
-          throw new Error('No hay configuración de OpenAI disponible para embeddings');
-        }
-    }
+    return await runWithFallback(options, (llmConfig, attemptOptions, onFirstToken) => {
+      // Texto recibido en este intento, para estimar el consumo si se interrumpe
+      let partialText = '';
+      
+      return trackUsage(llmConfig, options,
+        () => streamProvider(llmConfig, messages, attemptOptions, token => {
+          partialText += token;
+          
+          if (!tokensSent) {
+            tokensSent = true;
+            onFirstToken();
+          }
+          onToken(token);
+        }),
+        result => getChatUsage(messages, result, partialText)
+      );
+    }, () => !tokensSent);
   } catch (error) {
-    logger.error('Error al generar embeddings:', error);
+    if (options.signal?.aborted) {
+      logger.info('Respuesta de chat en streaming cancelada por el cliente');
+    } else {
+      logger.error('Error al generar respuesta de chat en streaming:', error);
+    }
     throw error;
   }
 }
 
-// Implementaciones específicas para cada proveedor
+function callProvider(llmConfig, messages, options) {
+  switch (llmConfig.provider) {
+    case 'openai':
+    case 'openai_compatible':
+      return generateOpenAIResponse(llmConfig, messages, options);
+    case 'anthropic':
+      return generateAnthropicResponse(llmConfig, messages, options);
+    case 'gemini':
+      return generateGeminiResponse(llmConfig, messages, options);
+    case 'ollama':
+      return generateOllamaResponse(llmConfig, messages, options);
+    case 'mock':
+      return generateMockResponse(llmConfig, messages, options);
+    default:
+      throw new Error(`Proveedor no soportado: ${llmConfig.provider}`);
+  }
+}
 
-async function generateOpenAIResponse(config, messages, options) {
-  const openai = new OpenAIApi(new Configuration({
-    apiKey: config.api_key,
-    basePath: config.base_url || undefined
-  }));
+function streamProvider(llmConfig, messages, options, onToken) {
+  switch (llmConfig.provider) {
+    case 'openai':
+    case 'openai_compatible':
+      return streamOpenAIResponse(llmConfig, messages, options, onToken);
+    case 'anthropic':
+      return streamAnthropicResponse(llmConfig, messages, options, onToken);
+    case 'gemini':
+      return streamGeminiResponse(llmConfig, messages, options, onToken);
+    case 'ollama':
+      return streamOllamaResponse(llmConfig, messages, options, onToken);
+    case 'mock':
+      return streamMockResponse(llmConfig, messages, options, onToken);
+    default:
+      throw new Error(`Proveedor no soportado: ${llmConfig.provider}`);
+  }
+}
+
+// Cadena de respaldo entre proveedores
+
+// Función para ejecutar una petición recorriendo las configuraciones LLM activas en orden hasta que
+// una responda. Las configuraciones con el circuito abierto se saltan mientras quede alguna otra
+async function runWithFallback(options, call, canRetry = () => true) {
+  const chain = await getLLMConfigChain(options);
+  const available = chain.filter(llmConfig => !isCircuitOpen(llmConfig));
+  const candidates = available.length > 0 ? available : chain;
+  let lastError;
   
-  const response = await openai.createChatCompletion({
-    model: config.model,
-    messages: messages.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'assistant',
-      content: msg.content
-    })),
-    temperature: options.temperature || 0.7,
-    max_tokens: options.max_tokens || 1000,
-    ...config.config
+  for (const llmConfig of candidates) {
+    try {
+      const response = await callWithRetry(llmConfig, options, call, canRetry);
+      
+      recordSuccess(llmConfig);
+      
+      if (llmConfig !== chain[0]) {
+        logger.info(`Respuesta generada con el proveedor de respaldo ${llmConfig.provider} (${llmConfig.model})`);
+      }
+      
+      return response;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      
+      recordFailure(llmConfig);
+      logger.warn(`Falló el proveedor ${llmConfig.provider} (${llmConfig.model}): ${error.message}`);
+      lastError = error;
+      
+      if (!canRetry()) {
+        throw error;
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
+// Función para reintentar con espera exponencial los errores transitorios (429, 5xx, tiempos agotados)
+async function callWithRetry(llmConfig, options, call, canRetry) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await callWithTimeout(llmConfig, options, call);
+    } catch (error) {
+      if (options.signal?.aborted || attempt >= LLM_MAX_RETRIES || !canRetry() || !isRetryableError(error)) {
+        throw error;
+      }
+      
+      const delay = getRetryDelay(error, attempt);
+      logger.warn(`Reintentando ${llmConfig.provider} (${llmConfig.model}) en ${delay} ms: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      
+      if (options.signal?.aborted) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Función para limitar la duración de una petición. En streaming el límite se aplica hasta el
+// primer fragmento (onFirstToken lo desactiva); la cancelación del cliente se propaga al proveedor
+async function callWithTimeout(llmConfig, options, call) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timer;
+  
+  options.signal?.addEventListener('abort', abort);
+  
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`El proveedor ${llmConfig.provider} no respondió en ${LLM_REQUEST_TIMEOUT_MS} ms`);
+      error.code = 'LLM_TIMEOUT';
+      reject(error);
+    }, LLM_REQUEST_TIMEOUT_MS);
   });
   
+  try {
+    return await Promise.race([
+      call(llmConfig, { ...options, signal: controller.signal }, () => clearTimeout(timer)),
+      timeout
+    ]);
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener('abort', abort);
+  }
+}
+
+// Registro del consumo
+
+// Función para medir una llamada al proveedor y registrar su consumo y latencia, también si falla.
+// getUsage(result) calcula los tokens de la llamada (result es undefined si falló)
+async function trackUsage(config, options, call, getUsage) {
+  const startedAt = Date.now();
+  let result;
+  
+  try {
+    result = await call();
+    return result;
+  } finally {
+    await recordUsage({
+      provider: config.provider,
+      model: config.model,
+      task: options.task,
+      userId: options.userId,
+      notebookId: options.notebookId,
+      latencyMs: Date.now() - startedAt,
+      success: result !== undefined,
+      ...getUsage(result)
+    });
+  }
+}
+
+// Función para obtener el consumo de una respuesta de chat. Una llamada fallida solo cuenta si llegó
+// a generar texto (streaming interrumpido), y entonces se estima
+function getChatUsage(messages, result, partialText = '') {
+  if (!result && !partialText) {
+    return NO_USAGE;
+  }
+  
+  const prompt = messages.map(msg => msg.content).join('\n');
+  return resolveUsage(result?.usage, prompt, result ? result.text : partialText);
+}
+
+// Función para completar los tokens informados por el proveedor estimando con el tokenizador los que
+// falten (proveedor simulado, servidores compatibles que no los informan, Ollama con el prompt en caché)
+function resolveUsage(reported = {}, promptText, completionText) {
   return {
-    text: response.data.choices[0].message.content,
-    provider: 'openai',
-    model: config.model
+    promptTokens: reported.promptTokens ?? countTokens(promptText),
+    completionTokens: reported.completionTokens ?? countTokens(completionText),
+    estimated: reported.promptTokens == null || reported.completionTokens == null
   };
 }
 
-async function generateAnthropicResponse(config, messages, options) {
-  const anthropic = new Anthropic({
+// Función para obtener el código HTTP de un error de cualquiera de los SDK
+function getErrorStatus(error) {
+  const status = error.status ?? error.status_code ?? error.response?.status;
+  
+  if (status) {
+    return parseInt(status);
+  }
+  
+  // El SDK de Gemini solo incluye el código en el mensaje: "[429 Too Many Requests]"
+  const match = error.message?.match(/\[(\d{3}) [^\]]*\]/);
+  return match ? parseInt(match[1]) : null;
+}
+
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  
+  const code = error.code || error.cause?.code;
+  
+  // Si el servidor rechaza la conexión (Ollama parado) es mejor pasar al siguiente proveedor
+  if (code === 'ECONNREFUSED') {
+    return false;
+  }
+  
+  return code === 'LLM_TIMEOUT' ||
+         TRANSIENT_ERROR_CODES.includes(code) ||
+         ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.name);
+}
+
+// Espera exponencial con algo de aleatoriedad, o la indicada por el proveedor en Retry-After
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseFloat(error.headers?.['retry-after']);
+  
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, LLM_MAX_RETRY_DELAY_MS);
+  }
+  
+  const delay = LLM_RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(Math.round(delay * (1 + Math.random() * 0.25)), LLM_MAX_RETRY_DELAY_MS);
+}
+
+// Circuito por configuración: tras varios fallos seguidos se deja de usar durante un tiempo
+
+function isCircuitOpen(llmConfig) {
+  const circuit = circuits.get(llmConfig.id);
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+function recordFailure(llmConfig) {
+  const circuit = circuits.get(llmConfig.id) || { failures: 0, openUntil: 0 };
+  circuit.failures++;
+  
+  // Tras el tiempo de espera se vuelve a probar; si falla otra vez el circuito se reabre
+  if (circuit.failures >= LLM_CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + LLM_CIRCUIT_RESET_MS;
+    logger.warn(`Proveedor ${llmConfig.provider} (${llmConfig.model}) desactivado ${LLM_CIRCUIT_RESET_MS} ms tras ${circuit.failures} fallos seguidos`);
+  }
+  
+  circuits.set(llmConfig.id, circuit);
+}
+
+function recordSuccess(llmConfig) {
+  circuits.delete(llmConfig.id);
+}
+
+// Función para obtener la configuración de embeddings activa (la asignada a la tarea de embeddings o la
+// predeterminada), con su identificador de modelo y dimensiones
+async function getEmbeddingConfig() {
+  const config = LLM_MOCK ? MOCK_EMBEDDING_CONFIG : await findEmbeddingConfig();
+  
+  return {
+    ...config,
+    model_id: `${config.provider}:${config.model}`,
+    dimensions: parseInt(config.config?.dimensions) || null
+  };
+}
+
+async function findEmbeddingConfig() {
+  const result = await pool.query(`
+    SELECT c.* FROM llm_configs c
+    LEFT JOIN llm_task_routes r ON r.config_id = c.id AND r.task = 'embeddings'
+    WHERE c.is_active = true AND c.config_type = 'embedding'
+    ORDER BY (r.task IS NOT NULL) DESC, c.is_default DESC, c.priority ASC
+    LIMIT 1
+  `);
+  
+  return result.rows[0] || await getLegacyEmbeddingConfig();
+}
+
+// Función para derivar la configuración de embeddings de la configuración de chat
+// (comportamiento anterior a las configuraciones de tipo 'embedding')
+async function getLegacyEmbeddingConfig() {
+  const llmConfig = await getActiveLLMConfig();
+  
+  if (llmConfig.provider === 'ollama') {
+    return llmConfig;
+  }
+  
+  if (llmConfig.provider === 'openai') {
+    return { ...llmConfig, model: LEGACY_EMBEDDING_MODEL, config: { dimensions: LEGACY_EMBEDDING_DIMENSIONS } };
+  }
+  
+  // Fallback a OpenAI para embeddings si el proveedor no los soporta
+  const openAIConfig = await pool.query(`
+    SELECT * FROM llm_configs 
+    WHERE provider = 'openai' AND is_active = true AND config_type = 'llm'
+    LIMIT 1
+  `);
+  
+  if (openAIConfig.rows.length === 0) {
+    throw new Error('No hay configuración de embeddings ni de OpenAI disponible');
+  }
+  
+  return { ...openAIConfig.rows[0], model: LEGACY_EMBEDDING_MODEL, config: { dimensions: LEGACY_EMBEDDING_DIMENSIONS } };
+}
+
+// Función para generar embeddings con la configuración indicada o la activa
+async function generateEmbeddings(text, embeddingConfig = null, options = {}) {
+  const [embedding] = await generateEmbeddingsBatch([text], embeddingConfig, options);
+  return embedding;
+}
+
+// Función para generar los embeddings de varios textos, enviando EMBEDDING_BATCH_SIZE textos por petición.
+// options.notebookId y options.userId etiquetan el consumo registrado
+async function generateEmbeddingsBatch(texts, embeddingConfig = null, options = {}) {
+  try {
+    const config = embeddingConfig || await getEmbeddingConfig();
+    const embeddings = [];
+    
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+      
+      const result = await trackUsage(config, { ...options, task: 'embeddings' },
+        () => callEmbeddingProvider(config, batch),
+        result => (result ? resolveUsage(result.usage, batch.join('\n'), '') : NO_USAGE)
+      );
+      
+      embeddings.push(...result.embeddings);
+    }
+    
+    // Un vector de otro tamaño no es comparable con los ya indexados para este modelo
+    const invalid = embeddings.find(embedding => config.dimensions && embedding.length !== config.dimensions);
+    
+    if (invalid) {
+      throw new Error(`El modelo ${config.model_id} devolvió ${invalid.length} dimensiones en lugar de ${config.dimensions}`);
+    }
+    
+    return embeddings;
+  } catch (error) {
+    logger.error('Error al generar embeddings:', error);
+    throw error;
+  }
+}
+
+function callEmbeddingProvider(config, texts) {
+  switch (config.provider) {
+    case 'openai':
+      return generateOpenAIEmbeddings(config, texts);
+    case 'ollama':
+      return generateOllamaEmbeddings(config, texts);
+    case 'mock':
+      return generateMockEmbeddings(config, texts);
+    default:
+      throw new Error(`Proveedor de embeddings no soportado: ${config.provider}`);
+  }
+}
+
+// Clientes de cada proveedor
+
+// Los servidores compatibles con OpenAI (vLLM, LM Studio, llama.cpp) pueden no pedir clave,
+// pero el SDK exige una; config.headers añade cabeceras propias a cada petición
+function createOpenAIClient(config) {
+  return new OpenAI({
+    apiKey: config.api_key || (config.provider === 'openai_compatible' ? 'not-needed' : undefined),
+    baseURL: config.base_url || undefined,
+    defaultHeaders: config.config?.headers
+  });
+}
+
+function createAnthropicClient(config) {
+  return new Anthropic({
     apiKey: config.api_key,
     baseURL: config.base_url || undefined
   });
+}
+
+async function createOllamaClient(config) {
+  const { Ollama } = await import('ollama');
   
-  // Convertir mensajes al formato de Anthropic
-  const formattedMessages = messages.map(msg => ({
-    role: msg.role === 'user' ? 'user' : 'assistant',
+  // Configurar URL base de Ollama
+  return new Ollama({
+    host: config.base_url || process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+  });
+}
+
+// Construcción de peticiones para cada proveedor (compartida por las variantes con y sin streaming)
+
+// Función para obtener los parámetros de config que se envían al modelo (sin las cabeceras HTTP
+// ni las plantillas del proveedor simulado)
+function getModelParameters(config) {
+  const { headers, responses, ...parameters } = config.config || {};
+  return parameters;
+}
+
+// Función para convertir los mensajes a roles system/user/assistant (OpenAI y Ollama)
+function formatRoleMessages(messages) {
+  return messages.map(msg => ({
+    role: ['system', 'user'].includes(msg.role) ? msg.role : 'assistant',
     content: msg.content
   }));
+}
+
+// Función para separar las instrucciones de sistema de los turnos de la conversación, para los
+// proveedores que las reciben aparte (Anthropic y Gemini). Ambos exigen que la conversación
+// empiece con un turno del usuario, así que se descartan las respuestas iniciales del historial
+function splitSystemMessages(messages) {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content)
+    .join('\n\n');
+  
+  const turns = messages
+    .filter(msg => msg.role !== 'system')
+    .map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content }));
   
-  const response = await anthropic.messages.create({
+  while (turns.length > 0 && turns[0].role !== 'user') {
+    turns.shift();
+  }
+  
+  return { system, turns };
+}
+
+function buildOpenAIRequest(config, messages, options) {
+  return {
     model: config.model,
-    messages: formattedMessages,
-    max_tokens: options.max_tokens || 1000,
+    messages: formatRoleMessages(messages),
     temperature: options.temperature || 0.7,
-    ...config.config
-  });
+    max_tokens: options.max_tokens || 1000,
+    ...getModelParameters(config)
+  };
+}
+
+function buildAnthropicRequest(config, messages, options) {
+  const { system, turns } = splitSystemMessages(messages);
   
   return {
-    text: response.content[0].text,
-    provider: 'anthropic',
-    model: config.model
+    model: config.model,
+    ...(system && { system }),
+    messages: turns,
+    max_tokens: options.max_tokens || 1000,
+    temperature: options.temperature || 0.7,
+    ...getModelParameters(config)
   };
 }
 
-async function generateGeminiResponse(config, messages, options) {
+function buildGeminiChat(config, messages, options) {
+  const { system, turns } = splitSystemMessages(messages);
   const genAI = new GoogleGenerativeAI(config.api_key);
-  const model = genAI.getGenerativeModel({ model: config.model });
+  const model = genAI.getGenerativeModel(
+    {
+      model: config.model,
+      ...(system && { systemInstruction: system })
+    },
+    config.base_url ? { baseUrl: config.base_url } : undefined
+  );
   
-  // Convertir mensajes al formato de Gemini
-  const formattedMessages = messages.map(msg => ({
+  // El último mensaje del usuario se envía; los anteriores forman el historial
+  const history = turns.slice(0, -1).map(msg => ({
     role: msg.role === 'user' ? 'user' : 'model',
     parts: [{ text: msg.content }]
   }));
   
   const chat = model.startChat({
+    history,
     generationConfig: {
       temperature: options.temperature || 0.7,
       maxOutputTokens: options.max_tokens || 1000,
-      ...config.config
+      ...getModelParameters(config)
     }
   });
   
-  const result = await chat.sendMessage(formattedMessages);
+  return { chat, message: turns[turns.length - 1]?.content || '' };
+}
+
+function buildOllamaRequest(config, messages, options) {
+  return {
+    model: config.model,
+    messages: formatRoleMessages(messages),
+    options: {
+      temperature: options.temperature || 0.7,
+      num_predict: options.max_tokens || 1000,
+      ...getModelParameters(config)
+    }
+  };
+}
+
+// Implementaciones específicas para cada proveedor
+
+async function generateOpenAIResponse(config, messages, options) {
+  const openai = createOpenAIClient(config);
+  
+  const response = await openai.chat.completions.create(
+    buildOpenAIRequest(config, messages, options),
+    { signal: options.signal, maxRetries: 0 }
+  );
+  
+  return {
+    text: response.choices[0].message.content,
+    provider: config.provider,
+    model: config.model,
+    usage: {
+      promptTokens: response.usage?.prompt_tokens,
+      completionTokens: response.usage?.completion_tokens
+    }
+  };
+}
+
+async function generateAnthropicResponse(config, messages, options) {
+  const anthropic = createAnthropicClient(config);
+  
+  const response = await anthropic.messages.create(
+    buildAnthropicRequest(config, messages, options),
+    { signal: options.signal, maxRetries: 0 }
+  );
+  
+  return {
+    text: response.content[0].text,
+    provider: 'anthropic',
+    model: config.model,
+    usage: {
+      promptTokens: response.usage?.input_tokens,
+      completionTokens: response.usage?.output_tokens
+    }
+  };
+}
+
+async function generateGeminiResponse(config, messages, options) {
+  const { chat, message } = buildGeminiChat(config, messages, options);
+  
+  const result = await chat.sendMessage(message, { signal: options.signal });
   const response = await result.response;
   
   return {
     text: response.text(),
     provider: 'gemini',
-    model: config.model
+    model: config.model,
+    usage: getGeminiUsage(response.usageMetadata)
   };
 }
 
 async function generateOllamaResponse(config, messages, options) {
-  const { default: ollama } = await import('ollama');
+  const ollama = await createOllamaClient(config);
   
-  // Configurar URL base de Ollama
-  const ollamaBaseUrl = config.base_url || process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-  ollama.setBaseUrl(ollamaBaseUrl);
+  const abort = () => ollama.abort();
+  options.signal?.addEventListener('abort', abort);
   
-  // Convertir mensajes al formato de Ollama
-  const formattedMessages = messages.map(msg => ({
-    role: msg.role === 'user' ? 'user' : 'assistant',
-    content: msg.content
-  }));
+  try {
+    const response = await ollama.chat(buildOllamaRequest(config, messages, options));
+    
+    return {
+      text: response.message.content,
+      provider: 'ollama',
+      model: config.model,
+      usage: getOllamaUsage(response)
+    };
+  } finally {
+    options.signal?.removeEventListener('abort', abort);
+  }
+}
+
+// Tokens informados por Gemini (el SDK no siempre incluye usageMetadata)
+function getGeminiUsage(usageMetadata) {
+  return {
+    promptTokens: usageMetadata?.promptTokenCount,
+    completionTokens: usageMetadata?.candidatesTokenCount
+  };
+}
+
+// Tokens informados por Ollama; prompt_eval_count falta cuando el prompt ya estaba en caché
+function getOllamaUsage(response) {
+  return {
+    promptTokens: response.prompt_eval_count,
+    completionTokens: response.eval_count
+  };
+}
+
+// Implementaciones en streaming para cada proveedor
+
+async function streamOpenAIResponse(config, messages, options, onToken) {
+  const openai = createOpenAIClient(config);
   
-  const response = await ollama.chat({
-    model: config.model,
-    messages: formattedMessages,
-    options: {
-      temperature: options.temperature || 0.7,
-      num_predict: options.max_tokens || 1000,
-      ...config.config
+  // Solo se pide el consumo a OpenAI: los servidores compatibles pueden rechazar stream_options
+  const stream = await openai.chat.completions.create(
+    {
+      ...buildOpenAIRequest(config, messages, options),
+      stream: true,
+      ...(config.provider === 'openai' && { stream_options: { include_usage: true } })
+    },
+    { signal: options.signal, maxRetries: 0 }
+  );
+  
+  let text = '';
+  let usage = {};
+  
+  for await (const chunk of stream) {
+    const token = chunk.choices[0]?.delta?.content;
+    
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+    
+    // El último fragmento trae el consumo y ninguna elección
+    if (chunk.usage) {
+      usage = { promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens };
+    }
+  }
+  
+  return { text, provider: config.provider, model: config.model, usage };
+}
+
+async function streamAnthropicResponse(config, messages, options, onToken) {
+  const anthropic = createAnthropicClient(config);
+  
+  const stream = await anthropic.messages.create(
+    { ...buildAnthropicRequest(config, messages, options), stream: true },
+    { signal: options.signal, maxRetries: 0 }
+  );
+  
+  let text = '';
+  const usage = {};
+  
+  for await (const event of stream) {
+    if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+      text += event.delta.text;
+      onToken(event.delta.text);
+    } else if (event.type === 'message_start') {
+      usage.promptTokens = event.message.usage?.input_tokens;
+    } else if (event.type === 'message_delta') {
+      usage.completionTokens = event.usage?.output_tokens;
+    }
+  }
+  
+  return { text, provider: 'anthropic', model: config.model, usage };
+}
+
+async function streamGeminiResponse(config, messages, options, onToken) {
+  const { chat, message } = buildGeminiChat(config, messages, options);
+  
+  const result = await chat.sendMessageStream(message, { signal: options.signal });
+  let text = '';
+  let usageMetadata;
+  
+  for await (const chunk of result.stream) {
+    // El SDK puede tener fragmentos ya recibidos tras la cancelación: dejar de consumirlos
+    if (options.signal?.aborted) {
+      throw new Error('Petición cancelada');
     }
+    
+    const token = chunk.text();
+    
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+    
+    // Cada fragmento trae el consumo acumulado
+    usageMetadata = chunk.usageMetadata || usageMetadata;
+  }
+  
+  return { text, provider: 'gemini', model: config.model, usage: getGeminiUsage(usageMetadata) };
+}
+
+async function streamOllamaResponse(config, messages, options, onToken) {
+  const ollama = await createOllamaClient(config);
+  
+  // Cada petición usa su propio cliente, así abort() solo cancela esta
+  const abort = () => ollama.abort();
+  options.signal?.addEventListener('abort', abort);
+  
+  try {
+    const stream = await ollama.chat({ ...buildOllamaRequest(config, messages, options), stream: true });
+    let text = '';
+    let usage = {};
+    
+    for await (const part of stream) {
+      const token = part.message?.content;
+      
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      
+      // El último fragmento (done) trae los recuentos
+      if (part.done) {
+        usage = getOllamaUsage(part);
+      }
+    }
+    
+    return { text, provider: 'ollama', model: config.model, usage };
+  } finally {
+    options.signal?.removeEventListener('abort', abort);
+  }
+}
+
+async function generateOpenAIEmbeddings(config, texts) {
+  const openai = createOpenAIClient(config);
+  
+  const response = await openai.embeddings.create({
+    model: config.model,
+    input: texts
   });
   
   return {
-    text: response.message.content,
-    provider: 'ollama',
-    model: config.model
+    embeddings: response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding),
+    usage: { promptTokens: response.usage?.prompt_tokens, completionTokens: 0 }
   };
 }
 
-async function generateOpenAIEmbeddings(config, text) {
-  const openai = new OpenAIApi(new Configuration({
-    apiKey: config.api_key,
-    basePath: config.base_url || undefined
-  }));
+async function generateOllamaEmbeddings(config, texts) {
+  const host = (config.base_url || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
   
-  const response = await openai.createEmbedding({
-    model: 'text-embedding-ada-002',
-    input: text
-  });
+  try {
+    // /api/embed acepta varios textos por petición
+    const response = await axios.post(`${host}/api/embed`, {
+      model: config.model,
+      input: texts
+    });
+    
+    return {
+      embeddings: response.data.embeddings,
+      usage: { promptTokens: response.data.prompt_eval_count, completionTokens: 0 }
+    };
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+    
+    // Versiones de Ollama sin /api/embed: un texto por petición
+    const ollama = await createOllamaClient(config);
+    const embeddings = [];
+    
+    for (const text of texts) {
+      const response = await ollama.embeddings({ model: config.model, prompt: text });
+      embeddings.push(response.embedding);
+    }
+    
+    return { embeddings, usage: { completionTokens: 0 } };
+  }
+}
+
+// Proveedor simulado
+
+// Función para generar la respuesta simulada de una tarea. Es determinista: depende solo de los
+// mensajes. config.responses permite fijar plantillas por tarea (o "default") con los marcadores
+// {{input}} (último mensaje del usuario) y {{excerpt}} (primera frase del fragmento [1] del contexto)
+function buildMockText(config, messages, options) {
+  const { system, turns } = splitSystemMessages(messages);
+  const input = turns.filter(turn => turn.role === 'user').pop()?.content || '';
+  const fragment = system.match(/^\[1\] Fuente: .*\n([\s\S]*?)(?=\n\n\[2\] Fuente: |$)/m)?.[1];
+  const excerpt = firstSentence(fragment || input);
+  
+  const responses = config.config?.responses || {};
+  const template = responses[options.task] ?? responses.default;
+  
+  if (template !== undefined) {
+    return template.replace(/\{\{\s*(input|excerpt)\s*\}\}/g, (match, name) => (name === 'input' ? input : excerpt));
+  }
   
-  return response.data.data[0].embedding;
+  switch (options.task) {
+    case 'summary':
+      return `Resumen simulado: ${excerpt}`;
+    case 'notebook_details':
+      return JSON.stringify({
+        title: excerpt.split(/\s+/).slice(0, 6).join(' ').replace(/[.!?]$/, ''),
+        summary: excerpt,
+        notebook_icon: '📝',
+        background_color: 'gray',
+        example_questions: [`¿Qué dicen las fuentes sobre ${excerpt.split(/\s+/).slice(0, 4).join(' ')}?`]
+      });
+    case 'podcast_script':
+      return `Locutor 1: Hoy repasamos nuestras fuentes.\nLocutor 2: ${excerpt}\nLocutor 1: Gracias por escucharnos.`;
+    default:
+      // Con contexto se cita el primer fragmento, como haría el modelo siguiendo las instrucciones
+      return fragment
+        ? `${excerpt} [1]`
+        : 'Lo siento, no tengo información sobre eso en mis fuentes.';
+  }
+}
+
+function firstSentence(text) {
+  const sentence = text.trim().split(/(?<=[.!?])\s+/)[0].replace(/\s+/g, ' ');
+  return sentence.length > 200 ? `${sentence.slice(0, 200)}...` : sentence;
+}
+
+async function generateMockResponse(config, messages, options) {
+  return { text: buildMockText(config, messages, options), provider: 'mock', model: config.model };
 }
 
-async function generateOllamaEmbeddings(config, text) {
-  const { default: ollama } = await import('ollama');
+async function streamMockResponse(config, messages, options, onToken) {
+  const text = buildMockText(config, messages, options);
   
-  // Configurar URL base de Ollama
-  const ollamaBaseUrl = config.base_url || process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-  ollama.setBaseUrl(ollamaBaseUrl);
+  // Una palabra por fragmento, con su espacio final
+  for (const token of text.match(/\S+\s*/g) || []) {
+    if (options.signal?.aborted) {
+      throw new Error('Petición cancelada');
+    }
+    
+    onToken(token);
+    await new Promise(resolve => setImmediate(resolve));
+  }
   
-  const response = await ollama.embeddings({
-    model: config.model,
-    prompt: text
+  return { text, provider: 'mock', model: config.model };
+}
+
+// Función para generar embeddings simulados: cada palabra suma ±1 en la posición que indica su hash,
+// así los textos que comparten palabras quedan próximos. Los vectores se normalizan
+async function generateMockEmbeddings(config, texts) {
+  const dimensions = config.dimensions || LLM_MOCK_EMBEDDING_DIMENSIONS;
+  
+  const embeddings = texts.map(text => {
+    const vector = new Array(dimensions).fill(0);
+    const words = text.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').match(/[\p{L}\p{N}]+/gu) || [];
+    
+    for (const word of words) {
+      const hash = crypto.createHash('sha256').update(word).digest();
+      vector[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+    }
+    
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    
+    // Un vector nulo no tiene distancia coseno definida
+    if (norm === 0) {
+      vector[0] = 1;
+      return vector;
+    }
+    
+    return vector.map(value => value / norm);
   });
   
-  return response.embedding;
+  return { embeddings, usage: { completionTokens: 0 } };
 }
 
 module.exports = {
+  LLM_TASKS,
   generateChatResponse,
+  streamChatResponse,
   generateEmbeddings,
+  generateEmbeddingsBatch,
+  getEmbeddingConfig,
+  getActiveConfig,
   getActiveLLMConfig
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createNonRetryableError } = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Configuración del OCR (Tesseract local; pdftoppm de poppler para rasterizar páginas de PDF)
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'spa+eng';
+const OCR_DPI = parseInt(process.env.OCR_DPI) || 300;
+
+// Tiempo máximo de cada rasterización y reconocimiento, el mismo que el de las conversiones de documentos
+const CONVERSION_TIMEOUT_MS = parseInt(process.env.CONVERSION_TIMEOUT_MS) || 2 * 60 * 1000;
+
+// Páginas con menos caracteres visibles que esto se consideran escaneadas
+const OCR_MIN_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS) || 20;
+
+// Confianza media (0-100) por debajo de la cual se avisa en los metadatos de la fuente
+const OCR_LOW_CONFIDENCE = parseFloat(process.env.OCR_LOW_CONFIDENCE) || 60;
+
+// Función para saber si una página extraída tiene tan poco texto que necesita OCR
+function needsOcr(pageText) {
+  return OCR_ENABLED && (pageText || '').replace(/\s/g, '').length < OCR_MIN_PAGE_CHARS;
+}
+
+// Función para reconocer el texto de una imagen
+async function recognizeImage(imagePath) {
+  if (!OCR_ENABLED) {
+    throw createNonRetryableError('El OCR está desactivado (OCR_ENABLED=false)');
+  }
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-ocr-'));
+
+  try {
+    return await runTesseract(imagePath, path.join(tmpDir, 'ocr'));
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Función para reconocer páginas concretas (base 1) de un PDF escaneado: Map página -> { text, confidence }
+async function recognizePdfPages(pdfPath, pageNumbers) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-ocr-'));
+  const binary = process.env.PDFTOPPM_BIN || 'pdftoppm';
+  const results = new Map();
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      const imageBase = path.join(tmpDir, `page-${pageNumber}`);
+
+      await execFileAsync(binary, [
+        '-r', String(OCR_DPI),
+        '-f', String(pageNumber),
+        '-l', String(pageNumber),
+        '-gray',
+        '-png',
+        '-singlefile',
+        pdfPath,
+        imageBase
+      ], { timeout: CONVERSION_TIMEOUT_MS });
+
+      results.set(pageNumber, await runTesseract(`${imageBase}.png`, imageBase));
+    }
+
+    logger.info(`OCR aplicado a ${pageNumbers.length} páginas de ${path.basename(pdfPath)}`);
+
+    return results;
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Función para ejecutar Tesseract generando el texto y el TSV por palabra (para la confianza)
+async function runTesseract(imagePath, outputBase) {
+  const binary = process.env.TESSERACT_BIN || 'tesseract';
+
+  await execFileAsync(binary, [imagePath, outputBase, '-l', OCR_LANGUAGES, 'txt', 'tsv'], {
+    maxBuffer: 50 * 1024 * 1024,
+    timeout: CONVERSION_TIMEOUT_MS
+  });
+
+  const [text, tsv] = await Promise.all([
+    fs.readFile(`${outputBase}.txt`, 'utf8'),
+    fs.readFile(`${outputBase}.tsv`, 'utf8')
+  ]);
+
+  return {
+    text: text.replace(/\f/g, '').trim(),
+    confidence: getMeanConfidence(tsv)
+  };
+}
+
+// Función para calcular la confianza media de las palabras reconocidas (columna conf del TSV,
+// -1 en las filas que no son palabras). Sin palabras no hay confianza
+function getMeanConfidence(tsv) {
+  const confidences = tsv
+    .split('\n')
+    .slice(1)
+    .map(line => line.split('\t'))
+    .filter(columns => columns[0] === '5' && columns[11]?.trim() && parseFloat(columns[10]) >= 0)
+    .map(columns => parseFloat(columns[10]));
+
+  if (confidences.length === 0) {
+    return null;
+  }
+
+  const mean = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+  return Math.round(mean * 10) / 10;
+}
+
+// Función para construir los metadatos de OCR de una fuente a partir de los resultados por página
+// ([{ page, confidence }]; page es null en las imágenes)
+function buildOcrMetadata(results) {
+  const scored = results.filter(result => result.confidence !== null);
+  const confidence = scored.length > 0
+    ? Math.round(scored.reduce((sum, result) => sum + result.confidence, 0) / scored.length * 10) / 10
+    : null;
+  // Las páginas sin palabras reconocidas (en blanco) no cuentan como baja confianza
+  const lowConfidence = scored.filter(result => result.confidence < OCR_LOW_CONFIDENCE);
+  const pages = results.map(result => result.page).filter(page => page !== null);
+
+  const metadata = {
+    ocr_applied: true,
+    ocr_confidence: confidence,
+    ocr_warning: null,
+    ...(pages.length > 0 && { ocr_pages: pages })
+  };
+
+  if (lowConfidence.length > 0) {
+    const lowPages = lowConfidence.map(result => result.page).filter(page => page !== null);
+
+    metadata.ocr_warning = lowPages.length > 0
+      ? `Confianza de OCR baja en ${lowPages.length === 1 ? 'la página' : 'las páginas'} ${lowPages.join(', ')}: el texto puede contener errores`
+      : 'Confianza de OCR baja: el texto puede contener errores';
+
+    if (lowPages.length > 0) {
+      metadata.ocr_low_confidence_pages = lowPages;
+    }
+  }
+
+  return metadata;
+}
+
+module.exports = {
+  needsOcr,
+  recognizeImage,
+  recognizePdfPages,
+  buildOcrMetadata
+};
\ No newline at end of file
@@ -0,0 +1,200 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const axios = require('axios');
+const { getActiveConfig } = require('./llmService');
+const { normalizeAudio, getAudioDuration, splitAudio } = require('./audioProcessing');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Duración máxima (en segundos) de cada fragmento enviado al proveedor
+const DEFAULT_SEGMENT_SECONDS = parseInt(process.env.TRANSCRIPTION_SEGMENT_SECONDS) || 600;
+
+// Tiempo máximo de transcripción de cada fragmento: proporcional a su duración
+// (TRANSCRIPTION_TIMEOUT_RATIO segundos por segundo de audio) y nunca más de TRANSCRIPTION_TIMEOUT_MS
+const TRANSCRIPTION_TIMEOUT_RATIO = parseFloat(process.env.TRANSCRIPTION_TIMEOUT_RATIO) || 3;
+const TRANSCRIPTION_MIN_TIMEOUT_MS = 60 * 1000;
+const TRANSCRIPTION_TIMEOUT_MS = parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS) || 60 * 60 * 1000;
+
+// Función principal para transcribir un archivo de audio
+async function transcribeAudio(filePath) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-transcription-'));
+
+  try {
+    const config = await getActiveConfig('transcription');
+    const segmentSeconds = config.config?.segment_seconds || DEFAULT_SEGMENT_SECONDS;
+
+    // Normalizar el audio y dividirlo si es demasiado largo
+    const normalizedPath = path.join(tmpDir, 'normalized.wav');
+    await normalizeAudio(filePath, normalizedPath);
+
+    const duration = await getAudioDuration(normalizedPath);
+    const parts = duration > segmentSeconds
+      ? await splitAudio(normalizedPath, tmpDir, segmentSeconds)
+      : [normalizedPath];
+
+    const segments = [];
+
+    for (const [index, partPath] of parts.entries()) {
+      const partOffset = index * segmentSeconds;
+      const timeout = getTranscriptionTimeout(Math.min(segmentSeconds, duration - partOffset));
+      const partSegments = await transcribeWithProvider(config, partPath, timeout);
+
+      for (const segment of partSegments) {
+        const text = segment.text.trim();
+
+        if (text) {
+          segments.push({
+            start: roundSeconds(segment.start + partOffset),
+            end: roundSeconds(segment.end + partOffset),
+            text
+          });
+        }
+      }
+    }
+
+    const text = buildTranscriptText(segments);
+
+    logger.info(`Audio transcrito con ${config.provider}: ${segments.length} segmentos, ${Math.round(duration)} s`);
+
+    return {
+      text,
+      segments,
+      duration: roundSeconds(duration),
+      provider: config.provider,
+      model: config.model
+    };
+  } catch (error) {
+    logger.error('Error al transcribir audio:', error);
+    throw error;
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Función para calcular el tiempo máximo de transcripción de un fragmento de audio
+function getTranscriptionTimeout(seconds) {
+  // Sin duración conocida solo se aplica el límite absoluto
+  if (!(seconds > 0)) return TRANSCRIPTION_TIMEOUT_MS;
+
+  return Math.min(
+    Math.max(seconds * TRANSCRIPTION_TIMEOUT_RATIO * 1000, TRANSCRIPTION_MIN_TIMEOUT_MS),
+    TRANSCRIPTION_TIMEOUT_MS
+  );
+}
+
+// Función para delegar en el proveedor configurado
+async function transcribeWithProvider(config, filePath, timeout) {
+  switch (config.provider) {
+    case 'whisper_cpp':
+      return await transcribeWithWhisperCpp(config, filePath, timeout);
+    case 'openai':
+      return await transcribeWithOpenAI(config, filePath, timeout);
+    case 'stub':
+      return await transcribeWithStub(config, filePath);
+    default:
+      throw new Error(`Proveedor de transcripción no soportado: ${config.provider}`);
+  }
+}
+
+// Implementaciones específicas para cada proveedor
+
+async function transcribeWithWhisperCpp(config, filePath, timeout) {
+  const binary = config.config?.binary_path || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+  const outputPrefix = filePath.replace(/\.wav$/, '');
+
+  try {
+    await execFileAsync(binary, [
+      '-m', config.model,
+      '-f', filePath,
+      '-l', config.config?.language || 'auto',
+      '-oj',
+      '-of', outputPrefix
+    ], { maxBuffer: 50 * 1024 * 1024, timeout });
+  } catch (error) {
+    // execFile mata el proceso al agotar el tiempo
+    if (error.killed) {
+      throw new Error(`whisper.cpp no terminó la transcripción en ${Math.round(timeout / 1000)} s`);
+    }
+    throw error;
+  }
+
+  const output = JSON.parse(await fs.readFile(`${outputPrefix}.json`, 'utf8'));
+
+  return (output.transcription || []).map(item => ({
+    start: item.offsets.from / 1000,
+    end: item.offsets.to / 1000,
+    text: item.text
+  }));
+}
+
+async function transcribeWithOpenAI(config, filePath, timeout) {
+  const baseUrl = (config.base_url || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const buffer = await fs.readFile(filePath);
+
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: 'audio/wav' }), path.basename(filePath));
+  form.append('model', config.model || 'whisper-1');
+  form.append('response_format', 'verbose_json');
+
+  if (config.config?.language) {
+    form.append('language', config.config.language);
+  }
+
+  const response = await axios.post(`${baseUrl}/audio/transcriptions`, form, {
+    headers: config.api_key ? { Authorization: `Bearer ${config.api_key}` } : {},
+    maxBodyLength: Infinity,
+    timeout
+  });
+
+  if (Array.isArray(response.data.segments)) {
+    return response.data.segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text
+    }));
+  }
+
+  // Algunos servidores compatibles solo devuelven el texto
+  const duration = await getAudioDuration(filePath);
+  return [{ start: 0, end: duration, text: response.data.text || '' }];
+}
+
+async function transcribeWithStub(config, filePath) {
+  // Proveedor determinista para desarrollo y pruebas: un segmento cada 30 segundos
+  const duration = await getAudioDuration(filePath);
+  const step = config.config?.segment_length || 30;
+  const segments = [];
+
+  for (let start = 0; start < duration; start += step) {
+    segments.push({
+      start,
+      end: Math.min(start + step, duration),
+      text: config.config?.text || `Transcripción de prueba (${Math.round(start)} s).`
+    });
+  }
+
+  return segments;
+}
+
+// Función para construir el texto completo guardando el desplazamiento de cada segmento
+function buildTranscriptText(segments) {
+  let text = '';
+
+  for (const segment of segments) {
+    if (text) text += '\n';
+    segment.offset = text.length;
+    text += segment.text;
+  }
+
+  return text;
+}
+
+function roundSeconds(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { transcribeAudio, buildTranscriptText };
\ No newline at end of file
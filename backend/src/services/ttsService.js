@@ -0,0 +1,193 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { getActiveConfig } = require('./llmService');
+const { normalizeAudio, generateSilence, generateTone, concatenateToMp3 } = require('./audioProcessing');
+const logger = require('../utils/logger');
+
+// Formato común de las líneas antes de concatenarlas
+const SAMPLE_RATE = 24000;
+const PAUSE_SECONDS = parseFloat(process.env.TTS_PAUSE_SECONDS) || 0.4;
+
+// Voces por defecto de cada proveedor, asignadas por orden de aparición del locutor
+const DEFAULT_VOICES = {
+  openai: ['alloy', 'onyx'],
+  stub: [220, 330]
+};
+
+// Función para convertir el guión generado en líneas { speaker, text }
+function parsePodcastScript(script) {
+  const lines = [];
+
+  for (const rawLine of script.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const match = line.match(/^\**\s*(Locutor\s*\d+)\s*\**\s*:\s*\**\s*(.+)$/i);
+
+    if (match) {
+      lines.push({
+        speaker: match[1].replace(/\s+/g, ' ').replace(/^locutor/i, 'Locutor'),
+        text: match[2].trim()
+      });
+    } else if (lines.length > 0) {
+      // Continuación de la intervención anterior
+      lines[lines.length - 1].text += ` ${line}`;
+    }
+  }
+
+  return lines;
+}
+
+// Función para renderizar un guión de podcast en un archivo MP3
+async function renderPodcast(lines, outputPath) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-tts-'));
+
+  try {
+    const config = await getActiveConfig('tts');
+    const speakers = [...new Set(lines.map(line => line.speaker))];
+
+    const pausePath = path.join(tmpDir, 'pause.wav');
+    await generateSilence(pausePath, PAUSE_SECONDS, SAMPLE_RATE);
+
+    const parts = [];
+
+    for (const [index, line] of lines.entries()) {
+      const voice = getVoiceForSpeaker(config, line.speaker, speakers.indexOf(line.speaker));
+      const rawPath = path.join(tmpDir, `line_${String(index).padStart(4, '0')}_raw`);
+      const linePath = path.join(tmpDir, `line_${String(index).padStart(4, '0')}.wav`);
+
+      await synthesizeSpeech(config, line.text, voice, rawPath);
+      await normalizeAudio(rawPath, linePath, SAMPLE_RATE);
+
+      if (parts.length > 0) {
+        parts.push(pausePath);
+      }
+      parts.push(linePath);
+    }
+
+    await concatenateToMp3(parts, outputPath);
+
+    logger.info(`Podcast renderizado con ${config.provider}: ${lines.length} líneas, ${speakers.length} locutores`);
+
+    return { provider: config.provider, model: config.model };
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Función para obtener las voces configuradas como lista, tanto si vienen en un array como en un mapa
+function getConfiguredVoices(config) {
+  const voices = config?.voices;
+
+  if (Array.isArray(voices)) {
+    return voices;
+  }
+
+  return voices && typeof voices === 'object' ? Object.values(voices) : [];
+}
+
+// Función para obtener la voz de un locutor: configuración explícita o voz por defecto.
+// En un mapa sin entrada para el locutor se reparten sus voces por orden de aparición
+function getVoiceForSpeaker(config, speaker, speakerIndex) {
+  const voices = config.config?.voices;
+
+  if (voices && !Array.isArray(voices) && voices[speaker]) {
+    return voices[speaker];
+  }
+
+  const configured = getConfiguredVoices(config.config);
+  const list = configured.length > 0
+    ? configured
+    : DEFAULT_VOICES[config.provider] || [config.model];
+
+  return list[speakerIndex % list.length];
+}
+
+// Función para validar una configuración de voz: Piper no tiene voces por defecto, así que necesita
+// config.voices con al menos dos voces distintas para que cada locutor suene diferente
+function validateTTSConfig(provider, config) {
+  if (provider !== 'piper') {
+    return null;
+  }
+
+  const list = getConfiguredVoices(config);
+
+  if (new Set(list.filter(voice => typeof voice === 'string' && voice)).size < 2) {
+    return 'La configuración de Piper requiere "voices" con dos voces distintas, una por locutor';
+  }
+
+  return null;
+}
+
+// Función para delegar en el proveedor configurado
+async function synthesizeSpeech(config, text, voice, outputPath) {
+  switch (config.provider) {
+    case 'piper':
+      return await synthesizeWithPiper(config, text, voice, outputPath);
+    case 'openai':
+      return await synthesizeWithOpenAI(config, text, voice, outputPath);
+    case 'stub':
+      return await synthesizeWithStub(config, text, voice, outputPath);
+    default:
+      throw new Error(`Proveedor de TTS no soportado: ${config.provider}`);
+  }
+}
+
+// Implementaciones específicas para cada proveedor
+
+function synthesizeWithPiper(config, text, voice, outputPath) {
+  const binary = config.config?.binary_path || process.env.PIPER_BIN || 'piper';
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, ['--model', voice, '--output_file', outputPath]);
+    let stderr = '';
+
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(outputPath);
+      } else {
+        reject(new Error(`Piper terminó con código ${code}: ${stderr.slice(-500)}`));
+      }
+    });
+
+    child.stdin.end(text);
+  });
+}
+
+async function synthesizeWithOpenAI(config, text, voice, outputPath) {
+  const baseUrl = (config.base_url || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+  const response = await axios.post(`${baseUrl}/audio/speech`, {
+    model: config.model || 'tts-1',
+    voice,
+    input: text,
+    response_format: 'wav'
+  }, {
+    headers: config.api_key ? { Authorization: `Bearer ${config.api_key}` } : {},
+    responseType: 'arraybuffer'
+  });
+
+  await fs.writeFile(outputPath, Buffer.from(response.data));
+  return outputPath;
+}
+
+async function synthesizeWithStub(config, text, voice, outputPath) {
+  // Tono sinusoidal con una duración proporcional al número de palabras
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const seconds = Math.max(0.5, Math.min(words * 0.3, 30));
+  const frequency = parseInt(voice) || 440;
+
+  return await generateTone(outputPath, frequency, seconds, SAMPLE_RATE);
+}
+
+module.exports = {
+  parsePodcastScript,
+  getVoiceForSpeaker,
+  validateTTSConfig,
+  renderPodcast
+};
\ No newline at end of file
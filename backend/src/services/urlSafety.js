@@ -0,0 +1,156 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createNonRetryableError } = require('./jobQueue');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Puertos a los que se permite conectar al descargar URLs de los usuarios
+const ALLOWED_PORTS = parseList(process.env.URL_ALLOWED_PORTS || '80,443').map(port => parseInt(port));
+
+// Hosts y rangos CIDR internos a los que sí se permite acceder, p. ej. "wiki.intranet,10.20.0.0/16"
+const URL_ALLOWLIST = parseList(process.env.URL_ALLOWLIST || '');
+
+// Direcciones privadas, de loopback, link-local (metadatos de la nube), multicast y reservadas,
+// además de 6to4 y Teredo, que llevan una dirección IPv4 arbitraria dentro de la IPv6
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001::', 32, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+const allowedAddresses = new net.BlockList();
+const allowedHosts = new Set();
+
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+for (const entry of URL_ALLOWLIST) {
+  const [address, prefix] = entry.split('/');
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+  if (net.isIP(address)) {
+    allowedAddresses.addSubnet(address, parseInt(prefix) || (type === 'ipv6' ? 128 : 32), type);
+  } else {
+    allowedHosts.add(entry.toLowerCase());
+  }
+}
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Función para comprobar que una URL apunta a un destino público antes de descargarla:
+// esquema http(s), puerto permitido y todas las direcciones del host fuera de los rangos internos
+async function assertSafeUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createBlockedError(`URL no válida: ${url}`);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw createBlockedError(`Solo se admiten URLs http y https: ${url}`);
+  }
+
+  const port = parsed.port ? parseInt(parsed.port) : (parsed.protocol === 'https:' ? 443 : 80);
+
+  if (!ALLOWED_PORTS.includes(port)) {
+    throw createBlockedError(`No se permite acceder al puerto ${port}: ${url}`);
+  }
+
+  // Los literales IPv6 de la URL vienen entre corchetes
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (allowedHosts.has(hostname)) {
+    return parsed;
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await resolveHost(hostname);
+
+  addresses.forEach(({ address, family }) => assertPublicAddress(hostname, address, family));
+
+  return parsed;
+}
+
+async function resolveHost(hostname) {
+  try {
+    return await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    // Un fallo temporal del DNS se puede reintentar; un host inexistente no
+    if (error.code === 'ENOTFOUND') {
+      throw createBlockedError(`No se pudo resolver el host ${hostname}`);
+    }
+
+    throw error;
+  }
+}
+
+function assertPublicAddress(hostname, address, family) {
+  const type = family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4';
+
+  if (blockedAddresses.check(address, type) && !allowedAddresses.check(address, type)) {
+    throw createBlockedError(`No se permite acceder a direcciones internas: ${hostname} (${address})`);
+  }
+}
+
+function createBlockedError(message) {
+  const error = createNonRetryableError(message);
+  error.code = 'ERR_URL_BLOCKED';
+  return error;
+}
+
+// Función de resolución DNS para los agentes HTTP: vuelve a comprobar las direcciones en el momento
+// de conectar, para que un DNS que cambia de respuesta tras la validación no lleve a una IP interna
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!allowedHosts.has(hostname.toLowerCase())) {
+      try {
+        const results = Array.isArray(address) ? address : [{ address, family }];
+        results.forEach(result => assertPublicAddress(hostname, result.address, result.family));
+      } catch (blockedError) {
+        return callback(blockedError);
+      }
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const safeHttpAgent = new http.Agent({ lookup: safeLookup });
+const safeHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+module.exports = {
+  assertSafeUrl,
+  safeHttpAgent,
+  safeHttpsAgent
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { pool } = require('../database/init');
+const logger = require('../utils/logger');
+
+// LLM_USAGE_TRACKING=false desactiva el registro del consumo (p. ej. en pruebas sin base de datos)
+const USAGE_TRACKING_ENABLED = process.env.LLM_USAGE_TRACKING !== 'false';
+
+// Dimensiones por las que se puede agrupar el informe de consumo: columnas devueltas y de agrupación
+const USAGE_GROUPS = {
+  day: {
+    columns: ["to_char(u.created_at, 'YYYY-MM-DD') AS day"],
+    groupBy: ["to_char(u.created_at, 'YYYY-MM-DD')"]
+  },
+  user: {
+    columns: ['u.user_id', 'usr.email AS user_email'],
+    groupBy: ['u.user_id', 'usr.email']
+  },
+  model: {
+    columns: ['u.provider', 'u.model'],
+    groupBy: ['u.provider', 'u.model']
+  },
+  notebook: {
+    columns: ['u.notebook_id', 'nb.title AS notebook_title'],
+    groupBy: ['u.notebook_id', 'nb.title']
+  },
+  task: {
+    columns: ['u.task'],
+    groupBy: ['u.task']
+  }
+};
+
+// Función para registrar el consumo de una llamada a un modelo. Sin usuario, la llamada se atribuye
+// al dueño del cuaderno. Un fallo al registrar no interrumpe la petición: solo se anota en el log
+async function recordUsage(entry) {
+  if (!USAGE_TRACKING_ENABLED) {
+    return;
+  }
+
+  try {
+    await pool.query(`
+      INSERT INTO llm_usage (
+        provider, model, task, user_id, notebook_id,
+        prompt_tokens, completion_tokens, estimated, latency_ms, success
+      )
+      VALUES ($1, $2, $3, COALESCE($4, (SELECT user_id FROM notebooks WHERE id = $5)), $5, $6, $7, $8, $9, $10)
+    `, [
+      entry.provider,
+      entry.model,
+      entry.task || null,
+      entry.userId || null,
+      entry.notebookId || null,
+      entry.promptTokens || 0,
+      entry.completionTokens || 0,
+      entry.estimated || false,
+      entry.latencyMs,
+      entry.success
+    ]);
+  } catch (error) {
+    logger.warn(`No se pudo registrar el consumo de ${entry.provider} (${entry.model}): ${error.message}`);
+  }
+}
+
+// Función para obtener el informe de consumo entre dos fechas (YYYY-MM-DD, ambas incluidas) agrupado
+// por las dimensiones de groupBy. El coste se calcula con los precios actuales de cada modelo
+async function getUsageReport({ from, to, groupBy }) {
+  const columns = groupBy.flatMap(group => USAGE_GROUPS[group].columns);
+  const groupExpressions = groupBy.flatMap(group => USAGE_GROUPS[group].groupBy);
+
+  const result = await pool.query(`
+    SELECT
+      ${columns.join(', ')},
+      COUNT(*)::int AS calls,
+      (COUNT(*) FILTER (WHERE NOT u.success))::int AS failed_calls,
+      SUM(u.prompt_tokens)::bigint AS prompt_tokens,
+      SUM(u.completion_tokens)::bigint AS completion_tokens,
+      BOOL_OR(u.estimated) AS estimated,
+      ROUND(AVG(u.latency_ms))::int AS avg_latency_ms,
+      COALESCE(SUM((u.prompt_tokens * p.input_price + u.completion_tokens * p.output_price) / 1000000), 0) AS cost,
+      (COUNT(*) FILTER (WHERE p.id IS NULL AND u.prompt_tokens + u.completion_tokens > 0))::int AS unpriced_calls
+    FROM llm_usage u
+    LEFT JOIN llm_model_prices p ON p.provider = u.provider AND p.model = u.model
+    LEFT JOIN users usr ON usr.id = u.user_id
+    LEFT JOIN notebooks nb ON nb.id = u.notebook_id
+    WHERE u.created_at >= $1::date AND u.created_at < $2::date + 1
+    GROUP BY ${groupExpressions.join(', ')}
+    ORDER BY ${groupBy.includes('day') ? 'day ASC, ' : ''}cost DESC, calls DESC
+  `, [from, to]);
+
+  // pg devuelve los BIGINT y NUMERIC como texto
+  const rows = result.rows.map(row => ({
+    ...row,
+    prompt_tokens: Number(row.prompt_tokens),
+    completion_tokens: Number(row.completion_tokens),
+    cost: roundCost(row.cost)
+  }));
+
+  const totals = rows.reduce((sum, row) => ({
+    calls: sum.calls + row.calls,
+    failed_calls: sum.failed_calls + row.failed_calls,
+    prompt_tokens: sum.prompt_tokens + row.prompt_tokens,
+    completion_tokens: sum.completion_tokens + row.completion_tokens,
+    cost: roundCost(sum.cost + row.cost),
+    unpriced_calls: sum.unpriced_calls + row.unpriced_calls
+  }), { calls: 0, failed_calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0, unpriced_calls: 0 });
+
+  return { from, to, group_by: groupBy, rows, totals };
+}
+
+function roundCost(value) {
+  return Math.round(Number(value) * 1000000) / 1000000;
+}
+
+// Función para obtener los precios configurados (por millón de tokens)
+async function getModelPrices() {
+  const result = await pool.query('SELECT * FROM llm_model_prices ORDER BY provider, model');
+  return result.rows.map(formatPrice);
+}
+
+// Función para crear o actualizar el precio de un modelo
+async function setModelPrice({ provider, model, inputPrice, outputPrice }) {
+  const result = await pool.query(`
+    INSERT INTO llm_model_prices (provider, model, input_price, output_price)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (provider, model) DO UPDATE
+    SET input_price = EXCLUDED.input_price, output_price = EXCLUDED.output_price, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [provider, model, inputPrice, outputPrice]);
+
+  return formatPrice(result.rows[0]);
+}
+
+// Función para eliminar el precio de un modelo; devuelve false si no existía
+async function deleteModelPrice(id) {
+  const result = await pool.query('DELETE FROM llm_model_prices WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+function formatPrice(row) {
+  return {
+    ...row,
+    input_price: Number(row.input_price),
+    output_price: Number(row.output_price)
+  };
+}
+
+module.exports = {
+  USAGE_GROUPS,
+  recordUsage,
+  getUsageReport,
+  getModelPrices,
+  setModelPrice,
+  deleteModelPrice
+};
\ No newline at end of file
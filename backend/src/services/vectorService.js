@@ -1,55 +1,411 @@
+const crypto = require('crypto');
+const pgvector = require('pgvector/pg');
+const { escapeLiteral } = require('pg');
 const { pool } = require('../database/init');
-const { generateEmbeddings } = require('./llmService');
+const { generateEmbeddings, generateEmbeddingsBatch, getEmbeddingConfig } = require('./llmService');
 const logger = require('../utils/logger');
 
+// Configuración de la búsqueda: modo por defecto y pesos de la fusión de rankings (RRF)
+const SEARCH_MODE = process.env.SEARCH_MODE || 'hybrid';
+const SEARCH_VECTOR_WEIGHT = parseFloat(process.env.SEARCH_VECTOR_WEIGHT || '1');
+const SEARCH_LEXICAL_WEIGHT = parseFloat(process.env.SEARCH_LEXICAL_WEIGHT || '1');
+const SEARCH_RRF_K = parseInt(process.env.SEARCH_RRF_K) || 60;
+const SEARCH_CANDIDATES_MULTIPLIER = parseInt(process.env.SEARCH_CANDIDATES_MULTIPLIER) || 4;
+
+// Fragmentos por sentencia INSERT al guardar un documento
+const DOCUMENT_INSERT_BATCH_SIZE = parseInt(process.env.DOCUMENT_INSERT_BATCH_SIZE) || 500;
+
+// Modelos de embeddings cuyo índice ya se ha comprobado en este proceso
+const indexedEmbeddingModels = new Set();
+
 // Función para insertar documento en la base de datos vectorial
 async function insertDocument(content, metadata) {
+  const [id] = await insertDocuments([{ content, metadata }]);
+  return id;
+}
+
+// Función para insertar varios fragmentos de un mismo cuaderno en una sola transacción.
+// Con options.replaceSourceId, los fragmentos anteriores de esa fuente se eliminan en la misma
+// transacción, de modo que la fuente nunca queda sin fragmentos durante el reprocesamiento.
+// Si la fuente se eliminó mientras se procesaba no se inserta nada y se devuelve null.
+async function insertDocuments(documents, options = {}) {
+  if (documents.length === 0 && !options.replaceSourceId) {
+    return [];
+  }
+  
+  const embeddingConfig = await getEmbeddingConfig();
+  await ensureEmbeddingIndex(embeddingConfig);
+  
+  // Generar los embeddings antes de abrir la transacción (son llamadas de red)
+  const embeddings = documents.length > 0
+    ? await embedTexts(documents.map(doc => doc.content), embeddingConfig, { notebookId: documents[0].metadata.notebook_id })
+    : [];
+  const language = documents.length > 0
+    ? await getNotebookSearchLanguage(documents[0].metadata.notebook_id)
+    : 'simple';
+  
+  const client = await pool.connect();
+  
   try {
-    // Generar embedding para el contenido
-    const embedding = await generateEmbeddings(content);
+    await client.query('BEGIN');
     
-    // Insertar en la base de datos
-    const result = await pool.query(
-      'INSERT INTO documents (content, metadata, embedding) VALUES ($1, $2, $3) RETURNING id',
-      [content, metadata, embedding]
-    );
+    if (options.replaceSourceId) {
+      // Bloquear la fuente: su eliminación espera a esta transacción o esta ve que ya no existe
+      const sourceResult = await client.query('SELECT id FROM sources WHERE id = $1 FOR UPDATE', [options.replaceSourceId]);
+      
+      if (sourceResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        logger.info(`Fuente ${options.replaceSourceId} eliminada durante el procesamiento, no se guardan sus fragmentos`);
+        return null;
+      }
+      
+      await client.query("DELETE FROM documents WHERE metadata->>'source_id' = $1", [options.replaceSourceId]);
+    }
+    
+    const ids = [];
     
-    return result.rows[0].id;
+    for (let start = 0; start < documents.length; start += DOCUMENT_INSERT_BATCH_SIZE) {
+      const batch = documents.slice(start, start + DOCUMENT_INSERT_BATCH_SIZE);
+      
+      // Insertar el lote con el vector de texto completo en el idioma del cuaderno
+      const result = await client.query(`
+        INSERT INTO documents (content, metadata, embedding, embedding_model, content_tsv)
+        SELECT content, metadata, embedding, $4, to_tsvector($5::regconfig, content)
+        FROM unnest($1::text[], $2::jsonb[], $3::vector[]) WITH ORDINALITY AS t(content, metadata, embedding, position)
+        ORDER BY position
+        RETURNING id
+      `, [
+        batch.map(doc => doc.content),
+        batch.map(doc => JSON.stringify(doc.metadata)),
+        embeddings.slice(start, start + DOCUMENT_INSERT_BATCH_SIZE).map(embedding => pgvector.toSql(embedding)),
+        embeddingConfig.model_id,
+        language
+      ]);
+      
+      ids.push(...result.rows.map(row => row.id));
+    }
+    
+    await client.query('COMMIT');
+    
+    return ids;
   } catch (error) {
-    logger.error('Error al insertar documento:', error);
+    await client.query('ROLLBACK');
+    logger.error('Error al insertar documentos:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
-// Función para buscar documentos similares
-async function searchDocuments(query, notebookId, limit = 5) {
+// Función para obtener los embeddings de varios textos usando la caché por contenido:
+// solo se envían al proveedor los textos distintos que el modelo no ha embebido antes
+async function embedTexts(texts, embeddingConfig, options = {}) {
+  const hashes = texts.map(text => crypto.createHash('sha256').update(text).digest('hex'));
+  const embeddings = new Map();
+  
+  const cached = await pool.query(
+    'SELECT content_hash, embedding::text as embedding FROM embedding_cache WHERE embedding_model = $1 AND content_hash = ANY($2)',
+    [embeddingConfig.model_id, [...new Set(hashes)]]
+  );
+  
+  for (const row of cached.rows) {
+    // La representación de texto de un vector ("[0.1,0.2,...]") es JSON válido
+    embeddings.set(row.content_hash, JSON.parse(row.embedding));
+  }
+  
+  const missing = new Map();
+  
+  hashes.forEach((hash, index) => {
+    if (!embeddings.has(hash) && !missing.has(hash)) {
+      missing.set(hash, texts[index]);
+    }
+  });
+  
+  if (missing.size > 0) {
+    const generated = await generateEmbeddingsBatch([...missing.values()], embeddingConfig, options);
+    const missingHashes = [...missing.keys()];
+    
+    missingHashes.forEach((hash, index) => embeddings.set(hash, generated[index]));
+    
+    await pool.query(`
+      INSERT INTO embedding_cache (embedding_model, content_hash, embedding)
+      SELECT $1, content_hash, embedding
+      FROM unnest($2::text[], $3::vector[]) AS t(content_hash, embedding)
+      ON CONFLICT DO NOTHING
+    `, [embeddingConfig.model_id, missingHashes, generated.map(embedding => pgvector.toSql(embedding))]);
+  }
+  
+  logger.info(`Embeddings: ${texts.length} textos, ${missing.size} generados, ${texts.length - missing.size} desde caché`);
+  
+  return hashes.map(hash => embeddings.get(hash));
+}
+
+// Función para buscar documentos relevantes (modos: hybrid, vector o lexical)
+async function searchDocuments(query, notebookId, limit = 5, options = {}) {
   try {
-    // Generar embedding para la consulta
-    const embedding = await generateEmbeddings(query);
+    const mode = options.mode || SEARCH_MODE;
     
-    // Buscar documentos similares
+    switch (mode) {
+      case 'vector':
+        return await searchByVector(query, notebookId, limit);
+      case 'lexical':
+        return await searchByText(query, notebookId, limit);
+      case 'hybrid':
+        return await searchHybrid(query, notebookId, limit, options);
+      default:
+        throw new Error(`Modo de búsqueda no soportado: ${mode}`);
+    }
+  } catch (error) {
+    logger.error('Error al buscar documentos:', error);
+    throw error;
+  }
+}
+
+// Búsqueda por similitud de embeddings (distancia coseno)
+async function searchByVector(query, notebookId, limit) {
+  const embeddingConfig = await getEmbeddingConfig();
+  const vector = getVectorExpression(embeddingConfig);
+  
+  // Generar embedding para la consulta
+  const embedding = await generateEmbeddings(query, embeddingConfig, { notebookId });
+  
+  // Buscar documentos similares (solo se comparan vectores del mismo modelo)
+  const result = await pool.query(`
+    SELECT 
+      id, 
+      content, 
+      metadata, 
+      1 - (${vector} <=> $1) as similarity
+    FROM 
+      documents
+    WHERE 
+      metadata->>'notebook_id' = $2
+      AND embedding_model = $3
+    ORDER BY 
+      ${vector} <=> $1
+    LIMIT $4
+  `, [pgvector.toSql(embedding), notebookId, embeddingConfig.model_id, limit]);
+  
+  return result.rows;
+}
+
+// Búsqueda de texto completo, ordenada por relevancia (ts_rank_cd)
+async function searchByText(query, notebookId, limit) {
+  const language = await getNotebookSearchLanguage(notebookId);
+  
+  const result = await pool.query(`
+    SELECT 
+      id, 
+      content, 
+      metadata, 
+      ts_rank_cd(content_tsv, query) as text_rank
+    FROM 
+      documents,
+      websearch_to_tsquery($1::regconfig, $2) query
+    WHERE 
+      metadata->>'notebook_id' = $3
+      AND content_tsv @@ query
+    ORDER BY 
+      text_rank DESC
+    LIMIT $4
+  `, [language, query, notebookId, limit]);
+  
+  return result.rows;
+}
+
+// Búsqueda híbrida: fusiona los rankings vectorial y de texto completo con Reciprocal Rank Fusion
+async function searchHybrid(query, notebookId, limit, options) {
+  const embeddingConfig = await getEmbeddingConfig();
+  const vector = getVectorExpression(embeddingConfig, 'd.');
+  
+  const embedding = await generateEmbeddings(query, embeddingConfig, { notebookId });
+  const language = await getNotebookSearchLanguage(notebookId);
+  
+  const vectorWeight = options.vectorWeight ?? SEARCH_VECTOR_WEIGHT;
+  const lexicalWeight = options.lexicalWeight ?? SEARCH_LEXICAL_WEIGHT;
+  const candidates = limit * SEARCH_CANDIDATES_MULTIPLIER;
+  
+  // El ranking vectorial solo incluye vectores del modelo activo; el de texto completo, todos
+  // (pesos y k se convierten a float8: con parámetros enteros la fusión sería una división entera)
+  const result = await pool.query(`
+    WITH vector_results AS (
+      SELECT d.id, ROW_NUMBER() OVER (ORDER BY ${vector} <=> $1) as rank
+      FROM documents d
+      WHERE d.metadata->>'notebook_id' = $2 AND d.embedding_model = $10
+      ORDER BY ${vector} <=> $1
+      LIMIT $5
+    ),
+    lexical_results AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY ts_rank_cd(content_tsv, query) DESC) as rank
+      FROM documents, websearch_to_tsquery($3::regconfig, $4) query
+      WHERE metadata->>'notebook_id' = $2 AND content_tsv @@ query
+      ORDER BY ts_rank_cd(content_tsv, query) DESC
+      LIMIT $5
+    )
+    SELECT 
+      d.id, 
+      d.content, 
+      d.metadata, 
+      CASE WHEN d.embedding_model = $10 THEN 1 - (${vector} <=> $1) END as similarity,
+      COALESCE($6::float8 / ($8::float8 + v.rank), 0) + COALESCE($7::float8 / ($8::float8 + l.rank), 0) as score
+    FROM 
+      vector_results v
+      FULL OUTER JOIN lexical_results l ON l.id = v.id
+      JOIN documents d ON d.id = COALESCE(v.id, l.id)
+    ORDER BY 
+      score DESC
+    LIMIT $9
+  `, [
+    pgvector.toSql(embedding),
+    notebookId,
+    language,
+    query,
+    candidates,
+    vectorWeight,
+    lexicalWeight,
+    SEARCH_RRF_K,
+    limit,
+    embeddingConfig.model_id
+  ]);
+  
+  return result.rows;
+}
+
+// Función para obtener la expresión del vector en SQL: con dimensiones conocidas se convierte
+// a vector(n) para que PostgreSQL use el índice HNSW del modelo
+function getVectorExpression(embeddingConfig, prefix = '') {
+  return embeddingConfig.dimensions
+    ? `(${prefix}embedding::vector(${embeddingConfig.dimensions}))`
+    : `${prefix}embedding`;
+}
+
+// Función para crear, si no existe, el índice HNSW parcial de un modelo de embeddings
+async function ensureEmbeddingIndex(embeddingConfig) {
+  const { model_id: modelId, dimensions } = embeddingConfig;
+  
+  if (!dimensions || indexedEmbeddingModels.has(modelId)) {
+    return;
+  }
+  
+  const hash = crypto.createHash('md5').update(modelId).digest('hex').substring(0, 12);
+  
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS documents_embedding_${hash}_idx
+    ON documents USING hnsw ((embedding::vector(${dimensions})) vector_cosine_ops)
+    WHERE embedding_model = ${escapeLiteral(modelId)}
+  `);
+  
+  indexedEmbeddingModels.add(modelId);
+  logger.info(`Índice de embeddings disponible para el modelo ${modelId} (${dimensions} dimensiones)`);
+}
+
+// Función para obtener la configuración de texto completo del cuaderno
+async function getNotebookSearchLanguage(notebookId) {
+  const result = await pool.query(
+    'SELECT search_language FROM notebooks WHERE id = $1',
+    [notebookId]
+  );
+  
+  return result.rows[0]?.search_language || 'simple';
+}
+
+// Función para recalcular los vectores de texto completo de un cuaderno tras cambiar su idioma
+async function updateNotebookSearchLanguage(notebookId, language) {
+  try {
+    await pool.query(
+      "UPDATE documents SET content_tsv = to_tsvector($1::regconfig, content) WHERE metadata->>'notebook_id' = $2",
+      [language, notebookId]
+    );
+    
+    logger.info(`Índice de texto completo actualizado para el cuaderno ${notebookId} (${language})`);
+  } catch (error) {
+    logger.error('Error al actualizar el índice de texto completo:', error);
+    throw error;
+  }
+}
+
+// Función para comprobar que existe una configuración de texto completo en PostgreSQL
+async function isValidSearchLanguage(language) {
+  const result = await pool.query('SELECT 1 FROM pg_ts_config WHERE cfgname = $1', [language]);
+  return result.rows.length > 0;
+}
+
+// Función para calcular la similitud de un embedding con un conjunto de documentos del mismo modelo
+async function getDocumentSimilarities(embedding, documentIds, embeddingModel) {
+  try {
     const result = await pool.query(`
       SELECT 
         id, 
-        content, 
-        metadata, 
         1 - (embedding <=> $1) as similarity
       FROM 
         documents
       WHERE 
-        metadata->>'notebook_id' = $2
-      ORDER BY 
-        embedding <=> $1
-      LIMIT $3
-    `, [embedding, notebookId, limit]);
+        id = ANY($2)
+        AND embedding_model = $3
+    `, [pgvector.toSql(embedding), documentIds, embeddingModel]);
     
     return result.rows;
   } catch (error) {
-    logger.error('Error al buscar documentos:', error);
+    logger.error('Error al calcular similitud de documentos:', error);
     throw error;
   }
 }
 
+// Función para obtener el número de fragmentos de cada cuaderno por modelo de embeddings
+async function getEmbeddingModelUsage() {
+  const result = await pool.query(`
+    SELECT 
+      n.id as notebook_id, 
+      n.title as notebook_title, 
+      d.embedding_model, 
+      COUNT(*)::int as documents
+    FROM 
+      documents d
+      JOIN notebooks n ON n.id::text = d.metadata->>'notebook_id'
+    GROUP BY 
+      n.id, n.title, d.embedding_model
+    ORDER BY 
+      n.title ASC, d.embedding_model ASC
+  `);
+  
+  return result.rows;
+}
+
+// Función para volver a generar con el modelo activo los embeddings de otro modelo de un cuaderno
+async function reembedNotebookDocuments(notebookId, onProgress = async () => {}) {
+  const embeddingConfig = await getEmbeddingConfig();
+  await ensureEmbeddingIndex(embeddingConfig);
+  
+  const result = await pool.query(`
+    SELECT id, content 
+    FROM documents 
+    WHERE metadata->>'notebook_id' = $1 AND embedding_model IS DISTINCT FROM $2
+    ORDER BY id ASC
+  `, [notebookId, embeddingConfig.model_id]);
+  
+  const progress = { total: result.rows.length, processed: 0, model: embeddingConfig.model_id };
+  await onProgress(progress);
+  
+  for (let start = 0; start < result.rows.length; start += DOCUMENT_INSERT_BATCH_SIZE) {
+    const batch = result.rows.slice(start, start + DOCUMENT_INSERT_BATCH_SIZE);
+    const embeddings = await embedTexts(batch.map(document => document.content), embeddingConfig, { notebookId });
+    
+    await pool.query(`
+      UPDATE documents d
+      SET embedding = t.embedding, embedding_model = $3
+      FROM unnest($1::bigint[], $2::vector[]) AS t(id, embedding)
+      WHERE d.id = t.id
+    `, [batch.map(document => document.id), embeddings.map(embedding => pgvector.toSql(embedding)), embeddingConfig.model_id]);
+    
+    progress.processed += batch.length;
+    await onProgress(progress);
+  }
+  
+  logger.info(`Embeddings regenerados para el cuaderno ${notebookId}: ${progress.processed} fragmentos con ${embeddingConfig.model_id}`);
+  
+  return progress;
+}
+
 // Función para eliminar documentos por notebook_id
 async function deleteDocumentsByNotebookId(notebookId) {
   try {
@@ -80,9 +436,26 @@ async function deleteDocumentsBySourceId(sourceId) {
   }
 }
 
+// Función para actualizar el título de la fuente guardado en sus fragmentos
+async function updateDocumentsSourceTitle(sourceId, title) {
+  await pool.query(
+    `UPDATE documents
+     SET metadata = jsonb_set(metadata, '{source_title}', to_jsonb($1::text))
+     WHERE metadata->>'source_id' = $2`,
+    [title, sourceId]
+  );
+}
+
 module.exports = {
   insertDocument,
+  insertDocuments,
   searchDocuments,
+  getDocumentSimilarities,
+  getEmbeddingModelUsage,
+  reembedNotebookDocuments,
+  updateNotebookSearchLanguage,
+  isValidSearchLanguage,
   deleteDocumentsByNotebookId,
-  deleteDocumentsBySourceId
+  deleteDocumentsBySourceId,
+  updateDocumentsSourceTitle
 };
\ No newline at end of file
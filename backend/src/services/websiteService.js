@@ -0,0 +1,492 @@
+const axios = require('axios');
+const { parse } = require('node-html-parser');
+const { htmlToText } = require('./fileExtractors');
+const { createNonRetryableError } = require('./jobQueue');
+const { assertSafeUrl, safeHttpAgent, safeHttpsAgent } = require('./urlSafety');
+const logger = require('../utils/logger');
+
+// Configuración de las descargas de páginas web
+const WEB_USER_AGENT = process.env.WEB_USER_AGENT || 'HorusLMBot/1.0';
+const WEB_FETCH_TIMEOUT_MS = parseInt(process.env.WEB_FETCH_TIMEOUT_MS) || 15000;
+const WEB_MAX_BYTES = parseInt(process.env.WEB_MAX_BYTES) || 5 * 1024 * 1024;
+const WEB_MAX_REDIRECTS = 5;
+const WEB_RESPECT_ROBOTS = process.env.WEB_RESPECT_ROBOTS !== 'false';
+
+// Nombre con el que se buscan reglas propias en robots.txt
+const ROBOTS_AGENT = 'horuslmbot';
+const ROBOTS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Límites del rastreo: valores por defecto y máximos que puede pedir el usuario
+const CRAWL_DEFAULT_DEPTH = 1;
+const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH) || 3;
+const CRAWL_DEFAULT_PAGES = 20;
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES) || 100;
+const CRAWL_DELAY_MS = parseInt(process.env.CRAWL_DELAY_MS) || 1000;
+
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Enlaces a recursos que no son páginas y no se rastrean
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|jpe?g|png|gif|webp|svg|ico|mp3|mp4|wav|avi|mov|webm|docx?|xlsx?|pptx?|odt|epub|css|js|json|xml|rss)$/i;
+
+// Patrones de clase/id para localizar el contenido principal (al estilo de Readability)
+const UNLIKELY_CANDIDATES = /comment|sidebar|footer|nav|menu|share|social|cookie|banner|popup|modal|related|advert|promo|breadcrumb|subscribe|newsletter/i;
+const LIKELY_CANDIDATES = /article|body|content|entry|main|page|post|text|blog|story/i;
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_CONTENT_LENGTH = 200;
+
+// Reglas de robots.txt por origen
+const robotsCache = new Map();
+
+// Función para descargar una página y extraer su contenido principal, título y URL canónica
+async function fetchWebPage(url) {
+  const pageUrl = parseHttpUrl(url);
+  const robots = await getRobotsRules(pageUrl);
+
+  if (!isPathAllowed(robots.rules, pageUrl.pathname + pageUrl.search)) {
+    throw createNonRetryableError(`robots.txt no permite acceder a ${pageUrl.href}`);
+  }
+
+  const response = await fetchUrl(pageUrl.href);
+  const mimeType = response.contentType.split(';')[0].trim().toLowerCase();
+  const body = decodeBody(response.buffer, response.contentType);
+
+  if (mimeType === 'text/plain') {
+    return {
+      url: pageUrl.href,
+      finalUrl: response.finalUrl,
+      canonicalUrl: response.finalUrl,
+      title: null,
+      text: body.trim(),
+      links: []
+    };
+  }
+
+  if (!HTML_CONTENT_TYPES.includes(mimeType)) {
+    throw createNonRetryableError(`${pageUrl.href} no es una página web (${mimeType || 'tipo desconocido'})`);
+  }
+
+  return {
+    url: pageUrl.href,
+    finalUrl: response.finalUrl,
+    ...extractPageContent(body, response.finalUrl)
+  };
+}
+
+// Función para validar una URL de página web
+function parseHttpUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createNonRetryableError(`URL no válida: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw createNonRetryableError(`Solo se admiten URLs http y https: ${url}`);
+  }
+
+  parsed.hash = '';
+  return parsed;
+}
+
+// Función para descargar una URL con límites de tiempo, redirecciones y tamaño. Las redirecciones
+// se siguen a mano para validar cada salto con assertSafeUrl antes de conectar
+async function fetchUrl(url) {
+  let currentUrl = url;
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      await assertSafeUrl(currentUrl);
+
+      const response = await axios.get(currentUrl, {
+        headers: {
+          'User-Agent': WEB_USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.8,*/*;q=0.5',
+          'Accept-Language': 'es,en;q=0.8'
+        },
+        responseType: 'arraybuffer',
+        timeout: WEB_FETCH_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: WEB_MAX_BYTES,
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent: safeHttpAgent,
+        httpsAgent: safeHttpsAgent,
+        // Con un proxy la resolución DNS la haría el proxy y no se podría validar la dirección
+        proxy: false
+      });
+
+      const location = response.headers.location;
+
+      if (response.status < 300 || !location) {
+        return {
+          buffer: Buffer.from(response.data),
+          contentType: String(response.headers['content-type'] || ''),
+          finalUrl: currentUrl
+        };
+      }
+
+      if (redirects >= WEB_MAX_REDIRECTS) {
+        throw createNonRetryableError(`Demasiadas redirecciones al descargar ${url}`);
+      }
+
+      currentUrl = new URL(location, currentUrl).href;
+    }
+  } catch (error) {
+    if (error.message?.includes('maxContentLength')) {
+      throw createNonRetryableError(`La página ${url} supera el tamaño máximo de ${WEB_MAX_BYTES} bytes`);
+    }
+
+    // Dirección interna detectada al conectar (axios envuelve el error de la resolución DNS)
+    if (error.code === 'ERR_URL_BLOCKED') {
+      throw createNonRetryableError(error.message);
+    }
+
+    // Los errores 4xx (salvo 429) no se resuelven reintentando
+    const status = error.response?.status;
+    if (status >= 400 && status < 500 && status !== 429) {
+      throw createNonRetryableError(`La página ${currentUrl} respondió con el código ${status}`);
+    }
+
+    throw error;
+  }
+}
+
+// Función para decodificar el cuerpo según el charset de la cabecera o de la etiqueta <meta>
+function decodeBody(buffer, contentType) {
+  const headerCharset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  const head = buffer.subarray(0, 4096).toString('latin1');
+  const metaCharset = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+
+  for (const label of [headerCharset, metaCharset]) {
+    if (!label) continue;
+
+    try {
+      return new TextDecoder(label).decode(buffer);
+    } catch (error) {
+      // Charset desconocido: probar con el siguiente
+    }
+  }
+
+  return new TextDecoder('utf-8').decode(buffer);
+}
+
+// Función para obtener título, URL canónica, texto principal y enlaces de una página HTML
+function extractPageContent(html, pageUrl) {
+  const root = parse(html);
+
+  const title = root.querySelector('meta[property="og:title"]')?.getAttribute('content')?.trim() ||
+                root.querySelector('title')?.text.trim() ||
+                root.querySelector('h1')?.text.trim() ||
+                null;
+  const canonicalUrl = resolveLink(root.querySelector('link[rel="canonical"]')?.getAttribute('href'), pageUrl) || pageUrl;
+
+  // Los enlaces se recogen antes de quitar la navegación, que es donde suelen estar
+  const links = collectLinks(root, pageUrl);
+
+  root.querySelectorAll('script, style, noscript, template, iframe, svg, form, nav, footer, header, aside').forEach(el => el.remove());
+
+  for (const element of root.querySelectorAll('[class], [id]')) {
+    const signature = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+    const tag = element.tagName.toLowerCase();
+
+    if (UNLIKELY_CANDIDATES.test(signature) && !LIKELY_CANDIDATES.test(signature) && !['body', 'main', 'article'].includes(tag)) {
+      element.remove();
+    }
+  }
+
+  const body = root.querySelector('body') || root;
+  let text = htmlToText(findMainContent(root).map(element => element.outerHTML).join('\n'));
+
+  // Si la heurística se queda con poco texto, usar la página completa
+  if (text.length < MIN_CONTENT_LENGTH) {
+    text = htmlToText(body.outerHTML);
+  }
+
+  return { title, canonicalUrl, text, links };
+}
+
+// Función para elegir los elementos con el contenido principal: se puntúa el contenedor de cada
+// párrafo según su longitud y comas, se penalizan los bloques con muchos enlaces y se añaden
+// los hermanos del mejor candidato con puntuación suficiente
+function findMainContent(root) {
+  const scores = new Map();
+
+  for (const paragraph of root.querySelectorAll('p, pre, td, blockquote')) {
+    const text = paragraph.text.trim();
+
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(scores, paragraph.parentNode, score);
+    addScore(scores, paragraph.parentNode?.parentNode, score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const [element, score] of scores) {
+    const finalScore = (score + getClassWeight(element)) * (1 - getLinkDensity(element));
+    scores.set(element, finalScore);
+
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+
+  if (!best) {
+    return [root.querySelector('main') || root.querySelector('article') || root.querySelector('body') || root];
+  }
+
+  const threshold = Math.max(10, bestScore * 0.2);
+  const siblings = best.parentNode?.childNodes.filter(node => node.nodeType === 1) || [best];
+
+  return siblings.filter(sibling => {
+    if (sibling === best || (scores.get(sibling) || 0) >= threshold) {
+      return true;
+    }
+
+    // Párrafos sueltos junto al contenido principal
+    const text = sibling.text.trim();
+    return sibling.tagName.toLowerCase() === 'p' && text.length > 80 && getLinkDensity(sibling) < 0.25;
+  });
+}
+
+function addScore(scores, element, score) {
+  if (!element || !element.tagName) return;
+  scores.set(element, (scores.get(element) || 0) + score);
+}
+
+function getClassWeight(element) {
+  const signature = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+  let weight = 0;
+
+  if (LIKELY_CANDIDATES.test(signature)) weight += 25;
+  if (UNLIKELY_CANDIDATES.test(signature)) weight -= 25;
+
+  return weight;
+}
+
+// Función para calcular la proporción del texto de un elemento que está dentro de enlaces
+function getLinkDensity(element) {
+  const textLength = element.text.trim().length;
+
+  if (textLength === 0) {
+    return 0;
+  }
+
+  const linkLength = element.querySelectorAll('a').reduce((sum, link) => sum + link.text.trim().length, 0);
+  return Math.min(linkLength / textLength, 1);
+}
+
+// Función para obtener los enlaces http(s) de una página, absolutos y sin fragmento
+function collectLinks(root, pageUrl) {
+  const links = new Set();
+
+  for (const anchor of root.querySelectorAll('a[href]')) {
+    if (/\bnofollow\b/i.test(anchor.getAttribute('rel') || '')) continue;
+
+    const link = resolveLink(anchor.getAttribute('href'), pageUrl);
+
+    if (link && !NON_PAGE_EXTENSIONS.test(new URL(link).pathname)) {
+      links.add(link);
+    }
+  }
+
+  return [...links];
+}
+
+function resolveLink(href, baseUrl) {
+  if (!href) {
+    return null;
+  }
+
+  try {
+    const url = new URL(href.trim(), baseUrl);
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return null;
+    }
+
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Función para obtener (con caché) las reglas de robots.txt que aplican a este agente
+async function getRobotsRules(pageUrl) {
+  if (!WEB_RESPECT_ROBOTS) {
+    return { rules: [], crawlDelay: null };
+  }
+
+  const cached = robotsCache.get(pageUrl.origin);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  let robots;
+
+  try {
+    const response = await fetchUrl(`${pageUrl.origin}/robots.txt`);
+    robots = parseRobotsTxt(response.buffer.toString('utf8'));
+  } catch (error) {
+    // Sin robots.txt (4xx) no hay restricciones; si el servidor falla se reintentará más tarde
+    if (error.retryable !== false) {
+      throw new Error(`No se pudo consultar robots.txt de ${pageUrl.origin}: ${error.message}`);
+    }
+
+    robots = { rules: [], crawlDelay: null };
+  }
+
+  robots.expiresAt = Date.now() + ROBOTS_CACHE_TTL_MS;
+  robotsCache.set(pageUrl.origin, robots);
+
+  return robots;
+}
+
+// Función para leer robots.txt: se usan los grupos de este agente o, si no hay, los de "*"
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const match = rawLine.replace(/#.*/, '').trim().match(/^([\w-]+)\s*:\s*(.*)$/);
+
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Varias líneas User-agent seguidas comparten el mismo grupo de reglas
+      if (!readingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+      continue;
+    }
+
+    readingAgents = false;
+
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      current.crawlDelay = parseFloat(value) || null;
+    }
+  }
+
+  const ownGroups = groups.filter(group => group.agents.some(agent => agent !== '*' && ROBOTS_AGENT.includes(agent)));
+  const selected = ownGroups.length > 0 ? ownGroups : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: selected.flatMap(group => group.rules),
+    crawlDelay: selected.find(group => group.crawlDelay)?.crawlDelay || null
+  };
+}
+
+// Función para aplicar las reglas: gana la regla más específica (más larga) y, si empatan, Allow
+function isPathAllowed(rules, urlPath) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!matchesRobotsPattern(rule.path, urlPath)) continue;
+
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+// Los patrones admiten "*" (cualquier secuencia) y "$" (fin de la ruta)
+function matchesRobotsPattern(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+// Función para normalizar las opciones de rastreo pedidas por el usuario
+function getCrawlOptions({ max_depth, max_pages } = {}) {
+  const depth = parseInt(max_depth);
+  const pages = parseInt(max_pages);
+
+  return {
+    maxDepth: Math.min(Math.max(Number.isNaN(depth) ? CRAWL_DEFAULT_DEPTH : depth, 0), CRAWL_MAX_DEPTH),
+    maxPages: Math.min(Math.max(Number.isNaN(pages) ? CRAWL_DEFAULT_PAGES : pages, 1), CRAWL_MAX_PAGES)
+  };
+}
+
+// Función para rastrear en anchura las páginas del mismo dominio a partir de una URL.
+// onPage(page, { depth }) se llama con cada página descargada
+async function crawlWebsite(startUrl, { maxDepth, maxPages, onPage }) {
+  const start = parseHttpUrl(startUrl);
+  const queue = [{ url: start.href, depth: 0 }];
+  const seen = new Set([start.href]);
+  const visitedCanonicals = new Set();
+  let fetched = 0;
+
+  while (queue.length > 0 && fetched < maxPages) {
+    const { url, depth } = queue.shift();
+    let page;
+
+    try {
+      page = await fetchWebPage(url);
+    } catch (error) {
+      // Si falla la página inicial no hay nada que rastrear
+      if (depth === 0) {
+        throw error;
+      }
+
+      logger.warn(`No se pudo rastrear ${url}: ${error.message}`);
+      continue;
+    }
+
+    fetched++;
+
+    // Varias URLs pueden llevar a la misma página canónica
+    if (!visitedCanonicals.has(page.canonicalUrl)) {
+      visitedCanonicals.add(page.canonicalUrl);
+      await onPage(page, { depth });
+    }
+
+    if (depth < maxDepth) {
+      for (const link of page.links) {
+        if (new URL(link).hostname !== start.hostname || seen.has(link)) continue;
+
+        seen.add(link);
+        queue.push({ url: link, depth: depth + 1 });
+      }
+    }
+
+    if (queue.length > 0) {
+      const robots = await getRobotsRules(start);
+      await new Promise(resolve => setTimeout(resolve, Math.max(CRAWL_DELAY_MS, (robots.crawlDelay || 0) * 1000)));
+    }
+  }
+
+  logger.info(`Rastreo de ${start.href} terminado: ${fetched} páginas descargadas`);
+}
+
+module.exports = {
+  fetchWebPage,
+  crawlWebsite,
+  getCrawlOptions,
+  parseHttpUrl,
+  extractPageContent,
+  parseRobotsTxt,
+  isPathAllowed
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const axios = require('axios');
+const { parse } = require('node-html-parser');
+const { transcribeAudio, buildTranscriptText } = require('./transcriptionService');
+const { createNonRetryableError } = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Idiomas de subtítulos preferidos, en orden de prioridad
+const CAPTION_LANGUAGES = (process.env.YOUTUBE_CAPTION_LANGUAGES || 'es,en')
+  .split(',')
+  .map(lang => lang.trim())
+  .filter(Boolean);
+
+// Límites para descargar el audio de videos sin subtítulos
+const YTDLP_TIMEOUT_MS = parseInt(process.env.YTDLP_TIMEOUT_MS) || 10 * 60 * 1000;
+const YOUTUBE_MAX_DURATION_SECONDS = parseInt(process.env.YOUTUBE_MAX_DURATION_SECONDS) || 3 * 60 * 60;
+const YOUTUBE_MAX_FILESIZE = process.env.YOUTUBE_MAX_FILESIZE || '500M';
+
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// Función principal para obtener la transcripción de un video de YouTube
+async function getYouTubeTranscript(url, fetcher = getDefaultFetcher()) {
+  const videoId = parseVideoId(url);
+
+  if (!videoId) {
+    throw createNonRetryableError(`URL de YouTube no válida: ${url}`);
+  }
+
+  const playerResponse = await fetcher.getPlayerResponse(videoId);
+  const details = playerResponse.videoDetails || {};
+
+  const metadata = {
+    video_id: videoId,
+    title: details.title || null,
+    channel: details.author || null,
+    duration: parseInt(details.lengthSeconds) || null
+  };
+
+  let segments = [];
+  const tracks = playerResponse.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  const track = selectCaptionTrack(tracks);
+
+  if (track) {
+    const captionText = await fetcher.getCaptionTrack(videoId, track);
+    segments = parseCaptions(captionText);
+    metadata.caption_language = track.languageCode;
+    metadata.transcript_source = track.kind === 'asr' ? 'auto_captions' : 'captions';
+  }
+
+  // Sin subtítulos utilizables: descargar el audio y transcribirlo
+  if (segments.length === 0) {
+    if (metadata.duration > YOUTUBE_MAX_DURATION_SECONDS) {
+      throw createNonRetryableError(
+        `El video ${videoId} no tiene subtítulos y dura más de ${YOUTUBE_MAX_DURATION_SECONDS} s para transcribirlo`
+      );
+    }
+
+    logger.info(`Video ${videoId} sin subtítulos, transcribiendo audio`);
+    const transcription = await fetcher.transcribeVideo(videoId);
+    segments = transcription.segments;
+    metadata.transcript_source = 'transcription';
+  }
+
+  const text = buildTranscriptText(segments);
+
+  return { text, segments, metadata };
+}
+
+// Función para extraer el identificador de video de una URL
+function parseVideoId(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^www\.|^m\./, '');
+
+    if (host === 'youtu.be') {
+      return parsed.pathname.slice(1).split('/')[0] || null;
+    }
+
+    if (host === 'youtube.com' || host === 'music.youtube.com') {
+      if (parsed.searchParams.get('v')) {
+        return parsed.searchParams.get('v');
+      }
+
+      const match = parsed.pathname.match(/^\/(?:shorts|embed|live)\/([\w-]{11})/);
+      return match ? match[1] : null;
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Función para elegir la pista de subtítulos: manuales antes que automáticos, por idioma preferido
+function selectCaptionTrack(tracks) {
+  if (tracks.length === 0) {
+    return null;
+  }
+
+  const rank = track => {
+    const languageIndex = CAPTION_LANGUAGES.indexOf(track.languageCode.split('-')[0]);
+    const languageRank = languageIndex === -1 ? CAPTION_LANGUAGES.length : languageIndex;
+    return (track.kind === 'asr' ? 100 : 0) + languageRank;
+  };
+
+  return [...tracks].sort((a, b) => rank(a) - rank(b))[0];
+}
+
+// Función para detectar el formato de subtítulos y parsearlo
+function parseCaptions(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('<')) {
+    return parseTimedText(trimmed);
+  }
+
+  return parseCueBlocks(trimmed);
+}
+
+// Función para parsear formatos basados en bloques separados por líneas en blanco (WebVTT y SRT)
+function parseCueBlocks(text) {
+  const timingPattern = /(\S+)\s+-->\s+(\S+)/;
+  const cues = [];
+  const blocks = text.replace(/\r/g, '').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => timingPattern.test(line));
+
+    if (timingIndex === -1) continue;
+
+    const [, start, end] = lines[timingIndex].match(timingPattern);
+    const cueText = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+
+    if (!cueText) continue;
+
+    // Los subtítulos automáticos repiten la línea anterior en cada cue
+    const previous = cues[cues.length - 1];
+    if (previous && previous.text === cueText) {
+      previous.end = parseTimestamp(end);
+      continue;
+    }
+
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: cueText });
+  }
+
+  return cues;
+}
+
+// Función para parsear el formato XML timedtext de YouTube (formatos 1 y 3)
+function parseTimedText(xml) {
+  const root = parse(xml);
+  const cues = [];
+
+  for (const node of root.querySelectorAll('text')) {
+    const start = parseFloat(node.getAttribute('start')) || 0;
+    const duration = parseFloat(node.getAttribute('dur')) || 0;
+    const cueText = cleanCueText(node.text);
+
+    if (cueText) {
+      cues.push({ start, end: start + duration, text: cueText });
+    }
+  }
+
+  for (const node of root.querySelectorAll('p')) {
+    const start = (parseInt(node.getAttribute('t')) || 0) / 1000;
+    const duration = (parseInt(node.getAttribute('d')) || 0) / 1000;
+    const cueText = cleanCueText(node.text);
+
+    if (cueText) {
+      cues.push({ start, end: start + duration, text: cueText });
+    }
+  }
+
+  return cues;
+}
+
+// Función para convertir marcas de tiempo (hh:mm:ss.mmm o hh:mm:ss,mmm) a segundos
+function parseTimestamp(value) {
+  const parts = value.replace(',', '.').split(':').map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Función para limpiar etiquetas y entidades del texto de un cue
+function cleanCueText(text) {
+  return parse(text.replace(/<[^>]+>/g, '')).text
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Fetcher que consulta YouTube directamente
+function createHttpFetcher() {
+  return {
+    async getPlayerResponse(videoId) {
+      const response = await axios.get(`https://www.youtube.com/watch?v=${videoId}`, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept-Language': 'es,en;q=0.8' },
+        timeout: 15000
+      });
+
+      const match = response.data.match(/ytInitialPlayerResponse\s*=\s*(\{.+?\})\s*;\s*(?:var\s|<\/script>)/s);
+
+      if (!match) {
+        throw new Error(`No se pudo leer la información del video ${videoId}`);
+      }
+
+      return JSON.parse(match[1]);
+    },
+
+    async getCaptionTrack(videoId, track) {
+      const response = await axios.get(`${track.baseUrl}&fmt=vtt`, {
+        headers: { 'User-Agent': USER_AGENT },
+        responseType: 'text',
+        timeout: 15000
+      });
+
+      return response.data;
+    },
+
+    async transcribeVideo(videoId) {
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-youtube-'));
+
+      try {
+        const binary = process.env.YTDLP_BIN || 'yt-dlp';
+        const audioPath = path.join(tmpDir, 'audio.mp3');
+
+        try {
+          await execFileAsync(binary, [
+            '-x',
+            '--audio-format', 'mp3',
+            '--no-playlist',
+            '--max-filesize', YOUTUBE_MAX_FILESIZE,
+            '--match-filter', `duration <= ${YOUTUBE_MAX_DURATION_SECONDS}`,
+            '-o', path.join(tmpDir, 'audio.%(ext)s'),
+            `https://www.youtube.com/watch?v=${videoId}`
+          ], { maxBuffer: 10 * 1024 * 1024, timeout: YTDLP_TIMEOUT_MS });
+        } catch (error) {
+          // execFile mata el proceso al agotar el tiempo
+          if (error.killed) {
+            throw new Error(`yt-dlp no terminó la descarga de ${videoId} en ${YTDLP_TIMEOUT_MS / 1000} s`);
+          }
+          throw error;
+        }
+
+        // yt-dlp omite sin error los videos que superan los límites de tamaño o duración
+        try {
+          await fs.access(audioPath);
+        } catch (error) {
+          throw createNonRetryableError(`El audio del video ${videoId} supera los límites de descarga`);
+        }
+
+        return await transcribeAudio(audioPath);
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+// Fetcher que lee respuestas guardadas en disco, para desarrollo y pruebas sin red:
+// <dir>/<videoId>.json (player response) y <dir>/<videoId>.<idioma>.vtt|srt|xml
+function createFixtureFetcher(dir) {
+  return {
+    async getPlayerResponse(videoId) {
+      return JSON.parse(await fs.readFile(path.join(dir, `${videoId}.json`), 'utf8'));
+    },
+
+    async getCaptionTrack(videoId, track) {
+      for (const extension of ['vtt', 'srt', 'xml']) {
+        try {
+          return await fs.readFile(path.join(dir, `${videoId}.${track.languageCode}.${extension}`), 'utf8');
+        } catch (error) {
+          // Probar con la siguiente extensión
+        }
+      }
+
+      throw new Error(`No hay subtítulos de prueba para ${videoId} (${track.languageCode})`);
+    },
+
+    async transcribeVideo(videoId) {
+      return await transcribeAudio(path.join(dir, `${videoId}.mp3`));
+    }
+  };
+}
+
+function getDefaultFetcher() {
+  return process.env.YOUTUBE_FIXTURES_DIR
+    ? createFixtureFetcher(process.env.YOUTUBE_FIXTURES_DIR)
+    : createHttpFetcher();
+}
+
+module.exports = {
+  getYouTubeTranscript,
+  parseVideoId,
+  parseCaptions,
+  createHttpFetcher,
+  createFixtureFetcher
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_DATABASE_URL, startTestServer } = require('./helpers');
+
+const SOURCE_TEXT = `La fotosíntesis es el proceso por el que las plantas transforman la luz solar en energía química. Tiene lugar en los cloroplastos de las hojas.
+
+Durante la fase luminosa se libera oxígeno a partir de las moléculas de agua. En la fase oscura, el ciclo de Calvin fija el dióxido de carbono para producir glucosa.
+
+Los bosques tropicales y el fitoplancton marino aportan la mayor parte del oxígeno de la atmósfera.`;
+
+describe('Subida, procesamiento y chat con citas', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL no está definida'
+}, () => {
+  let server;
+  let token;
+  let notebook;
+  let source;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.registerUser();
+
+    const { data } = await server.request('POST', '/notebooks', { token, body: { title: 'Fotosíntesis' } });
+    notebook = data;
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  it('procesa un archivo subido y genera su resumen', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([SOURCE_TEXT], { type: 'text/plain' }), 'fotosintesis.txt');
+
+    const upload = await server.request('POST', `/sources/upload/${notebook.id}`, { token, form });
+
+    assert.equal(upload.status, 201);
+    assert.equal(upload.data.type, 'text');
+    assert.equal(upload.data.processing_status, 'processing');
+
+    const job = await server.waitForJob(token, upload.data.job_id);
+    assert.equal(job.status, 'completed', job.last_error);
+
+    const { data } = await server.request('GET', `/sources/${upload.data.id}`, { token });
+    source = data;
+
+    assert.equal(source.processing_status, 'completed');
+    assert.match(source.content, /ciclo de Calvin/);
+    assert.match(source.summary, /^Resumen simulado: La fotosíntesis es el proceso/);
+  });
+
+  it('responde citando el fragmento de la fuente', async () => {
+    const session = await server.request('POST', `/chat/sessions/notebook/${notebook.id}`, { token, body: {} });
+    assert.equal(session.status, 201);
+
+    const { status, data } = await server.request('POST', `/chat/send/${session.data.id}`, {
+      token,
+      body: { message: '¿Qué es la fotosíntesis?' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(data.aiMessage.message.provider, 'mock');
+
+    const response = JSON.parse(data.aiMessage.message.content);
+    const [citation] = response.citations;
+
+    assert.equal(response.citations.length, 1);
+    assert.equal(citation.source_id, source.id);
+    assert.equal(citation.source_title, 'fotosintesis.txt');
+    assert.ok(citation.chunk_lines_from >= 1);
+    assert.ok(citation.chunk_lines_to >= citation.chunk_lines_from);
+
+    // La frase citada lleva la cita y el marcador [1] desaparece del texto
+    const cited = response.segments.find(segment => segment.citation_id === citation.citation_id);
+    assert.ok(cited);
+    assert.doesNotMatch(cited.text, /\[1\]/);
+
+    // La conversación se titula con la primera pregunta
+    assert.ok(data.session.title);
+  });
+
+  it('envía la respuesta en streaming con las citas al final', async () => {
+    const session = await server.request('POST', `/chat/sessions/notebook/${notebook.id}`, { token, body: {} });
+
+    const { status, data: events } = await server.request('POST', `/chat/stream/${session.data.id}`, {
+      token,
+      body: { message: '¿Qué se libera en la fase luminosa?' }
+    });
+
+    assert.equal(status, 200);
+
+    const tokens = events.filter(event => event.event === 'token');
+    const done = events.find(event => event.event === 'done');
+
+    assert.ok(tokens.length > 1);
+    assert.ok(done);
+    assert.equal(events[events.length - 1], done);
+    assert.equal(done.data.citations[0].source_id, source.id);
+
+    // El texto enviado en streaming es la respuesta completa antes de procesar las citas
+    const streamed = tokens.map(event => event.data.text).join('');
+    assert.match(streamed, /\[1\]$/);
+  });
+
+  it('mantiene el historial de la conversación', async () => {
+    const session = await server.request('POST', `/chat/sessions/notebook/${notebook.id}`, { token, body: {} });
+
+    await server.request('POST', `/chat/send/${session.data.id}`, { token, body: { message: '¿Dónde ocurre?' } });
+    await server.request('POST', `/chat/send/${session.data.id}`, { token, body: { message: '¿Y el oxígeno?' } });
+
+    const { data: history } = await server.request('GET', `/chat/history/${session.data.id}`, { token });
+
+    assert.deepEqual(history.map(row => row.message.type), ['human', 'ai', 'human', 'ai']);
+  });
+
+  it('no crea conversaciones al leer un historial inexistente', async () => {
+    const { data: empty } = await server.request('POST', '/notebooks', { token, body: { title: 'Sin conversaciones' } });
+
+    const history = await server.request('GET', `/chat/history/${empty.id}`, { token });
+    const { data: sessions } = await server.request('GET', `/chat/sessions/notebook/${empty.id}`, { token });
+
+    assert.equal(history.status, 404);
+    assert.deepEqual(sessions, []);
+  });
+
+  it('genera el título y las preguntas de ejemplo del cuaderno', async () => {
+    const { data } = await server.request('POST', `/notebooks/${notebook.id}/generate`, { token });
+
+    const job = await server.waitForJob(token, data.jobId);
+    assert.equal(job.status, 'completed', job.last_error);
+
+    const { data: updated } = await server.request('GET', `/notebooks/${notebook.id}`, { token });
+
+    assert.equal(updated.generation_status, 'completed');
+    // El cuaderno se titula a partir del resumen de sus fuentes
+    assert.match(updated.title, /La fotosíntesis/);
+    assert.equal(updated.example_questions.length, 1);
+  });
+
+  it('rechaza el chat en un cuaderno sin fuentes procesadas', async () => {
+    const { data: empty } = await server.request('POST', '/notebooks', { token, body: { title: 'Vacío' } });
+    const session = await server.request('POST', `/chat/sessions/notebook/${empty.id}`, { token, body: {} });
+
+    const { status, data } = await server.request('POST', `/chat/send/${session.data.id}`, {
+      token,
+      body: { message: 'Hola' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(data.error, 'No hay fuentes procesadas en este cuaderno');
+  });
+
+  it('no da acceso a los cuadernos de otros usuarios', async () => {
+    const otherToken = await server.registerUser();
+
+    const { status } = await server.request('POST', `/chat/sessions/notebook/${notebook.id}`, {
+      token: otherToken,
+      body: {}
+    });
+
+    assert.equal(status, 404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { chunkText, countTokens } = require('../src/services/chunkingService');
+
+// Texto CJK sin espacios ni puntuación: el peor caso para el tokenizador
+function unpunctuatedText(length) {
+  return Array.from({ length }, (_, index) => String.fromCharCode(0x4e00 + (index * 7919) % 20000)).join('');
+}
+
+describe('Fragmentación de textos sin espacios', () => {
+  it('divide un texto largo sin espacios en fragmentos que caben en el tamaño máximo', () => {
+    const text = unpunctuatedText(20000);
+    const started = Date.now();
+    const chunks = chunkText(text, { strategy: 'recursive', chunkSize: 512, chunkOverlap: 0 });
+
+    assert.ok(Date.now() - started < 10000, `La fragmentación tardó ${Date.now() - started} ms`);
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.token_count <= 512));
+    assert.equal(chunks.map(chunk => chunk.content).join(''), text);
+  });
+
+  it('fragmenta una imagen en base64 incrustada en markdown', () => {
+    const text = `# Diagrama\n\n![diagrama](data:image/png;base64,${crypto.randomBytes(150000).toString('base64')})`;
+    const chunks = chunkText(text, { strategy: 'recursive', chunkSize: 256, chunkOverlap: 0 });
+
+    assert.ok(chunks.every(chunk => chunk.token_count <= 256));
+    assert.equal(chunks[chunks.length - 1].end, text.length);
+  });
+
+  it('cuenta los tokens de los tramos largos por partes', () => {
+    const text = unpunctuatedText(100);
+
+    assert.equal(countTokens(text), countTokens(text.slice(0, 32)) + countTokens(text.slice(32, 64)) +
+      countTokens(text.slice(64, 96)) + countTokens(text.slice(96)));
+  });
+});
\ No newline at end of file
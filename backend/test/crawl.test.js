@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_DATABASE_URL, startTestServer, startTestSite } = require('./helpers');
+
+// Sitio web local para el rastreo: la portada declara /inicio como URL canónica
+const PARAGRAPH = 'Las islas Canarias tienen un origen volcánico y conservan coladas de lava, conos y tubos volcánicos que se pueden visitar siguiendo rutas señalizadas por los parques nacionales.';
+
+function sitePage(title, links = [], canonical = null) {
+  return `<html><head><title>${title}</title>${canonical ? `<link rel="canonical" href="${canonical}">` : ''}</head>
+<body><article><h1>${title}</h1><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p>
+${links.map(link => `<a href="${link}">${link}</a>`).join(' ')}</article></body></html>`;
+}
+
+const SITE_PAGES = {
+  '/': sitePage('Volcanes de Canarias', ['/teide', '/timanfaya'], '/inicio'),
+  '/inicio': sitePage('Volcanes de Canarias', [], '/inicio'),
+  '/teide': sitePage('El Teide', ['/']),
+  '/timanfaya': sitePage('Timanfaya')
+};
+
+describe('Rastreo de sitios web', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL no está definida'
+}, () => {
+  let server;
+  let site;
+  let token;
+
+  before(async () => {
+    site = await startTestSite(SITE_PAGES);
+    server = await startTestServer({ sites: [site] });
+    token = await server.registerUser();
+  });
+
+  after(async () => {
+    await server?.close();
+    await site?.close();
+  });
+
+  it('rastrea un sitio descargando cada página una sola vez', async () => {
+    const { data: crawled } = await server.request('POST', '/notebooks', { token, body: { title: 'Volcanes' } });
+
+    const crawl = await server.request('POST', `/sources/crawl/${crawled.id}`, {
+      token,
+      body: { url: `${site.url}/`, max_depth: 1, max_pages: 10 }
+    });
+    assert.equal(crawl.status, 202);
+
+    const job = await server.waitForJob(token, crawl.data.job_id);
+    assert.equal(job.status, 'completed', job.last_error);
+    assert.equal(job.progress.created, 3);
+
+    const sources = await server.waitForSources(token, crawled.id);
+
+    assert.deepEqual(sources.map(row => row.processing_status), ['completed', 'completed', 'completed']);
+    assert.ok(sources.every(row => row.content.includes('origen volcánico')));
+    assert.deepEqual(sources.map(row => row.title).sort(), ['El Teide', 'Timanfaya', 'Volcanes de Canarias']);
+
+    // El procesamiento usa lo descargado en el rastreo en lugar de volver a pedir las páginas
+    assert.equal(site.hits['/'], 1);
+    assert.equal(site.hits['/teide'], 1);
+    assert.equal(site.hits['/timanfaya'], 1);
+
+    // La URL canónica de una página ya añadida tampoco se duplica
+    const again = await server.request('POST', `/sources/crawl/${crawled.id}`, {
+      token,
+      body: { url: `${site.url}/inicio`, max_depth: 0 }
+    });
+    const againJob = await server.waitForJob(token, again.data.job_id);
+
+    assert.equal(againJob.progress.created, 0);
+    assert.equal(againJob.progress.skipped, 1);
+  });
+});
\ No newline at end of file
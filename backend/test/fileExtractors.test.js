@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+
+// Límites pequeños para probarlos sin generar archivos grandes
+process.env.ZIP_MAX_ENTRY_BYTES = '4096';
+process.env.ZIP_MAX_TOTAL_BYTES = '6144';
+
+require('../src/services/fileExtractors');
+const { extractFile } = require('../src/services/extractorRegistry');
+
+function odtContent(text) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+<office:body><office:text><text:p>${text}</text:p></office:text></office:body>
+</office:document-content>`;
+}
+
+function epubChapter(text) {
+  return `<html><body><p>${text}</p></body></html>`;
+}
+
+describe('Límites de descompresión de archivos ZIP', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-zip-'));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  async function writeZip(name, files) {
+    const zip = new JSZip();
+
+    for (const [partPath, content] of Object.entries(files)) {
+      zip.file(partPath, content);
+    }
+
+    const filePath = path.join(tmpDir, name);
+    await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+    return filePath;
+  }
+
+  function writeEpub(name, chapters) {
+    const items = chapters.map((chapter, index) => `<item id="c${index}" href="c${index}.html" media-type="application/xhtml+xml"/>`);
+    const refs = chapters.map((chapter, index) => `<itemref idref="c${index}"/>`);
+
+    return writeZip(name, {
+      'META-INF/container.xml': '<container><rootfiles><rootfile full-path="content.opf"/></rootfiles></container>',
+      'content.opf': `<package><metadata><title>Libro</title></metadata><manifest>${items.join('')}</manifest><spine>${refs.join('')}</spine></package>`,
+      ...Object.fromEntries(chapters.map((chapter, index) => [`c${index}.html`, epubChapter(chapter)]))
+    });
+  }
+
+  it('extrae las partes que no superan los límites', async () => {
+    const filePath = await writeZip('breve.odt', { 'content.xml': odtContent('Texto breve del documento.') });
+    const { text } = await extractFile(filePath);
+
+    assert.equal(text, 'Texto breve del documento.');
+  });
+
+  it('rechaza sin reintentar una parte que supera el tamaño máximo', async () => {
+    const filePath = await writeZip('enorme.odt', { 'content.xml': odtContent('a'.repeat(10000)) });
+
+    await assert.rejects(extractFile(filePath), error => error.retryable === false);
+  });
+
+  it('rechaza sin reintentar un archivo cuyas partes suman más del total permitido', async () => {
+    const small = await writeEpub('breve.epub', ['Primer capítulo.', 'Segundo capítulo.']);
+    assert.match((await extractFile(small)).text, /Segundo capítulo\./);
+
+    const large = await writeEpub('largo.epub', ['b'.repeat(3000), 'c'.repeat(3000), 'd'.repeat(3000)]);
+    await assert.rejects(extractFile(large), error => error.retryable === false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,229 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Base de datos PostgreSQL (con pgvector) dedicada a las pruebas de integración
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Sin base de datos las pruebas de integración se omiten, salvo en integración continua, donde
+// omitirlas daría por buena una ejecución que no ha probado nada
+if (!TEST_DATABASE_URL && process.env.CI) {
+  throw new Error('Las pruebas de integración necesitan TEST_DATABASE_URL en integración continua (CI)');
+}
+
+// Esquema base de la aplicación (tablas anteriores a las migraciones del backend)
+const BASE_SCHEMA_PATH = path.join(__dirname, '../../supabase/migrations/20250626154947_orange_cave.sql');
+
+// Tiempo máximo de espera a que termine un trabajo en segundo plano
+const JOB_TIMEOUT_MS = 30000;
+const JOB_POLL_MS = 200;
+
+// Función para arrancar la app contra la base de datos de pruebas con el proveedor simulado.
+// La configuración se fija antes de cargar la app porque los módulos la leen al importarse.
+// options.sites: sitios locales (startTestSite) a los que se permite descargar páginas
+async function startTestServer({ sites = [] } = {}) {
+  // La app guarda archivos subidos, audio y logs en rutas relativas al directorio de trabajo:
+  // durante las pruebas se usa uno temporal para no dejar archivos en el repositorio
+  const originalDir = process.cwd();
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horuslm-test-'));
+
+  await fs.mkdir(path.join(workDir, 'uploads'));
+  await fs.mkdir(path.join(workDir, 'audio'));
+  process.chdir(workDir);
+
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  process.env.LLM_MOCK = 'true';
+  process.env.JOB_POLL_INTERVAL_MS = String(JOB_POLL_MS);
+  process.env.CRAWL_DELAY_MS = '10';
+
+  if (sites.length > 0) {
+    process.env.URL_ALLOWLIST = '127.0.0.1';
+    process.env.URL_ALLOWED_PORTS = sites.map(site => site.port).join(',');
+  }
+
+  const { pool, initializeDatabase } = require('../src/database/init');
+  const { startJobWorker, stopJobWorker } = require('../src/services/jobQueue');
+  const app = require('../src/server');
+
+  await createBaseSchema(pool);
+  await initializeDatabase();
+  await startJobWorker();
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: (method, route, options) => request(baseUrl, method, route, options),
+    registerUser: () => registerUser(baseUrl),
+    registerAdmin: () => registerAdmin(baseUrl, pool),
+    waitForJob: (token, jobId) => waitForJob(baseUrl, token, jobId),
+    waitForSources: (token, notebookId) => waitForSources(baseUrl, token, notebookId),
+
+    async close() {
+      stopJobWorker();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await pool.end();
+
+      process.chdir(originalDir);
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Función para servir un sitio web local. pages: { ruta: html }. Devuelve su URL y las visitas
+// recibidas por ruta
+async function startTestSite(pages) {
+  const hits = {};
+
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+
+    if (pages[req.url] === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('No encontrado');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(pages[req.url]);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const { port } = server.address();
+
+  return {
+    port,
+    url: `http://127.0.0.1:${port}`,
+    hits,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Función para crear el esquema base si la base de datos está vacía
+async function createBaseSchema(pool) {
+  const result = await pool.query(`SELECT to_regclass('public.users') AS users`);
+
+  if (!result.rows[0].users) {
+    await pool.query(await fs.readFile(BASE_SCHEMA_PATH, 'utf8'));
+  }
+}
+
+// Función para hacer una petición a la API. options: { token, body (JSON) o form (FormData) }.
+// Las respuestas de Server-Sent Events se devuelven como lista de { event, data }
+async function request(baseUrl, method, route, { token, body, form } = {}) {
+  const headers = {};
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers,
+    body: form || (body && JSON.stringify(body))
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  let data;
+
+  if (contentType.includes('text/event-stream')) {
+    data = parseEvents(await response.text());
+  } else if (contentType.includes('application/json')) {
+    data = await response.json();
+  } else {
+    data = await response.text();
+  }
+
+  return { status: response.status, headers: response.headers, data };
+}
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map(block => ({
+      event: block.match(/^event: (.*)$/m)?.[1],
+      data: JSON.parse(block.match(/^data: (.*)$/m)?.[1] || 'null')
+    }));
+}
+
+// Función para registrar un usuario nuevo y devolver su token
+async function registerUser(baseUrl) {
+  const { token } = await createUser(baseUrl);
+  return token;
+}
+
+// Función para registrar un administrador: los permisos se dan en la base de datos y se vuelve a
+// iniciar sesión para obtener un token que los incluya
+async function registerAdmin(baseUrl, pool) {
+  const { email, password } = await createUser(baseUrl);
+
+  await pool.query('UPDATE users SET is_admin = true WHERE email = $1', [email]);
+
+  const { data } = await request(baseUrl, 'POST', '/auth/login', { body: { email, password } });
+  return data.token;
+}
+
+async function createUser(baseUrl) {
+  const email = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+  const password = 'test-password';
+
+  const { status, data } = await request(baseUrl, 'POST', '/auth/register', {
+    body: { email, password, fullName: 'Usuario de pruebas' }
+  });
+
+  if (status !== 201) {
+    throw new Error(`No se pudo registrar el usuario de pruebas: ${JSON.stringify(data)}`);
+  }
+
+  return { email, password, token: data.token };
+}
+
+// Función para esperar a que un trabajo termine (completado o fallido) y devolverlo
+async function waitForJob(baseUrl, token, jobId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const { data: job } = await request(baseUrl, 'GET', `/jobs/${jobId}`, { token });
+
+    if (['completed', 'failed'].includes(job.status)) {
+      return job;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+
+  throw new Error(`El trabajo ${jobId} no terminó en ${JOB_TIMEOUT_MS} ms`);
+}
+
+// Función para esperar a que ninguna fuente del cuaderno siga en procesamiento y devolverlas
+async function waitForSources(baseUrl, token, notebookId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const { data: sources } = await request(baseUrl, 'GET', `/sources/notebook/${notebookId}`, { token });
+
+    if (sources.every(source => !['pending', 'processing'].includes(source.processing_status))) {
+      return sources;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+
+  throw new Error(`Las fuentes del cuaderno ${notebookId} no terminaron en ${JOB_TIMEOUT_MS} ms`);
+}
+
+module.exports = {
+  TEST_DATABASE_URL,
+  startTestServer,
+  startTestSite
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El proveedor simulado no consulta la base de datos, así que estas pruebas no la necesitan
+// (tampoco se registra el consumo)
+process.env.LLM_MOCK = 'true';
+process.env.LLM_USAGE_TRACKING = 'false';
+process.env.LLM_MOCK_EMBEDDING_DIMENSIONS = '64';
+
+const {
+  generateChatResponse,
+  streamChatResponse,
+  generateEmbeddingsBatch,
+  getEmbeddingConfig
+} = require('../src/services/llmService');
+
+const CONTEXT_MESSAGES = [
+  {
+    role: 'system',
+    content: 'Responde con el contexto.\n\nContexto:\n[1] Fuente: Apuntes\nEl agua hierve a 100 grados. Se congela a 0 grados.\n\n[2] Fuente: Otros\nTexto irrelevante.'
+  },
+  { role: 'user', content: '¿A qué temperatura hierve el agua?' }
+];
+
+function cosine(a, b) {
+  return a.reduce((sum, value, index) => sum + value * b[index], 0);
+}
+
+describe('Proveedor LLM simulado', () => {
+  it('responde citando el primer fragmento del contexto', async () => {
+    const response = await generateChatResponse(CONTEXT_MESSAGES, { task: 'chat' });
+
+    assert.equal(response.text, 'El agua hierve a 100 grados. [1]');
+    assert.equal(response.provider, 'mock');
+  });
+
+  it('declina responder sin contexto', async () => {
+    const response = await generateChatResponse([
+      { role: 'system', content: 'Contexto:\n' },
+      { role: 'user', content: 'Hola' }
+    ], { task: 'chat' });
+
+    assert.equal(response.text, 'Lo siento, no tengo información sobre eso en mis fuentes.');
+  });
+
+  it('genera respuestas deterministas por tarea', async () => {
+    const messages = [
+      { role: 'system', content: 'Resume el texto.' },
+      { role: 'user', content: 'Primera frase del documento. Segunda frase.' }
+    ];
+
+    const summary = await generateChatResponse(messages, { task: 'summary' });
+    const again = await generateChatResponse(messages, { task: 'summary' });
+    const details = JSON.parse((await generateChatResponse(messages, { task: 'notebook_details' })).text);
+    const script = await generateChatResponse(messages, { task: 'podcast_script' });
+
+    assert.equal(summary.text, 'Resumen simulado: Primera frase del documento.');
+    assert.equal(again.text, summary.text);
+    assert.equal(details.title, 'Primera frase del documento');
+    assert.ok(Array.isArray(details.example_questions));
+    assert.match(script.text, /^Locutor 1: .+\nLocutor 2: Primera frase del documento\.\nLocutor 1: .+$/);
+  });
+
+  it('envía la respuesta en streaming palabra a palabra', async () => {
+    const tokens = [];
+    const response = await streamChatResponse(CONTEXT_MESSAGES, { task: 'chat' }, token => tokens.push(token));
+
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join(''), response.text);
+  });
+
+  it('genera embeddings normalizados de la dimensión configurada', async () => {
+    const config = await getEmbeddingConfig();
+    const [first, repeated, related, unrelated] = await generateEmbeddingsBatch([
+      'El agua hierve a cien grados',
+      'El agua hierve a cien grados',
+      'A cuántos grados hierve el agua',
+      'Los pingüinos viven en la Antártida'
+    ], config);
+
+    assert.equal(config.model_id, 'mock:hash-64');
+    assert.equal(config.dimensions, 64);
+    assert.equal(first.length, 64);
+    assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+    assert.deepEqual(repeated, first);
+    assert.ok(cosine(first, related) > cosine(first, unrelated));
+  });
+
+  it('devuelve un vector válido para textos sin palabras', async () => {
+    const [embedding] = await generateEmbeddingsBatch(['...'], await getEmbeddingConfig());
+
+    assert.equal(embedding.length, 64);
+    assert.equal(cosine(embedding, embedding), 1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_DATABASE_URL, startTestServer } = require('./helpers');
+
+describe('Notas convertidas en fuentes', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL no está definida'
+}, () => {
+  let server;
+  let token;
+  let notebook;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.registerUser();
+
+    const { data } = await server.request('POST', '/notebooks', { token, body: { title: 'Fotosíntesis' } });
+    notebook = data;
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  it('renombra los fragmentos de una nota sin reindexarla y los elimina con ella', async () => {
+    const { pool } = require('../src/database/init');
+    const countChunks = async (sourceId, title) => (await pool.query(
+      "SELECT count(*)::int AS count FROM documents WHERE metadata->>'source_id' = $1 AND metadata->>'source_title' = $2",
+      [sourceId, title]
+    )).rows[0].count;
+
+    const { data: note } = await server.request('POST', '/notes', {
+      token,
+      body: { notebook_id: notebook.id, title: 'Cloroplastos', content: 'Los cloroplastos contienen clorofila.' }
+    });
+    const { data: noteSource } = await server.request('POST', `/notes/${note.id}/source`, { token });
+    await server.waitForJob(token, noteSource.job_id);
+
+    const renamed = await server.request('PUT', `/notes/${note.id}`, { token, body: { title: 'Clorofila' } });
+    assert.equal(renamed.status, 200);
+
+    const { rows: [renamedSource] } = await pool.query('SELECT title, processing_status FROM sources WHERE id = $1', [noteSource.id]);
+    assert.deepEqual(renamedSource, { title: 'Clorofila', processing_status: 'completed' });
+    assert.equal(await countChunks(noteSource.id, 'Cloroplastos'), 0);
+    assert.ok(await countChunks(noteSource.id, 'Clorofila') > 0);
+
+    await server.request('DELETE', `/notes/${note.id}`, { token });
+    assert.equal(await countChunks(noteSource.id, 'Clorofila'), 0);
+  });
+
+  it('no guarda fragmentos de una fuente eliminada durante su procesamiento', async () => {
+    const { insertDocuments } = require('../src/services/vectorService');
+    const { randomUUID } = require('crypto');
+    const sourceId = randomUUID();
+
+    const inserted = await insertDocuments(
+      [{ content: 'Fragmento huérfano', metadata: { notebook_id: notebook.id, source_id: sourceId } }],
+      { replaceSourceId: sourceId }
+    );
+
+    assert.equal(inserted, null);
+  });
+});
\ No newline at end of file
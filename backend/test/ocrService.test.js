@@ -0,0 +1,16 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OCR_ENABLED = 'false';
+
+const { needsOcr, recognizeImage } = require('../src/services/ocrService');
+
+describe('OCR desactivado', () => {
+  it('no pide OCR para las páginas sin texto', () => {
+    assert.equal(needsOcr(''), false);
+  });
+
+  it('rechaza las imágenes sin reintentar', async () => {
+    await assert.rejects(recognizeImage('/tmp/escaneo.png'), error => error.retryable === false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_DATABASE_URL, startTestServer } = require('./helpers');
+
+describe('Búsqueda híbrida', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL no está definida'
+}, () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.registerUser();
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  it('ordena la búsqueda híbrida fusionando los rankings vectorial y de texto completo', async () => {
+    const { insertDocuments, searchDocuments } = require('../src/services/vectorService');
+    const { data: volcanoes } = await server.request('POST', '/notebooks', { token, body: { title: 'Volcanes' } });
+    const metadata = { notebook_id: volcanoes.id, source_id: 'busqueda-hibrida' };
+
+    await insertDocuments([
+      { content: 'El queso manchego se elabora con leche de oveja.', metadata },
+      { content: 'Los volcanes extinguidos ya no entran en erupción.', metadata },
+      { content: 'Los volcanes activos expulsan lava y ceniza.', metadata }
+    ]);
+
+    const results = await searchDocuments('volcanes activos', volcanoes.id, 3, { mode: 'hybrid' });
+
+    // El fragmento que aparece en ambos rankings va primero; las puntuaciones son fraccionarias
+    assert.equal(results[0].content, 'Los volcanes activos expulsan lava y ceniza.');
+    assert.equal(results[1].content, 'Los volcanes extinguidos ya no entran en erupción.');
+    assert.ok(results.every(row => row.score > 0));
+    assert.ok(results[0].score > results[1].score && results[1].score > results[2].score);
+
+    const weighted = await searchDocuments('volcanes activos', volcanoes.id, 3, { mode: 'hybrid', vectorWeight: 0.5 });
+    assert.ok(weighted.every(row => row.score > 0));
+  });
+});
\ No newline at end of file
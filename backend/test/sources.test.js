@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const { TEST_DATABASE_URL, startTestServer } = require('./helpers');
+
+describe('Fuentes y archivos subidos', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL no está definida'
+}, () => {
+  let server;
+  let token;
+  let notebook;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.registerUser();
+
+    const { data } = await server.request('POST', '/notebooks', { token, body: { title: 'Fuentes' } });
+    notebook = data;
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  it('rechaza enlaces de YouTube que no son de un video', async () => {
+    const { status, data } = await server.request('POST', `/sources/url/${notebook.id}`, {
+      token,
+      body: { type: 'youtube', url: 'https://www.youtube.com/channel/UC123' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(data.error, 'URL de YouTube no válida');
+  });
+
+  it('sirve incrustables solo los PDF subidos y el resto como descarga', async () => {
+    // Las pruebas se ejecutan en un directorio de trabajo temporal con su carpeta uploads
+    await fs.writeFile('uploads/documento.pdf', '%PDF-1.4\n');
+    await fs.writeFile('uploads/pagina.html', '<script>alert(1)</script>');
+
+    const pdf = await server.request('GET', '/uploads/documento.pdf');
+    const html = await server.request('GET', '/uploads/pagina.html');
+
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('x-frame-options'), null);
+    assert.equal(pdf.headers.get('content-disposition'), null);
+    assert.equal(pdf.headers.get('x-content-type-options'), 'nosniff');
+
+    assert.equal(html.status, 200);
+    assert.equal(html.headers.get('x-frame-options'), 'SAMEORIGIN');
+    assert.equal(html.headers.get('content-disposition'), 'attachment');
+    assert.equal(html.headers.get('x-content-type-options'), 'nosniff');
+  });
+});
\ No newline at end of file
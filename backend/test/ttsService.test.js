@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getVoiceForSpeaker, validateTTSConfig } = require('../src/services/ttsService');
+
+function voicesForTwoSpeakers(config) {
+  return [
+    getVoiceForSpeaker(config, 'Locutor 1', 0),
+    getVoiceForSpeaker(config, 'Locutor 2', 1)
+  ];
+}
+
+describe('Voces de los locutores', () => {
+  it('asigna una voz distinta a cada locutor con las voces por defecto', () => {
+    for (const provider of ['openai', 'stub']) {
+      const [first, second] = voicesForTwoSpeakers({ provider, model: 'tts-1', config: {} });
+      assert.notEqual(first, second, provider);
+    }
+  });
+
+  it('asigna una voz distinta a cada locutor con la lista de voces de Piper', () => {
+    const config = {
+      provider: 'piper',
+      model: '/models/es_ES-davefx-medium.onnx',
+      config: { voices: ['/models/es_ES-davefx-medium.onnx', '/models/es_ES-sharvard-medium.onnx'] }
+    };
+
+    assert.deepEqual(voicesForTwoSpeakers(config), config.config.voices);
+  });
+
+  it('usa la voz configurada para cada locutor', () => {
+    const config = {
+      provider: 'openai',
+      model: 'tts-1',
+      config: { voices: { 'Locutor 1': 'nova', 'Locutor 2': 'echo' } }
+    };
+
+    assert.deepEqual(voicesForTwoSpeakers(config), ['nova', 'echo']);
+  });
+
+  it('reparte las voces de un mapa cuyas claves no son los locutores', () => {
+    const config = {
+      provider: 'piper',
+      model: '/models/es_ES-davefx-medium.onnx',
+      config: { voices: { presentadora: '/models/es_ES-sharvard-medium.onnx', invitado: '/models/es_ES-davefx-medium.onnx' } }
+    };
+
+    assert.deepEqual(voicesForTwoSpeakers(config), Object.values(config.config.voices));
+  });
+});
+
+describe('Validación de la configuración de voz', () => {
+  it('exige dos voces distintas en las configuraciones de Piper', () => {
+    const invalid = [
+      undefined,
+      {},
+      { voices: [] },
+      { voices: ['/models/a.onnx', '/models/a.onnx'] },
+      { voices: { 'Locutor 1': '/models/a.onnx', 'Locutor 2': '' } },
+      { voices: 'a.onnx,b.onnx' }
+    ];
+
+    for (const config of invalid) {
+      assert.ok(validateTTSConfig('piper', config), JSON.stringify(config));
+    }
+  });
+
+  it('acepta voces de Piper en lista o en mapa', () => {
+    assert.equal(validateTTSConfig('piper', { voices: ['/models/a.onnx', '/models/b.onnx'] }), null);
+    assert.equal(validateTTSConfig('piper', { voices: { anfitrion: '/models/a.onnx', invitado: '/models/b.onnx' } }), null);
+  });
+
+  it('no exige voces a los proveedores con voces por defecto', () => {
+    assert.equal(validateTTSConfig('openai', {}), null);
+    assert.equal(validateTTSConfig('stub', undefined), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Sitio local al que se accede por "localhost" (en la lista de permitidos) y que redirige a
+// direcciones internas. El puerto se conoce al arrancar, así que los módulos se cargan después
+let site;
+let assertSafeUrl;
+let fetchWebPage;
+
+function isBlocked(error) {
+  return error.retryable === false && /direcciones internas|puerto/.test(error.message);
+}
+
+describe('Validación de URLs de usuarios', () => {
+  before(async () => {
+    site = http.createServer((req, res) => {
+      const redirects = {
+        '/interna': 'http://127.0.0.1/',
+        '/metadatos': 'http://169.254.169.254/latest/meta-data/',
+        '/puerto': 'http://93.184.216.34:6379/'
+      };
+
+      if (redirects[req.url]) {
+        res.writeHead(302, { Location: redirects[req.url] });
+        return res.end();
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Página pública de pruebas');
+    });
+    await new Promise(resolve => site.listen(0, resolve));
+
+    process.env.URL_ALLOWLIST = 'localhost';
+    process.env.URL_ALLOWED_PORTS = `80,443,${site.address().port}`;
+    process.env.WEB_RESPECT_ROBOTS = 'false';
+
+    ({ assertSafeUrl } = require('../src/services/urlSafety'));
+    ({ fetchWebPage } = require('../src/services/websiteService'));
+  });
+
+  after(async () => {
+    site.closeAllConnections();
+    await new Promise(resolve => site.close(resolve));
+  });
+
+  it('bloquea loopback y la dirección de metadatos de la nube', async () => {
+    for (const url of [
+      'http://127.0.0.1/',
+      'http://127.1.2.3/admin',
+      'http://[::1]/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://0.0.0.0/'
+    ]) {
+      await assert.rejects(assertSafeUrl(url), isBlocked, url);
+    }
+  });
+
+  it('bloquea direcciones internas escritas como IPv6', async () => {
+    for (const url of [
+      'http://[::ffff:127.0.0.1]/',
+      'http://[::ffff:a9fe:a9fe]/',
+      'http://[::127.0.0.1]/',
+      'http://[2002:7f00:1::]/',
+      'http://[2001:0:4136:e378:8000:63bf:80ff:fffe]/',
+      'http://[fd00::1]/'
+    ]) {
+      await assert.rejects(assertSafeUrl(url), isBlocked, url);
+    }
+  });
+
+  it('solo permite los puertos configurados', async () => {
+    await assert.rejects(assertSafeUrl('http://93.184.216.34:22/'), isBlocked);
+    await assert.rejects(assertSafeUrl('https://93.184.216.34:8443/'), isBlocked);
+
+    const parsed = await assertSafeUrl('https://93.184.216.34/ruta');
+    assert.equal(parsed.hostname, '93.184.216.34');
+  });
+
+  it('rechaza esquemas distintos de http y https', async () => {
+    for (const url of ['file:///etc/passwd', 'gopher://93.184.216.34/', 'no es una url']) {
+      await assert.rejects(assertSafeUrl(url), error => error.retryable === false, url);
+    }
+  });
+
+  it('vuelve a validar cada redirección antes de seguirla', async () => {
+    const base = `http://localhost:${site.address().port}`;
+
+    const page = await fetchWebPage(`${base}/publica`);
+    assert.equal(page.text, 'Página pública de pruebas');
+
+    for (const path of ['/interna', '/metadatos', '/puerto']) {
+      await assert.rejects(fetchWebPage(`${base}${path}`), isBlocked, path);
+    }
+  });
+});
\ No newline at end of file
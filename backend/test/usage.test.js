@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_DATABASE_URL, startTestServer } = require('./helpers');
+
+const SOURCE_TEXT = 'Las mareas se deben a la atracción gravitatoria de la Luna y, en menor medida, del Sol sobre los océanos de la Tierra.';
+
+// Preguntas para registrar varias llamadas de chat en el cuaderno
+const QUESTIONS = ['¿Qué causa las mareas?', '¿Influye el Sol?', '¿Sobre qué actúa la atracción?', '¿Y la Luna?'];
+
+describe('Informe de consumo', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL no está definida'
+}, () => {
+  let server;
+  let token;
+  let notebook;
+
+  before(async () => {
+    server = await startTestServer();
+    token = await server.registerUser();
+
+    const { data } = await server.request('POST', '/notebooks', { token, body: { title: 'Mareas' } });
+    notebook = data;
+
+    // El procesamiento de la fuente registra el resumen y los embeddings; el chat, sus respuestas
+    const source = await server.request('POST', `/sources/text/${notebook.id}`, {
+      token,
+      body: { title: 'Mareas', content: SOURCE_TEXT }
+    });
+    await server.waitForJob(token, source.data.job_id);
+
+    const session = await server.request('POST', `/chat/sessions/notebook/${notebook.id}`, { token, body: {} });
+
+    for (const message of QUESTIONS) {
+      await server.request('POST', `/chat/send/${session.data.id}`, { token, body: { message } });
+    }
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  it('registra el consumo de las llamadas y lo valora con los precios por modelo', async () => {
+    const adminToken = await server.registerAdmin();
+
+    const price = await server.request('PUT', '/admin/usage/prices', {
+      token: adminToken,
+      body: { provider: 'mock', model: 'mock', input_price: 1, output_price: 2 }
+    });
+    assert.equal(price.status, 200);
+
+    try {
+      const { status, data: report } = await server.request('GET', '/admin/usage?group_by=notebook,task,model', {
+        token: adminToken
+      });
+
+      assert.equal(status, 200);
+
+      const rows = report.rows.filter(row => row.notebook_id === notebook.id);
+      const byTask = Object.fromEntries(rows.map(row => [row.task, row]));
+
+      assert.ok(byTask.summary);
+      assert.ok(byTask.embeddings);
+      assert.equal(byTask.chat.provider, 'mock');
+      assert.ok(byTask.chat.calls >= 4);
+      assert.equal(byTask.chat.failed_calls, 0);
+      assert.ok(byTask.chat.prompt_tokens > 0);
+      assert.ok(byTask.chat.completion_tokens > 0);
+      assert.equal(byTask.chat.estimated, true);
+
+      // Coste = tokens × precio por millón
+      const expectedCost = (byTask.chat.prompt_tokens * 1 + byTask.chat.completion_tokens * 2) / 1000000;
+      assert.ok(Math.abs(byTask.chat.cost - expectedCost) < 1e-6);
+
+      // Los embeddings simulados no tienen precio
+      assert.equal(byTask.embeddings.cost, 0);
+      assert.ok(byTask.embeddings.unpriced_calls > 0);
+
+      // El consumo del cuaderno se atribuye a su dueño
+      const { data: byUser } = await server.request('GET', '/admin/usage?group_by=user', { token: adminToken });
+      assert.ok(byUser.rows.some(row => row.user_id === notebook.user_id && row.calls > 0));
+    } finally {
+      await server.request('DELETE', `/admin/usage/prices/${price.data.id}`, { token: adminToken });
+    }
+  });
+
+  it('solo muestra el informe de consumo a los administradores', async () => {
+    const { status } = await server.request('GET', '/admin/usage', { token });
+    assert.equal(status, 403);
+  });
+
+  it('rechaza agrupaciones y periodos no válidos en el informe de consumo', async () => {
+    const adminToken = await server.registerAdmin();
+
+    const invalidGroup = await server.request('GET', '/admin/usage?group_by=week', { token: adminToken });
+    const invalidPeriod = await server.request('GET', '/admin/usage?from=2025-02-30', { token: adminToken });
+
+    assert.equal(invalidGroup.status, 400);
+    assert.equal(invalidPeriod.status, 400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobotsTxt, isPathAllowed, extractPageContent } = require('../src/services/websiteService');
+
+const PARAGRAPH = 'El Teide es un estratovolcán de la isla de Tenerife, con 3715 metros de altitud, y es el pico más alto de España, de las islas del Atlántico y el tercer volcán más alto del mundo desde su base.';
+
+describe('robots.txt', () => {
+  const robots = `
+# Reglas generales
+User-agent: *
+Disallow: /privado/
+Crawl-delay: 5
+
+User-agent: OtroBot
+User-agent: HorusLMBot
+Disallow: /borradores/
+Allow: /borradores/publicos/
+Crawl-delay: 2
+
+User-agent: OtroBot
+Disallow: /
+`;
+
+  it('usa solo los grupos de este agente, aunque compartan el grupo con otros', () => {
+    const { rules, crawlDelay } = parseRobotsTxt(robots);
+
+    assert.deepEqual(rules, [
+      { allow: false, path: '/borradores/' },
+      { allow: true, path: '/borradores/publicos/' }
+    ]);
+    assert.equal(crawlDelay, 2);
+  });
+
+  it('usa el grupo "*" si ningún grupo nombra a este agente', () => {
+    const { rules, crawlDelay } = parseRobotsTxt('User-agent: OtroBot\nDisallow: /\n\nUser-agent: *\nDisallow: /privado/ # comentario\nDisallow:\n');
+
+    assert.deepEqual(rules, [{ allow: false, path: '/privado/' }]);
+    assert.equal(crawlDelay, null);
+  });
+
+  it('aplica la regla más larga y, si empatan, Allow', () => {
+    const { rules } = parseRobotsTxt(robots);
+
+    assert.equal(isPathAllowed(rules, '/borradores/nota.html'), false);
+    assert.equal(isPathAllowed(rules, '/borradores/publicos/nota.html'), true);
+    assert.equal(isPathAllowed(rules, '/privado/nota.html'), true);
+
+    const tied = [{ allow: false, path: '/pagina' }, { allow: true, path: '/pagina' }];
+    assert.equal(isPathAllowed(tied, '/pagina'), true);
+    assert.equal(isPathAllowed([...tied].reverse(), '/pagina'), true);
+  });
+
+  it('admite los comodines "*" y "$"', () => {
+    const rules = [
+      { allow: false, path: '/*.pdf$' },
+      { allow: false, path: '/buscar*orden=' },
+      { allow: true, path: '/$' }
+    ];
+
+    assert.equal(isPathAllowed(rules, '/docs/manual.pdf'), false);
+    assert.equal(isPathAllowed(rules, '/docs/manual.pdf?v=2'), true);
+    assert.equal(isPathAllowed(rules, '/buscar?q=volcanes&orden=fecha'), false);
+    assert.equal(isPathAllowed(rules, '/buscar?q=volcanes'), true);
+    assert.equal(isPathAllowed([{ allow: false, path: '/' }, ...rules], '/'), true);
+    assert.equal(isPathAllowed([{ allow: false, path: '/' }, ...rules], '/index.html'), false);
+  });
+});
+
+describe('Contenido de las páginas', () => {
+  const page = `<html><head>
+<title>El Teide | Volcanes</title>
+<meta property="og:title" content="El Teide">
+<link rel="canonical" href="/volcanes/teide">
+</head><body>
+<header><a href="/">Inicio</a></header>
+<nav><a href="/volcanes/timanfaya">Timanfaya</a> <a href="/manual.pdf">Manual</a></nav>
+<div class="sidebar"><p>Suscríbete al boletín para recibir noticias de volcanes cada semana.</p></div>
+<div id="contenido">
+  <h1>El Teide</h1>
+  <p>${PARAGRAPH}</p>
+  <p>${PARAGRAPH}</p>
+</div>
+<div class="comments"><p>Un comentario de un visitante que no forma parte del artículo principal.</p></div>
+<footer><a href="https://otro.example/aviso" rel="nofollow">Aviso legal</a></footer>
+</body></html>`;
+
+  it('extrae el contenido principal sin navegación ni bloques secundarios', () => {
+    const content = extractPageContent(page, 'https://volcanes.example/teide?ref=portada');
+
+    assert.equal(content.title, 'El Teide');
+    assert.equal(content.canonicalUrl, 'https://volcanes.example/volcanes/teide');
+    assert.match(content.text, /estratovolcán de la isla de Tenerife/);
+    assert.doesNotMatch(content.text, /Suscríbete|comentario|Timanfaya|Aviso legal/);
+  });
+
+  it('recoge los enlaces de la navegación salvo los nofollow y los que no son páginas', () => {
+    const { links } = extractPageContent(page, 'https://volcanes.example/teide');
+
+    assert.deepEqual(links.sort(), [
+      'https://volcanes.example/',
+      'https://volcanes.example/volcanes/timanfaya'
+    ]);
+  });
+
+  it('usa la página completa si el contenido principal es demasiado corto', () => {
+    const content = extractPageContent(
+      '<html><body><div class="texto"><span>Horario del centro de visitantes: de 9:00 a 16:00.</span></div></body></html>',
+      'https://volcanes.example/horario'
+    );
+
+    assert.equal(content.title, null);
+    assert.equal(content.canonicalUrl, 'https://volcanes.example/horario');
+    assert.match(content.text, /Horario del centro de visitantes/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  getYouTubeTranscript,
+  parseVideoId,
+  parseCaptions,
+  createFixtureFetcher
+} = require('../src/services/youtubeService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/youtube');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+describe('Subtítulos de YouTube', () => {
+  it('parsea WebVTT quitando etiquetas y uniendo las líneas repetidas', () => {
+    assert.deepEqual(parseCaptions(readFixture('vttVideo001.es.vtt')), [
+      { start: 0, end: 6, text: 'Los volcanes son aberturas de la corteza.' },
+      { start: 62.25, end: 65, text: 'Por ellas sale el magma & los gases.' }
+    ]);
+  });
+
+  it('parsea SRT con saltos de línea de Windows', () => {
+    assert.deepEqual(parseCaptions(readFixture('srtVideo002.en.srt')), [
+      { start: 1, end: 3.5, text: 'The crust is divided into plates.' },
+      { start: 3.5, end: 7.25, text: 'They move a few centimetres a year.' }
+    ]);
+  });
+
+  it('parsea el formato timedtext de YouTube', () => {
+    assert.deepEqual(parseCaptions(readFixture('xmlVideo003.es-419.xml')), [
+      { start: 0.5, end: 3, text: 'Los terremotos liberan energía' },
+      { start: 3, end: 7, text: 'acumulada en las fallas "activas".' }
+    ]);
+
+    const format3 = '<timedtext format="3"><body><p t="1500" d="2000">Primera línea</p><p t="3500" d="1000"></p></body></timedtext>';
+    assert.deepEqual(parseCaptions(format3), [
+      { start: 1.5, end: 3.5, text: 'Primera línea' }
+    ]);
+  });
+});
+
+describe('Transcripciones de YouTube', () => {
+  const fetcher = createFixtureFetcher(FIXTURES_DIR);
+
+  it('prefiere los subtítulos manuales en el idioma preferido', async () => {
+    const transcript = await getYouTubeTranscript('https://www.youtube.com/watch?v=vttVideo001', fetcher);
+
+    assert.deepEqual(transcript.metadata, {
+      video_id: 'vttVideo001',
+      title: 'Introducción a los volcanes',
+      channel: 'Canal de Geología',
+      duration: 95,
+      caption_language: 'es',
+      transcript_source: 'captions'
+    });
+    assert.equal(transcript.segments.length, 2);
+    assert.match(transcript.text, /Los volcanes son aberturas de la corteza\./);
+    assert.match(transcript.text, /magma & los gases/);
+  });
+
+  it('usa subtítulos automáticos con variante regional y otros formatos', async () => {
+    const transcript = await getYouTubeTranscript('https://youtu.be/xmlVideo003', fetcher);
+
+    assert.equal(transcript.metadata.caption_language, 'es-419');
+    assert.equal(transcript.metadata.transcript_source, 'auto_captions');
+    assert.equal(transcript.segments.length, 2);
+
+    const srt = await getYouTubeTranscript('https://www.youtube.com/shorts/srtVideo002', fetcher);
+    assert.equal(srt.metadata.caption_language, 'en');
+    assert.match(srt.text, /The crust is divided into plates\./);
+  });
+
+  it('no transcribe videos sin subtítulos que superan la duración máxima', async () => {
+    await assert.rejects(
+      getYouTubeTranscript('https://www.youtube.com/watch?v=noCaption04', fetcher),
+      error => error.retryable === false
+    );
+  });
+
+  it('rechaza URLs que no son de un video sin reintentar', async () => {
+    assert.equal(parseVideoId('https://www.youtube.com/channel/UC123'), null);
+    assert.equal(parseVideoId('https://example.com/watch?v=vttVideo001'), null);
+    assert.equal(parseVideoId('https://m.youtube.com/watch?v=vttVideo001'), 'vttVideo001');
+
+    await assert.rejects(
+      getYouTubeTranscript('https://www.youtube.com/channel/UC123', fetcher),
+      error => error.retryable === false
+    );
+  });
+});
\ No newline at end of file
@@ -65,33 +65,52 @@ const processMarkdownWithCitations = (
     );
   }
 
-  // For AI messages, treat each segment as a potential paragraph
+  // For AI messages, segments flow inline and "\n\n" inside a segment starts a new paragraph
   const paragraphs: JSX.Element[] = [];
+  let currentParagraph: JSX.Element[] = [];
+
+  const flushParagraph = () => {
+    if (currentParagraph.length > 0) {
+      paragraphs.push(
+        <p key={paragraphs.length} className="mb-4 leading-relaxed">
+          {currentParagraph}
+        </p>
+      );
+    }
+    currentParagraph = [];
+  };
   
   segments.forEach((segment, segmentIndex) => {
     const citation = segment.citation_id ? citations.find(c => c.citation_id === segment.citation_id) : undefined;
     
-    // Split segment text by double line breaks to handle multiple paragraphs within a segment
-    const paragraphTexts = segment.text.split('\n\n').filter(text => text.trim());
-    
-    paragraphTexts.forEach((paragraphText, paragraphIndex) => {
-      // Process the paragraph text for markdown formatting
-      const processedContent = processTextWithMarkdown(paragraphText.trim());
-      
-      paragraphs.push(
-        <p key={`${segmentIndex}-${paragraphIndex}`} className="mb-4 leading-relaxed">
-          {processedContent}
-          {/* Add citation at the end of the paragraph if this is the last paragraph of the segment */}
-          {paragraphIndex === paragraphTexts.length - 1 && citation && onCitationClick && (
-            <CitationButton
-              chunkIndex={citation.chunk_index || 0}
-              onClick={() => onCitationClick(citation)}
-            />
-          )}
-        </p>
-      );
+    segment.text.split('\n\n').forEach((paragraphText, paragraphIndex) => {
+      if (paragraphIndex > 0) {
+        flushParagraph();
+      }
+
+      if (paragraphText.trim()) {
+        // Process the paragraph text for markdown formatting
+        currentParagraph.push(
+          <span key={`${segmentIndex}-${paragraphIndex}`}>
+            {processTextWithMarkdown(paragraphIndex > 0 ? paragraphText.trimStart() : paragraphText)}
+          </span>
+        );
+      }
     });
+
+    // Add citation right after the segment text
+    if (citation && onCitationClick) {
+      currentParagraph.push(
+        <CitationButton
+          key={`${segmentIndex}-citation`}
+          chunkIndex={citation.chunk_index || 0}
+          onClick={() => onCitationClick(citation)}
+        />
+      );
+    }
   });
+
+  flushParagraph();
   
   return paragraphs;
 };
@@ -2,6 +2,8 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { FileText } from 'lucide-react';
 import { Citation } from '@/types/message';
 import {
   Accordion,
@@ -15,6 +17,7 @@ interface SourceContentViewerProps {
   sourceContent?: string;
   sourceSummary?: string;
   sourceUrl?: string;
+  sourceFileUrl?: string;
   className?: string;
   isOpenedFromSourceList?: boolean;
 }
@@ -24,6 +27,7 @@ const SourceContentViewer = ({
   sourceContent, 
   sourceSummary,
   sourceUrl,
+  sourceFileUrl,
   className = '',
   isOpenedFromSourceList = false
 }: SourceContentViewerProps) => {
@@ -35,6 +39,9 @@ const SourceContentViewer = ({
     isOpenedFromSourceList ? "guide" : ""
   );
 
+  // Show the original PDF instead of the extracted text
+  const [showPdf, setShowPdf] = useState(false);
+
   // Check if we have valid citation line data (indicating a real citation click)
   const hasValidCitationLines = citation && 
     typeof citation.chunk_lines_from === 'number' && 
@@ -104,6 +111,11 @@ const SourceContentViewer = ({
     }
   }, [citation?.citation_id, citation?.chunk_lines_from, citation?.chunk_lines_to, citation?.source_id, hasValidCitationLines]);
 
+  // Go back to the extracted text whenever another citation is selected
+  useEffect(() => {
+    setShowPdf(false);
+  }, [citation?.citation_id, citation?.source_id]);
+
   // Close guide when a real citation is clicked (has valid line data)
   useEffect(() => {
     if (hasValidCitationLines) {
@@ -128,6 +140,11 @@ const SourceContentViewer = ({
       'youtube': '/file-types/MP3.png',
       'audio': '/file-types/MP3.png',
       'doc': '/file-types/DOC.png',
+      'markdown': '/file-types/TXT.png',
+      'html': '/file-types/WEB.svg',
+      'spreadsheet': '/file-types/DOC.png',
+      'presentation': '/file-types/DOC.png',
+      'epub': '/file-types/DOC.png',
       'multiple-websites': '/file-types/WEB.svg',
       'copied-text': '/file-types/TXT.png'
     };
@@ -149,6 +166,13 @@ const SourceContentViewer = ({
     );
   };
 
+  // Cited page of a PDF source, used to open the original file at that page
+  const citedPage = citation.page_from && citation.page_from > 0 ? citation.page_from : undefined;
+  const pageLabel = citation.source_type === 'presentation' ? 'Slide' : 'Page';
+  const pdfUrl = citation.source_type === 'pdf' && sourceFileUrl
+    ? `${sourceFileUrl}${citedPage ? `#page=${citedPage}` : ''}`
+    : '';
+
   // Split content into lines for highlighting
   const lines = sourceContent.split('\n');
   
@@ -204,6 +228,21 @@ const SourceContentViewer = ({
           </div>
           <span className="font-medium text-gray-900 truncate">{citation.source_title}</span>
         </div>
+        {(citedPage || pdfUrl) && (
+          <div className="flex items-center justify-between mt-2">
+            {citedPage ? (
+              <Badge variant="secondary">
+                {citation.page_to && citation.page_to !== citedPage ? `${pageLabel}s ${citedPage}-${citation.page_to}` : `${pageLabel} ${citedPage}`}
+              </Badge>
+            ) : <span />}
+            {pdfUrl && (
+              <Button variant="ghost" size="sm" onClick={() => setShowPdf(!showPdf)}>
+                <FileText className="h-4 w-4 mr-2" />
+                {showPdf ? 'Show text' : citedPage ? `Open page ${citedPage}` : 'Open PDF'}
+              </Button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Source Guide Accordion */}
@@ -252,13 +291,18 @@ const SourceContentViewer = ({
       )}
 
       {/* Content */}
-      <ScrollArea className="flex-1 h-full" ref={scrollAreaViewportRef}>
-        <div className="p-4">
-          <div className="prose prose-gray max-w-none space-y-1">
-            {renderHighlightedContent()}
+      {showPdf && pdfUrl ? (
+        // The key forces a reload so the browser viewer jumps to the new page
+        <iframe key={pdfUrl} src={pdfUrl} title={citation.source_title} className="flex-1 w-full border-0" />
+      ) : (
+        <ScrollArea className="flex-1 h-full" ref={scrollAreaViewportRef}>
+          <div className="p-4">
+            <div className="prose prose-gray max-w-none space-y-1">
+              {renderHighlightedContent()}
+            </div>
           </div>
-        </div>
-      </ScrollArea>
+        </ScrollArea>
+      )}
     </div>
   );
 };
@@ -4,13 +4,43 @@ import { Button } from '@/components/ui/button';
 import { Upload, FileText, Link, Copy } from 'lucide-react';
 import MultipleWebsiteUrlsDialog from './MultipleWebsiteUrlsDialog';
 import CopiedTextDialog from './CopiedTextDialog';
-import { useSources } from '@/hooks/useSources';
+import { useSources, WebsiteCrawlOptions, SourceType } from '@/hooks/useSources';
 import { useFileUpload } from '@/hooks/useFileUpload';
 import { useDocumentProcessing } from '@/hooks/useDocumentProcessing';
 import { useNotebookGeneration } from '@/hooks/useNotebookGeneration';
 import { useToast } from '@/hooks/use-toast';
 import { supabase } from '@/integrations/supabase/client';
 
+// Source type by file extension, mirroring the backend extractor registry
+const FILE_SOURCE_TYPES: Record<string, SourceType> = {
+  pdf: 'pdf',
+  doc: 'doc',
+  docx: 'doc',
+  odt: 'doc',
+  txt: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  xhtml: 'html',
+  csv: 'spreadsheet',
+  tsv: 'spreadsheet',
+  xlsx: 'spreadsheet',
+  pptx: 'presentation',
+  epub: 'epub',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  mp3: 'audio',
+  wav: 'audio',
+  m4a: 'audio'
+};
+
+const getFileSourceType = (file: File): SourceType => {
+  const extension = file.name.split('.').pop()?.toLowerCase() || '';
+  return FILE_SOURCE_TYPES[extension] || (file.type.includes('pdf') ? 'pdf' : file.type.includes('audio') ? 'audio' : 'text');
+};
+
 interface AddSourcesDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
@@ -29,6 +59,7 @@ const AddSourcesDialog = ({
 
   const {
     addSourceAsync,
+    addWebsitesAsync,
     updateSource,
     isAdding
   } = useSources(notebookId);
@@ -89,7 +120,7 @@ const AddSourcesDialog = ({
   const processFileAsync = async (file: File, sourceId: string, notebookId: string) => {
     try {
       console.log('Starting file processing for:', file.name, 'source:', sourceId);
-      const fileType = file.type.includes('pdf') ? 'pdf' : file.type.includes('audio') ? 'audio' : 'text';
+      const fileType = getFileSourceType(file);
 
       // Update status to uploading
       updateSource({
@@ -170,11 +201,11 @@ const AddSourcesDialog = ({
     try {
       // Step 1: Create the first source immediately (this will trigger generation if it's the first source)
       const firstFile = files[0];
-      const firstFileType = firstFile.type.includes('pdf') ? 'pdf' : firstFile.type.includes('audio') ? 'audio' : 'text';
+      const firstFileType = getFileSourceType(firstFile);
       const firstSourceData = {
         notebookId,
         title: firstFile.name,
-        type: firstFileType as 'pdf' | 'text' | 'website' | 'youtube' | 'audio',
+        type: firstFileType,
         file_size: firstFile.size,
         processing_status: 'pending',
         metadata: {
@@ -195,11 +226,11 @@ const AddSourcesDialog = ({
         
         // Create remaining sources
         remainingSources = await Promise.all(files.slice(1).map(async (file, index) => {
-          const fileType = file.type.includes('pdf') ? 'pdf' : file.type.includes('audio') ? 'audio' : 'text';
+          const fileType = getFileSourceType(file);
           const sourceData = {
             notebookId,
             title: file.name,
-            type: fileType as 'pdf' | 'text' | 'website' | 'youtube' | 'audio',
+            type: fileType,
             file_size: file.size,
             processing_status: 'pending',
             metadata: {
@@ -313,74 +344,19 @@ const AddSourcesDialog = ({
     onOpenChange(false);
   };
 
-  const handleMultipleWebsiteSubmit = async (urls: string[]) => {
+  const handleMultipleWebsiteSubmit = async (urls: string[], crawl?: WebsiteCrawlOptions) => {
     if (!notebookId) return;
     setIsLocallyProcessing(true);
 
     try {
-      console.log('Creating sources for multiple websites with delay strategy:', urls.length);
-      
-      // Create the first source immediately (this will trigger generation if it's the first source)
-      const firstSource = await addSourceAsync({
-        notebookId,
-        title: `Website 1: ${urls[0]}`,
-        type: 'website',
-        url: urls[0],
-        processing_status: 'processing',
-        metadata: {
-          originalUrl: urls[0],
-          webhookProcessed: true
-        }
-      });
-      
-      console.log('First source created:', firstSource.id);
-      
-      let remainingSources = [];
-      
-      // If there are more URLs, add a delay before creating the rest
-      if (urls.length > 1) {
-        console.log('Adding 150ms delay before creating remaining sources...');
-        await new Promise(resolve => setTimeout(resolve, 150));
-        
-        // Create remaining sources
-        remainingSources = await Promise.all(urls.slice(1).map(async (url, index) => {
-          return await addSourceAsync({
-            notebookId,
-            title: `Website ${index + 2}: ${url}`,
-            type: 'website',
-            url,
-            processing_status: 'processing',
-            metadata: {
-              originalUrl: url,
-              webhookProcessed: true
-            }
-          });
-        }));
-        
-        console.log('Remaining sources created:', remainingSources.length);
-      }
-
-      // Combine all created sources
-      const allCreatedSources = [firstSource, ...remainingSources];
-
-      // Send to webhook endpoint with all source IDs
-      const { data, error } = await supabase.functions.invoke('process-additional-sources', {
-        body: {
-          type: 'multiple-websites',
-          notebookId,
-          urls,
-          sourceIds: allCreatedSources.map(source => source.id), // Pass array of source IDs
-          timestamp: new Date().toISOString()
-        }
-      });
-
-      if (error) {
-        throw error;
-      }
+      const { added, failed } = await addWebsitesAsync({ urls, crawl });
 
       toast({
-        title: "Success",
-        description: `${urls.length} website${urls.length > 1 ? 's' : ''} added and sent for processing`
+        title: failed > 0 ? "Some websites could not be added" : "Success",
+        description: (crawl
+          ? `Crawling ${added} website${added !== 1 ? 's' : ''}; pages will appear as sources as they are found`
+          : `${added} website${added !== 1 ? 's' : ''} added and sent for processing`) + (failed > 0 ? ` (${failed} failed)` : ''),
+        variant: failed > 0 ? "destructive" : "default"
       });
 
       onOpenChange(false);
@@ -462,14 +438,14 @@ const AddSourcesDialog = ({
                   </p>
                 </div>
                 <p className="text-xs text-gray-500">
-                  Supported file types: PDF, txt, Markdown, Audio (e.g. mp3)
+                  Supported file types: PDF, Word, ODT, txt, Markdown, HTML, CSV, Excel, PowerPoint, EPUB, Images (OCR), Audio (e.g. mp3)
                 </p>
                 <input
                   id="file-upload"
                   type="file"
                   multiple
                   className="hidden"
-                  accept=".pdf,.txt,.md,.mp3,.wav,.m4a"
+                  accept=".pdf,.doc,.docx,.odt,.txt,.md,.html,.htm,.csv,.xlsx,.pptx,.epub,.png,.jpg,.jpeg,.mp3,.wav,.m4a"
                   onChange={handleFileSelect}
                   disabled={isProcessingFiles}
                 />
@@ -3,12 +3,19 @@ import { Button } from '@/components/ui/button';
 import { Card } from '@/components/ui/card';
 import { Slider } from '@/components/ui/slider';
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
-import { Play, Pause, RotateCcw, Volume2, Download, MoreVertical, Trash2, Loader2, RefreshCw, AlertTriangle } from 'lucide-react';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
+import { Play, Pause, RotateCcw, Volume2, Download, MoreVertical, Trash2, Loader2, RefreshCw, AlertTriangle, ChevronDown } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
 
+export interface TranscriptLine {
+  speaker: string;
+  text: string;
+}
+
 interface AudioPlayerProps {
   audioUrl: string;
   title?: string;
+  transcript?: TranscriptLine[] | null;
   notebookId?: string;
   expiresAt?: string | null;
   onError?: () => void;
@@ -20,6 +27,7 @@ interface AudioPlayerProps {
 const AudioPlayer = ({ 
   audioUrl, 
   title = "Deep Dive Conversation", 
+  transcript,
   notebookId,
   expiresAt,
   onError,
@@ -37,6 +45,7 @@ const AudioPlayer = ({
   const [audioError, setAudioError] = useState<string | null>(null);
   const [retryCount, setRetryCount] = useState(0);
   const [autoRetryInProgress, setAutoRetryInProgress] = useState(false);
+  const [showTranscript, setShowTranscript] = useState(false);
   const audioRef = useRef<HTMLAudioElement>(null);
   const { toast } = useToast();
 
@@ -432,6 +441,28 @@ const AudioPlayer = ({
           />
         </div>
       </div>
+
+      {/* Transcript */}
+      {transcript && transcript.length > 0 && (
+        <Collapsible open={showTranscript} onOpenChange={setShowTranscript}>
+          <CollapsibleTrigger asChild>
+            <Button variant="ghost" size="sm" className="w-full justify-between px-2">
+              <span>Transcript</span>
+              <ChevronDown className={`h-4 w-4 transition-transform ${showTranscript ? 'rotate-180' : ''}`} />
+            </Button>
+          </CollapsibleTrigger>
+          <CollapsibleContent>
+            <div className="max-h-64 overflow-y-auto space-y-2 pt-2 text-sm">
+              {transcript.map((line, index) => (
+                <p key={index} className="text-gray-700">
+                  <span className="font-medium text-gray-900">{line.speaker}: </span>
+                  {line.text}
+                </p>
+              ))}
+            </div>
+          </CollapsibleContent>
+        </Collapsible>
+      )}
     </Card>
   );
 };
@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { Send, Upload, FileText, Loader2, RefreshCw } from 'lucide-react';
+import { Send, Upload, FileText, Loader2, RefreshCw, Plus, Trash2 } from 'lucide-react';
 import { Card } from '@/components/ui/card';
 import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Carousel, CarouselContent, CarouselItem, CarouselNext, CarouselPrevious } from '@/components/ui/carousel';
 import { useChatMessages } from '@/hooks/useChatMessages';
+import { useChatSessions } from '@/hooks/useChatSessions';
 import { useSources } from '@/hooks/useSources';
 import MarkdownRenderer from '@/components/chat/MarkdownRenderer';
 import SaveToNoteButton from './SaveToNoteButton';
@@ -37,16 +39,33 @@ const ChatArea = ({
   const [showAiLoading, setShowAiLoading] = useState(false);
   const [clickedQuestions, setClickedQuestions] = useState<Set<string>>(new Set());
   const [showAddSourcesDialog, setShowAddSourcesDialog] = useState(false);
+  const [activeSessionId, setActiveSessionId] = useState<string | undefined>(undefined);
   
   const isGenerating = notebook?.generation_status === 'generating';
   
+  const {
+    sessions,
+    createSession,
+    isCreating: isCreatingSession,
+    deleteSession,
+    isDeleting: isDeletingSession
+  } = useChatSessions(notebookId);
+
+  // Default to the most recent thread, and fall back when the active one disappears
+  useEffect(() => {
+    if (!activeSessionId || !sessions.some(session => session.id === activeSessionId)) {
+      setActiveSessionId(sessions[0]?.id);
+    }
+  }, [sessions, activeSessionId]);
+  
   const {
     messages,
     sendMessage,
     isSending,
+    streamingContent,
     deleteChatHistory,
     isDeletingChatHistory
-  } = useChatMessages(notebookId);
+  } = useChatMessages(notebookId, activeSessionId);
   
   const {
     sources
@@ -97,8 +116,17 @@ const ChatArea = ({
       try {
         // Store the pending message to display immediately
         setPendingUserMessage(textToSend);
+
+        // The first message of a notebook starts its first thread
+        let sessionId = activeSessionId;
+        if (!sessionId) {
+          const session = await createSession(undefined);
+          sessionId = session.id;
+          setActiveSessionId(sessionId);
+        }
+
         await sendMessage({
-          notebookId: notebookId,
+          sessionId,
           role: 'user',
           content: textToSend
         });
@@ -115,13 +143,28 @@ const ChatArea = ({
     }
   };
   const handleRefreshChat = () => {
-    if (notebookId) {
-      console.log('Refresh button clicked for notebook:', notebookId);
-      deleteChatHistory(notebookId);
+    if (activeSessionId) {
+      console.log('Refresh button clicked for session:', activeSessionId);
+      deleteChatHistory(activeSessionId);
       // Reset clicked questions when chat is refreshed
       setClickedQuestions(new Set());
     }
   };
+  const handleNewThread = async () => {
+    try {
+      const session = await createSession(undefined);
+      setActiveSessionId(session.id);
+      setClickedQuestions(new Set());
+    } catch (error) {
+      console.error('Failed to create chat thread:', error);
+    }
+  };
+  const handleDeleteThread = () => {
+    if (activeSessionId) {
+      // The effect above moves to the next thread once it is gone from the list
+      deleteSession(activeSessionId);
+    }
+  };
   const handleCitationClick = (citation: Citation) => {
     onCitationClick?.(citation);
   };
@@ -171,11 +214,32 @@ const ChatArea = ({
           {/* Chat Header */}
           <div className="p-4 border-b border-gray-200 flex-shrink-0">
             <div className="max-w-4xl mx-auto flex items-center justify-between">
-              <h2 className="text-lg font-medium text-gray-900">Chat</h2>
-              {shouldShowRefreshButton && <Button variant="ghost" size="sm" onClick={handleRefreshChat} disabled={isDeletingChatHistory || isChatDisabled} className="flex items-center space-x-2">
-                  <RefreshCw className={`h-4 w-4 ${isDeletingChatHistory ? 'animate-spin' : ''}`} />
-                  <span>{isDeletingChatHistory ? 'Clearing...' : 'Clear Chat'}</span>
-                </Button>}
+              <div className="flex items-center space-x-3 min-w-0">
+                <h2 className="text-lg font-medium text-gray-900">Chat</h2>
+                {sessions.length > 0 && <Select value={activeSessionId} onValueChange={setActiveSessionId} disabled={!!pendingUserMessage}>
+                    <SelectTrigger className="w-56 h-8">
+                      <SelectValue placeholder="Select a thread" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {sessions.map(session => <SelectItem key={session.id} value={session.id}>
+                          {session.title || 'New chat'}
+                        </SelectItem>)}
+                    </SelectContent>
+                  </Select>}
+                <Button variant="ghost" size="sm" onClick={handleNewThread} disabled={isCreatingSession || !!pendingUserMessage} className="flex items-center space-x-2">
+                  <Plus className="h-4 w-4" />
+                  <span>New chat</span>
+                </Button>
+              </div>
+              <div className="flex items-center space-x-2">
+                {shouldShowRefreshButton && <Button variant="ghost" size="sm" onClick={handleRefreshChat} disabled={isDeletingChatHistory || isChatDisabled} className="flex items-center space-x-2">
+                    <RefreshCw className={`h-4 w-4 ${isDeletingChatHistory ? 'animate-spin' : ''}`} />
+                    <span>{isDeletingChatHistory ? 'Clearing...' : 'Clear Chat'}</span>
+                  </Button>}
+                {activeSessionId && <Button variant="ghost" size="sm" onClick={handleDeleteThread} disabled={isDeletingSession || !!pendingUserMessage} title="Delete thread">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>}
+              </div>
             </div>
           </div>
 
@@ -210,7 +274,7 @@ const ChatArea = ({
                             <MarkdownRenderer content={msg.message.content} className={isUserMessage(msg) ? '' : ''} onCitationClick={handleCitationClick} isUserMessage={isUserMessage(msg)} />
                           </div>
                           {isAiMessage(msg) && <div className="mt-2 flex justify-start">
-                              <SaveToNoteButton content={msg.message.content} notebookId={notebookId} />
+                              <SaveToNoteButton content={msg.message.content} notebookId={notebookId} messageId={msg.id} />
                             </div>}
                         </div>
                       </div>)}
@@ -222,8 +286,15 @@ const ChatArea = ({
                         </div>
                       </div>}
                     
+                    {/* Streamed AI response */}
+                    {showAiLoading && streamingContent && <div className="flex justify-start" ref={latestMessageRef}>
+                        <div className="w-full prose prose-gray max-w-none text-gray-800">
+                          <MarkdownRenderer content={streamingContent} className="" />
+                        </div>
+                      </div>}
+                    
                     {/* AI Loading Indicator */}
-                    {showAiLoading && <div className="flex justify-start" ref={latestMessageRef}>
+                    {showAiLoading && !streamingContent && <div className="flex justify-start" ref={latestMessageRef}>
                         <div className="flex items-center space-x-2 px-4 py-3 bg-gray-100 rounded-lg">
                           <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
                           <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{
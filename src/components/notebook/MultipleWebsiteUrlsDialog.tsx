@@ -4,14 +4,21 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/u
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
+import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
 import { Link } from 'lucide-react';
+import { WebsiteCrawlOptions } from '@/hooks/useSources';
 
 interface MultipleWebsiteUrlsDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
-  onSubmit: (urls: string[]) => void;
+  onSubmit: (urls: string[], crawl?: WebsiteCrawlOptions) => Promise<void> | void;
 }
 
+// Limits enforced by the backend crawler
+const MAX_CRAWL_DEPTH = 3;
+const MAX_CRAWL_PAGES = 100;
+
 const MultipleWebsiteUrlsDialog = ({
   open,
   onOpenChange,
@@ -19,6 +26,9 @@ const MultipleWebsiteUrlsDialog = ({
 }: MultipleWebsiteUrlsDialogProps) => {
   const [urlsText, setUrlsText] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [crawlEnabled, setCrawlEnabled] = useState(false);
+  const [maxDepth, setMaxDepth] = useState(1);
+  const [maxPages, setMaxPages] = useState(20);
 
   const handleSubmit = async () => {
     // Parse URLs from textarea - split by newlines and filter out empty lines
@@ -33,8 +43,9 @@ const MultipleWebsiteUrlsDialog = ({
 
     setIsSubmitting(true);
     try {
-      await onSubmit(urls);
+      await onSubmit(urls, crawlEnabled ? { maxDepth, maxPages } : undefined);
       setUrlsText('');
+      setCrawlEnabled(false);
       onOpenChange(false);
     } catch (error) {
       console.error('Error submitting URLs:', error);
@@ -45,6 +56,7 @@ const MultipleWebsiteUrlsDialog = ({
 
   const handleClose = () => {
     setUrlsText('');
+    setCrawlEnabled(false);
     onOpenChange(false);
   };
 
@@ -92,6 +104,44 @@ https://third-website.org`}
             )}
           </div>
 
+          <div className="space-y-3 rounded-md border border-gray-200 p-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <Label htmlFor="crawl-enabled" className="text-sm font-medium">Crawl linked pages</Label>
+                <p className="text-sm text-gray-600">
+                  Follow links on the same site and add each page as a separate source.
+                </p>
+              </div>
+              <Switch id="crawl-enabled" checked={crawlEnabled} onCheckedChange={setCrawlEnabled} />
+            </div>
+            {crawlEnabled && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <Label htmlFor="crawl-depth" className="text-sm">Link depth (max {MAX_CRAWL_DEPTH})</Label>
+                  <Input
+                    id="crawl-depth"
+                    type="number"
+                    min={0}
+                    max={MAX_CRAWL_DEPTH}
+                    value={maxDepth}
+                    onChange={(e) => setMaxDepth(Math.min(Math.max(parseInt(e.target.value) || 0, 0), MAX_CRAWL_DEPTH))}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="crawl-pages" className="text-sm">Pages per site (max {MAX_CRAWL_PAGES})</Label>
+                  <Input
+                    id="crawl-pages"
+                    type="number"
+                    min={1}
+                    max={MAX_CRAWL_PAGES}
+                    value={maxPages}
+                    onChange={(e) => setMaxPages(Math.min(Math.max(parseInt(e.target.value) || 1, 1), MAX_CRAWL_PAGES))}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
           <div className="flex justify-end space-x-2 pt-4">
             <Button variant="outline" onClick={handleClose}>
               Cancel
@@ -100,7 +150,9 @@ https://third-website.org`}
               onClick={handleSubmit} 
               disabled={!isValid || isSubmitting}
             >
-              {isSubmitting ? 'Adding...' : `Add ${validUrls.length} Website${validUrls.length !== 1 ? 's' : ''}`}
+              {isSubmitting
+                ? 'Adding...'
+                : `${crawlEnabled ? 'Crawl' : 'Add'} ${validUrls.length} Website${validUrls.length !== 1 ? 's' : ''}`}
             </Button>
           </div>
         </div>
@@ -3,22 +3,23 @@ import React, { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
-import { Trash2, Save, X, Wand2 } from 'lucide-react';
+import { Trash2, Save, X, Wand2, FilePlus } from 'lucide-react';
 import { Note } from '@/hooks/useNotes';
 import MarkdownRenderer from '@/components/chat/MarkdownRenderer';
 import { Citation } from '@/types/message';
-import { supabase } from '@/integrations/supabase/client';
+import axios from 'axios';
 
 interface NoteEditorProps {
   note?: Note;
   onSave: (title: string, content: string) => void;
   onDelete?: () => void;
   onCancel: () => void;
+  onConvertToSource?: () => void;
   isLoading?: boolean;
   onCitationClick?: (citation: Citation) => void;
 }
 
-const NoteEditor = ({ note, onSave, onDelete, onCancel, isLoading, onCitationClick }: NoteEditorProps) => {
+const NoteEditor = ({ note, onSave, onDelete, onCancel, onConvertToSource, isLoading, onCitationClick }: NoteEditorProps) => {
   const [title, setTitle] = useState(note?.title || '');
   const [content, setContent] = useState(note?.content || '');
   // AI response notes should NEVER be in edit mode - they're read-only
@@ -63,14 +64,12 @@ const NoteEditor = ({ note, onSave, onDelete, onCancel, isLoading, onCitationCli
     
     setIsGeneratingTitle(true);
     try {
-      const { data, error } = await supabase.functions.invoke('generate-note-title', {
-        body: { content: note.content }
+      const response = await axios.post(`${import.meta.env.VITE_API_URL}/notes/generate-title`, {
+        content: note.extracted_text || note.content
       });
       
-      if (error) throw error;
-      
-      if (data?.title) {
-        setTitle(data.title);
+      if (response.data?.title) {
+        setTitle(response.data.title);
       }
     } catch (error) {
       console.error('Error generating title:', error);
@@ -106,6 +105,12 @@ const NoteEditor = ({ note, onSave, onDelete, onCancel, isLoading, onCitationCli
               {isAIResponse ? 'AI Response' : 'Note'}
             </h3>
             <div className="flex items-center space-x-2">
+              {onConvertToSource && !note.source_id && (
+                <Button variant="ghost" size="sm" onClick={onConvertToSource} disabled={isLoading} title="Add this note to the notebook sources">
+                  <FilePlus className="h-4 w-4 mr-1" />
+                  Use as source
+                </Button>
+              )}
               {!isAIResponse && (
                 <Button variant="ghost" size="sm" onClick={handleEdit}>
                   Edit
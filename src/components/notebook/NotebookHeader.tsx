@@ -1,29 +1,42 @@
 import React, { useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { User, LogOut } from 'lucide-react';
+import { User, LogOut, Cpu } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useNotebookUpdate } from '@/hooks/useNotebookUpdate';
+import { useNotebookModels } from '@/hooks/useNotebookModels';
 import {
   DropdownMenu,
   DropdownMenuContent,
   DropdownMenuItem,
   DropdownMenuTrigger,
 } from '@/components/ui/dropdown-menu';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
 import { useLogout } from '@/services/authService';
 import Logo from '@/components/ui/Logo';
 
 interface NotebookHeaderProps {
   title: string;
   notebookId?: string;
+  llmConfigId?: string | null;
 }
 
-const NotebookHeader = ({ title, notebookId }: NotebookHeaderProps) => {
+// Select value for "use the model the admin assigned to chat"
+const DEFAULT_MODEL = 'default';
+
+const NotebookHeader = ({ title, notebookId, llmConfigId }: NotebookHeaderProps) => {
   const navigate = useNavigate();
   const { logout } = useLogout();
   const [isEditing, setIsEditing] = useState(false);
   const [editedTitle, setEditedTitle] = useState(title);
   const { updateNotebook, isUpdating } = useNotebookUpdate();
+  const { models } = useNotebookModels();
 
   const handleTitleClick = () => {
     if (notebookId) {
@@ -55,6 +68,15 @@ const NotebookHeader = ({ title, notebookId }: NotebookHeaderProps) => {
     handleTitleSubmit();
   };
 
+  const handleModelChange = (value: string) => {
+    if (notebookId) {
+      updateNotebook({
+        id: notebookId,
+        updates: { llm_config_id: value === DEFAULT_MODEL ? null : value }
+      });
+    }
+  };
+
   const handleIconClick = () => {
     navigate('/');
   };
@@ -92,6 +114,26 @@ const NotebookHeader = ({ title, notebookId }: NotebookHeaderProps) => {
         </div>
         
         <div className="flex items-center space-x-4">
+          {notebookId && models.length > 0 && (
+            <Select
+              value={llmConfigId && models.some(model => model.id === llmConfigId) ? llmConfigId : DEFAULT_MODEL}
+              onValueChange={handleModelChange}
+              disabled={isUpdating}
+            >
+              <SelectTrigger className="w-[220px] h-9" title="Chat model for this notebook">
+                <Cpu className="h-4 w-4 mr-2 text-gray-500 shrink-0" />
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={DEFAULT_MODEL}>Default model</SelectItem>
+                {models.map(model => (
+                  <SelectItem key={model.id} value={model.id}>
+                    {model.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
           <div className="flex items-center space-x-2">
             <DropdownMenu>
               <DropdownMenuTrigger asChild>
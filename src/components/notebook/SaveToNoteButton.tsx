@@ -7,14 +7,22 @@ import { useNotes } from '@/hooks/useNotes';
 interface SaveToNoteButtonProps {
   content: string | { segments: any[]; citations: any[] };
   notebookId?: string;
+  messageId?: number;
   onSaved?: () => void;
 }
 
-const SaveToNoteButton = ({ content, notebookId, onSaved }: SaveToNoteButtonProps) => {
-  const { createNote, isCreating } = useNotes(notebookId);
+const SaveToNoteButton = ({ content, notebookId, messageId, onSaved }: SaveToNoteButtonProps) => {
+  const { createNote, saveMessageAsNote, isCreating } = useNotes(notebookId);
 
   const handleSaveToNote = () => {
     if (!notebookId) return;
+
+    // Saved chat answers are copied server-side, citations included, with a generated title
+    if (messageId && typeof content === 'object') {
+      saveMessageAsNote(messageId);
+      onSaved?.();
+      return;
+    }
     
     console.log('SaveToNoteButton: Saving content:', content);
     console.log('SaveToNoteButton: Content type:', typeof content);
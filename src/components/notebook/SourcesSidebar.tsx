@@ -1,7 +1,7 @@
 
 import React, { useState } from 'react';
 import { Button } from '@/components/ui/button';
-import { Plus, MoreVertical, Trash2, Edit, Loader2, CheckCircle, XCircle, Upload } from 'lucide-react';
+import { Plus, MoreVertical, Trash2, Edit, Loader2, CheckCircle, XCircle, Upload, RefreshCw, AlertTriangle } from 'lucide-react';
 import { Card } from '@/components/ui/card';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { ContextMenu, ContextMenuContent, ContextMenuItem, ContextMenuTrigger } from '@/components/ui/context-menu';
@@ -11,6 +11,8 @@ import RenameSourceDialog from './RenameSourceDialog';
 import SourceContentViewer from '@/components/chat/SourceContentViewer';
 import { useSources } from '@/hooks/useSources';
 import { useSourceDelete } from '@/hooks/useSourceDelete';
+import { useSourceUpdate } from '@/hooks/useSourceUpdate';
+import { useNotebookReindex } from '@/hooks/useNotebookReindex';
 import { Citation } from '@/types/message';
 
 interface SourcesSidebarProps {
@@ -44,6 +46,14 @@ const SourcesSidebar = ({
     isDeleting
   } = useSourceDelete();
 
+  const { reprocessSource } = useSourceUpdate();
+
+  const {
+    reindexNotebook,
+    isReindexing,
+    reindexProgress
+  } = useNotebookReindex(notebookId);
+
   // Get the source content for the selected citation
   const getSourceContent = (citation: Citation) => {
     const source = sources?.find(s => s.id === citation.source_id);
@@ -62,6 +72,12 @@ const SourcesSidebar = ({
     return source?.url || '';
   };
 
+  // Get the URL of the uploaded file of a source, served by the backend from /uploads
+  const getSourceFileUrl = (source?: { file_path?: string | null }) => {
+    if (!source?.file_path) return '';
+    return `${import.meta.env.VITE_API_URL}/uploads/${source.file_path.split('/').pop()}`;
+  };
+
   // Get the source summary for a selected source
   const getSelectedSourceSummary = () => {
     return selectedSourceForViewing?.summary || '';
@@ -86,6 +102,11 @@ const SourcesSidebar = ({
       'youtube': '/file-types/MP3.png',
       'audio': '/file-types/MP3.png',
       'doc': '/file-types/DOC.png',
+      'markdown': '/file-types/TXT.png',
+      'html': '/file-types/WEB.svg',
+      'spreadsheet': '/file-types/DOC.png',
+      'presentation': '/file-types/DOC.png',
+      'epub': '/file-types/DOC.png',
       'multiple-websites': '/file-types/WEB.svg',
       'copied-text': '/file-types/TXT.png'
     };
@@ -197,6 +218,7 @@ const SourcesSidebar = ({
     const sourceContent = selectedSourceForViewing ? getSelectedSourceContent() : getSourceContent(selectedCitation);
     const sourceSummary = selectedSourceForViewing ? getSelectedSourceSummary() : getSourceSummary(selectedCitation);
     const sourceUrl = selectedSourceForViewing ? getSelectedSourceUrl() : getSourceUrl(selectedCitation);
+    const sourceFileUrl = getSourceFileUrl(selectedSourceForViewing || sources?.find(s => s.id === selectedCitation.source_id));
 
     return (
       <div className="w-full bg-gray-50 border-r border-gray-200 flex flex-col h-full overflow-hidden">
@@ -218,6 +240,7 @@ const SourcesSidebar = ({
           sourceContent={sourceContent} 
           sourceSummary={sourceSummary}
           sourceUrl={sourceUrl}
+          sourceFileUrl={sourceFileUrl}
           className="flex-1 overflow-hidden" 
           isOpenedFromSourceList={selectedCitation.citation_id === -1}
         />
@@ -237,7 +260,16 @@ const SourcesSidebar = ({
             <Plus className="h-4 w-4 mr-2" />
             Add
           </Button>
+          <Button variant="outline" size="sm" onClick={() => reindexNotebook()} disabled={isReindexing || !sources?.length} title="Reprocess all sources">
+            {isReindexing ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+          </Button>
         </div>
+        {reindexProgress && (
+          <p className="text-xs text-gray-500 mt-2">
+            Reindexing sources: {reindexProgress.processed}/{reindexProgress.total}
+            {reindexProgress.failed.length > 0 && ` (${reindexProgress.failed.length} failed)`}
+          </p>
+        )}
       </div>
 
       <ScrollArea className="flex-1 h-full">
@@ -259,6 +291,17 @@ const SourcesSidebar = ({
                           </div>
                           <div className="flex-1 min-w-0">
                             <span className="text-sm text-gray-900 truncate block">{source.title}</span>
+                            {source.metadata?.ocr_warning && (
+                              <span className="flex items-center text-xs text-amber-600" title={source.metadata.ocr_warning}>
+                                <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+                                <span className="truncate">OCR warning</span>
+                              </span>
+                            )}
+                            {source.processing_status === 'failed' && source.metadata?.processing_error && (
+                              <span className="block text-xs text-red-600 truncate" title={source.metadata.processing_error}>
+                                {source.metadata.processing_error}
+                              </span>
+                            )}
                           </div>
                         </div>
                         <div className="flex-shrink-0 py-[4px]">
@@ -272,6 +315,10 @@ const SourcesSidebar = ({
                       <Edit className="h-4 w-4 mr-2" />
                       Rename source
                     </ContextMenuItem>
+                    <ContextMenuItem onClick={() => reprocessSource(source.id)} disabled={source.processing_status === 'processing'}>
+                      <RefreshCw className="h-4 w-4 mr-2" />
+                      Reprocess source
+                    </ContextMenuItem>
                     <ContextMenuItem onClick={() => handleRemoveSource(source)} className="text-red-600 focus:text-red-600">
                       <Trash2 className="h-4 w-4 mr-2" />
                       Remove source
@@ -29,9 +29,14 @@ const StudioSidebar = ({
   const {
     notes,
     isLoading,
+    hasMoreNotes,
+    loadMoreNotes,
+    isLoadingMoreNotes,
     createNote,
     updateNote,
     deleteNote,
+    convertToSource,
+    isConvertingToSource,
     isCreating,
     isUpdating,
     isDeleting
@@ -121,6 +126,13 @@ const StudioSidebar = ({
     }
   };
 
+  const handleConvertToSource = () => {
+    if (editingNote) {
+      convertToSource(editingNote.id);
+      setEditingNote(null);
+    }
+  };
+
   const handleCancel = () => {
     setEditingNote(null);
     setIsCreatingNote(false);
@@ -211,7 +223,7 @@ const StudioSidebar = ({
 
   if (isEditingMode) {
     return <div className="w-full bg-gray-50 border-l border-gray-200 flex flex-col h-full overflow-hidden">
-        <NoteEditor note={editingNote || undefined} onSave={handleSaveNote} onDelete={editingNote ? handleDeleteNote : undefined} onCancel={handleCancel} isLoading={isCreating || isUpdating || isDeleting} onCitationClick={onCitationClick} />
+        <NoteEditor note={editingNote || undefined} onSave={handleSaveNote} onDelete={editingNote ? handleDeleteNote : undefined} onCancel={handleCancel} onConvertToSource={editingNote ? handleConvertToSource : undefined} isLoading={isCreating || isUpdating || isDeleting || isConvertingToSource} onCitationClick={onCitationClick} />
       </div>;
   }
 
@@ -228,6 +240,7 @@ const StudioSidebar = ({
           {hasValidAudio && !audioError && currentStatus !== 'generating' && !isAutoRefreshing ? <AudioPlayer 
               audioUrl={notebook.audio_overview_url} 
               title="Deep Dive Conversation" 
+              transcript={notebook.audio_overview_script}
               notebookId={notebookId} 
               expiresAt={notebook.audio_url_expires_at} 
               onError={handleAudioError} 
@@ -322,6 +335,9 @@ const StudioSidebar = ({
                       </Button>}
                   </div>
                 </Card>)}
+              {hasMoreNotes && <Button variant="ghost" size="sm" className="w-full" onClick={() => loadMoreNotes()} disabled={isLoadingMoreNotes}>
+                  {isLoadingMoreNotes ? 'Loading...' : 'Load more notes'}
+                </Button>}
             </div> : <div className="text-center py-8">
               <div className="w-16 h-16 bg-gray-200 rounded-lg mx-auto mb-4 flex items-center justify-center">
                 <span className="text-gray-400 text-2xl">📄</span>
@@ -3,7 +3,7 @@ import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/contexts/AuthContext';
 import { EnhancedChatMessage, Citation, MessageSegment } from '@/types/message';
 import { useToast } from '@/hooks/use-toast';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import axios from 'axios';
 
 // Type for the expected message structure from n8n_chat_histories
@@ -59,18 +59,31 @@ const transformMessage = (item: any, sourceMap: Map<string, any>): EnhancedChatM
     // Check if this is an AI message with JSON content that needs parsing
     if (messageObj.type === 'ai' && typeof messageObj.content === 'string') {
       try {
-        const parsedContent = JSON.parse(messageObj.content) as N8nAiResponseContent;
+        const parsedContent = JSON.parse(messageObj.content) as N8nAiResponseContent | { segments: MessageSegment[]; citations: Citation[] };
         
-        if (parsedContent.output && Array.isArray(parsedContent.output)) {
+        if ('segments' in parsedContent && Array.isArray(parsedContent.segments)) {
+          // Backend format: segments and citations are already resolved
+          transformedMessage = {
+            type: 'ai',
+            content: {
+              segments: parsedContent.segments,
+              citations: parsedContent.citations || []
+            },
+            additional_kwargs: messageObj.additional_kwargs,
+            response_metadata: messageObj.response_metadata,
+            tool_calls: messageObj.tool_calls,
+            invalid_tool_calls: messageObj.invalid_tool_calls
+          };
+        } else if ('output' in parsedContent && Array.isArray(parsedContent.output)) {
           // Transform the parsed content into segments and citations
           const segments: MessageSegment[] = [];
           const citations: Citation[] = [];
           let citationIdCounter = 1;
           
-          parsedContent.output.forEach((outputItem) => {
-            // Add the text segment
+          parsedContent.output.forEach((outputItem, outputIndex) => {
+            // Add the text segment (each output item is its own paragraph)
             segments.push({
-              text: outputItem.text,
+              text: outputIndex > 0 ? `\n\n${outputItem.text}` : outputItem.text,
               citation_id: outputItem.citations && outputItem.citations.length > 0 ? citationIdCounter : undefined
             });
             
@@ -161,22 +174,46 @@ const transformMessage = (item: any, sourceMap: Map<string, any>): EnhancedChatM
   };
 };
 
-export const useChatMessages = (notebookId?: string) => {
+// Parse a single Server-Sent Events block ("event: ...\ndata: ...")
+interface StreamEvent {
+  event: string;
+  data: { text?: string; error?: string };
+}
+
+const parseSseEvent = (block: string): StreamEvent | null => {
+  let event = 'message';
+  const dataLines: string[] = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+export const useChatMessages = (notebookId?: string, sessionId?: string) => {
   const { user } = useAuth();
   const queryClient = useQueryClient();
   const { toast } = useToast();
+  const [streamingContent, setStreamingContent] = useState<string | null>(null);
 
   const {
     data: messages = [],
     isLoading,
     error,
   } = useQuery({
-    queryKey: ['chat-messages', notebookId],
+    queryKey: ['chat-messages', sessionId],
     queryFn: async () => {
-      if (!notebookId) return [];
+      if (!notebookId || !sessionId) return [];
       
       try {
-        const response = await axios.get(`${import.meta.env.VITE_API_URL}/chat/history/${notebookId}`);
+        const response = await axios.get(`${import.meta.env.VITE_API_URL}/chat/history/${sessionId}`);
         const data = response.data;
         
         // Also fetch sources to get proper source titles
@@ -195,79 +232,124 @@ export const useChatMessages = (notebookId?: string) => {
         throw error;
       }
     },
-    enabled: !!notebookId && !!user,
+    enabled: !!notebookId && !!sessionId && !!user,
     refetchOnMount: true,
     refetchOnReconnect: true,
   });
 
   // Set up Realtime subscription for new messages
   useEffect(() => {
-    if (!notebookId || !user) return;
+    if (!sessionId || !user) return;
 
-    console.log('Setting up Realtime subscription for notebook:', notebookId);
+    console.log('Setting up Realtime subscription for chat session:', sessionId);
 
     // Simulate realtime with polling
     const interval = setInterval(async () => {
-      queryClient.invalidateQueries({ queryKey: ['chat-messages', notebookId] });
+      queryClient.invalidateQueries({ queryKey: ['chat-messages', sessionId] });
     }, 5000);
 
     return () => {
       console.log('Cleaning up chat messages polling');
       clearInterval(interval);
     };
-  }, [notebookId, user, queryClient]);
+  }, [sessionId, user, queryClient]);
 
   const sendMessage = useMutation({
     mutationFn: async (messageData: {
-      notebookId: string;
+      sessionId: string;
       role: 'user' | 'assistant';
       content: string;
     }) => {
       if (!user) throw new Error('User not authenticated');
 
       try {
-        // Call the API endpoint
-        const response = await axios.post(`${import.meta.env.VITE_API_URL}/chat/send/${messageData.notebookId}`, {
-          message: messageData.content
+        // Call the streaming endpoint (fetch, since axios cannot read the body incrementally)
+        const response = await fetch(`${import.meta.env.VITE_API_URL}/chat/stream/${messageData.sessionId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${localStorage.getItem('token')}`
+          },
+          body: JSON.stringify({ message: messageData.content })
         });
 
-        return response.data;
+        if (!response.ok || !response.body) {
+          const errorBody = await response.json().catch(() => null);
+          throw new Error(errorBody?.error || `Request failed with status ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        setStreamingContent('');
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop() || '';
+
+          for (const block of blocks) {
+            const parsed = parseSseEvent(block);
+            if (!parsed) continue;
+
+            if (parsed.event === 'token') {
+              setStreamingContent((prev) => (prev || '') + (parsed.data.text || ''));
+            } else if (parsed.event === 'done') {
+              result = parsed.data;
+            } else if (parsed.event === 'error') {
+              throw new Error(parsed.data.error);
+            }
+          }
+        }
+
+        return result;
       } catch (error) {
         console.error('Failed to send message:', error);
         throw error;
       }
     },
-    onSuccess: () => {
-      // The response will appear via polling
+    onSuccess: (data, messageData) => {
       console.log('Message sent successfully');
+      // The first exchange gives the thread its generated title
+      queryClient.invalidateQueries({ queryKey: ['chat-sessions', notebookId] });
+      // Refetch so the persisted message (with citations) replaces the streamed text
+      return queryClient.invalidateQueries({ queryKey: ['chat-messages', messageData.sessionId] });
+    },
+    onSettled: () => {
+      setStreamingContent(null);
     },
   });
 
   const deleteChatHistory = useMutation({
-    mutationFn: async (notebookId: string) => {
+    mutationFn: async (sessionId: string) => {
       if (!user) throw new Error('User not authenticated');
 
-      console.log('Deleting chat history for notebook:', notebookId);
+      console.log('Deleting chat history for session:', sessionId);
       
       try {
-        const response = await axios.delete(`${import.meta.env.VITE_API_URL}/chat/history/${notebookId}`);
+        const response = await axios.delete(`${import.meta.env.VITE_API_URL}/chat/history/${sessionId}`);
         return response.data;
       } catch (error) {
         console.error('Error deleting chat history:', error);
         throw error;
       }
     },
-    onSuccess: (data, notebookId) => {
-      console.log('Chat history cleared for notebook:', notebookId);
+    onSuccess: (data, sessionId) => {
+      console.log('Chat history cleared for session:', sessionId);
       toast({
         title: "Chat history cleared",
         description: "All messages have been deleted successfully.",
       });
       
       // Clear the query data and refetch to confirm
-      queryClient.setQueryData(['chat-messages', notebookId], []);
+      queryClient.setQueryData(['chat-messages', sessionId], []);
       queryClient.invalidateQueries({
-        queryKey: ['chat-messages', notebookId]
+        queryKey: ['chat-messages', sessionId]
       });
     },
     onError: (error) => {
@@ -287,6 +369,7 @@ export const useChatMessages = (notebookId?: string) => {
     sendMessage: sendMessage.mutate,
     sendMessageAsync: sendMessage.mutateAsync,
     isSending: sendMessage.isPending,
+    streamingContent,
     deleteChatHistory: deleteChatHistory.mutate,
     isDeletingChatHistory: deleteChatHistory.isPending,
   };
@@ -0,0 +1,94 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '@/contexts/AuthContext';
+import axios from 'axios';
+
+export interface ChatSession {
+  id: string;
+  notebook_id: string;
+  title: string | null;
+  message_count: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export const useChatSessions = (notebookId?: string) => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ['chat-sessions', notebookId],
+    queryFn: async () => {
+      if (!notebookId) return [];
+
+      try {
+        const response = await axios.get(`${import.meta.env.VITE_API_URL}/chat/sessions/notebook/${notebookId}`);
+        return response.data as ChatSession[];
+      } catch (error) {
+        console.error('Error fetching chat sessions:', error);
+        throw error;
+      }
+    },
+    enabled: !!notebookId && !!user,
+  });
+
+  const createSessionMutation = useMutation({
+    mutationFn: async (title?: string) => {
+      if (!notebookId) throw new Error('Notebook ID is required');
+
+      try {
+        const response = await axios.post(`${import.meta.env.VITE_API_URL}/chat/sessions/notebook/${notebookId}`, { title });
+        return response.data as ChatSession;
+      } catch (error) {
+        console.error('Error creating chat session:', error);
+        throw error;
+      }
+    },
+    onSuccess: (session) => {
+      // Add it right away so the new thread can be selected before the refetch
+      queryClient.setQueryData<ChatSession[]>(['chat-sessions', notebookId], (old = []) => [session, ...old]);
+      queryClient.invalidateQueries({ queryKey: ['chat-sessions', notebookId] });
+    },
+  });
+
+  const renameSessionMutation = useMutation({
+    mutationFn: async ({ id, title }: { id: string; title: string }) => {
+      try {
+        const response = await axios.put(`${import.meta.env.VITE_API_URL}/chat/sessions/${id}`, { title });
+        return response.data as ChatSession;
+      } catch (error) {
+        console.error('Error renaming chat session:', error);
+        throw error;
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['chat-sessions', notebookId] });
+    },
+  });
+
+  const deleteSessionMutation = useMutation({
+    mutationFn: async (id: string) => {
+      try {
+        await axios.delete(`${import.meta.env.VITE_API_URL}/chat/sessions/${id}`);
+        return id;
+      } catch (error) {
+        console.error('Error deleting chat session:', error);
+        throw error;
+      }
+    },
+    onSuccess: (id) => {
+      queryClient.setQueryData<ChatSession[]>(['chat-sessions', notebookId], (old = []) => old.filter(session => session.id !== id));
+      queryClient.removeQueries({ queryKey: ['chat-messages', id] });
+      queryClient.invalidateQueries({ queryKey: ['chat-sessions', notebookId] });
+    },
+  });
+
+  return {
+    sessions,
+    isLoading,
+    createSession: createSessionMutation.mutateAsync,
+    isCreating: createSessionMutation.isPending,
+    renameSession: renameSessionMutation.mutate,
+    deleteSession: deleteSessionMutation.mutate,
+    isDeleting: deleteSessionMutation.isPending,
+  };
+};
\ No newline at end of file
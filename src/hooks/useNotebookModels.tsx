@@ -0,0 +1,23 @@
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+
+export interface NotebookModel {
+  id: string;
+  name: string;
+  provider: string;
+  model: string;
+}
+
+// Models the admin allows users to pick for a notebook's chat
+export const useNotebookModels = () => {
+  const { data: models = [], isLoading } = useQuery({
+    queryKey: ['notebook-models'],
+    queryFn: async () => {
+      const response = await axios.get(`${import.meta.env.VITE_API_URL}/notebooks/models`);
+      return response.data as NotebookModel[];
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+
+  return { models, isLoading };
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useToast } from '@/hooks/use-toast';
+import axios from 'axios';
+
+export interface ReindexProgress {
+  total: number;
+  processed: number;
+  failed: { source_id: string; title: string; error: string }[];
+  current_source_id: string | null;
+}
+
+interface ReindexJob {
+  id: string;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  progress: ReindexProgress | null;
+}
+
+export const useNotebookReindex = (notebookId?: string) => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [jobId, setJobId] = useState<string | null>(null);
+
+  const { data: job } = useQuery({
+    queryKey: ['job', jobId],
+    queryFn: async () => {
+      const response = await axios.get(`${import.meta.env.VITE_API_URL}/jobs/${jobId}`);
+      return response.data as ReindexJob;
+    },
+    enabled: !!jobId,
+    refetchInterval: 2000,
+  });
+
+  // Stop polling and report the result once the job finishes
+  useEffect(() => {
+    if (!job || job.id !== jobId || (job.status !== 'completed' && job.status !== 'failed')) return;
+
+    setJobId(null);
+    queryClient.invalidateQueries({ queryKey: ['sources', notebookId] });
+
+    const failed = job.progress?.failed.length || 0;
+    toast({
+      title: job.status === 'completed' ? "Notebook reindexed" : "Reindex failed",
+      description: failed > 0
+        ? `${failed} source${failed === 1 ? '' : 's'} could not be processed.`
+        : "All sources have been processed again.",
+      variant: job.status === 'failed' || failed > 0 ? "destructive" : "default",
+    });
+  }, [job, jobId, notebookId, queryClient, toast]);
+
+  const reindexNotebook = useMutation({
+    mutationFn: async () => {
+      if (!notebookId) throw new Error('Notebook ID is required');
+
+      try {
+        const response = await axios.post(`${import.meta.env.VITE_API_URL}/notebooks/${notebookId}/reindex`);
+        return response.data as { jobId: string };
+      } catch (error) {
+        console.error('Error starting notebook reindex:', error);
+        throw error;
+      }
+    },
+    onSuccess: ({ jobId }) => {
+      setJobId(jobId);
+      queryClient.invalidateQueries({ queryKey: ['sources', notebookId] });
+    },
+    onError: () => {
+      toast({
+        title: "Error",
+        description: "Failed to start reindexing the notebook. Please try again.",
+        variant: "destructive",
+      });
+    },
+  });
+
+  return {
+    reindexNotebook: reindexNotebook.mutate,
+    isReindexing: reindexNotebook.isPending || !!jobId,
+    reindexProgress: jobId ? job?.progress ?? null : null,
+  };
+};
\ No newline at end of file
@@ -6,7 +6,7 @@ export const useNotebookUpdate = () => {
   const queryClient = useQueryClient();
 
   const updateNotebook = useMutation({
-    mutationFn: async ({ id, updates }: { id: string; updates: { title?: string; description?: string } }) => {
+    mutationFn: async ({ id, updates }: { id: string; updates: { title?: string; description?: string; llm_config_id?: string | null } }) => {
       console.log('Updating notebook:', id, updates);
       
       try {
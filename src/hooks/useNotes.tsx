@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/contexts/AuthContext';
 import axios from 'axios';
@@ -11,30 +11,52 @@ export interface Note {
   content: string;
   source_type: 'user' | 'ai_response';
   extracted_text?: string;
+  source_id?: string | null;
   created_at: string;
   updated_at: string;
 }
 
+interface NotesPage {
+  notes: Note[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+  };
+}
+
 export const useNotes = (notebookId?: string) => {
   const { user } = useAuth();
   const queryClient = useQueryClient();
 
-  const { data: notes, isLoading } = useQuery({
+  const {
+    data,
+    isLoading,
+    hasNextPage,
+    fetchNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
     queryKey: ['notes', notebookId],
-    queryFn: async () => {
-      if (!notebookId) return [];
-      
+    queryFn: async ({ pageParam }) => {
       try {
-        const response = await axios.get(`${import.meta.env.VITE_API_URL}/notes/notebook/${notebookId}`);
-        return response.data as Note[];
+        const response = await axios.get(`${import.meta.env.VITE_API_URL}/notes/notebook/${notebookId}`, {
+          params: { page: pageParam }
+        });
+        return response.data as NotesPage;
       } catch (error) {
         console.error('Error fetching notes:', error);
         throw error;
       }
     },
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) =>
+      lastPage.pagination.page < lastPage.pagination.totalPages ? lastPage.pagination.page + 1 : undefined,
     enabled: !!notebookId && !!user,
   });
 
+  const notes = data?.pages.flatMap(page => page.notes);
+
   const createNoteMutation = useMutation({
     mutationFn: async ({ 
       title, 
@@ -89,6 +111,37 @@ export const useNotes = (notebookId?: string) => {
     },
   });
 
+  const saveMessageAsNoteMutation = useMutation({
+    mutationFn: async (messageId: number) => {
+      try {
+        const response = await axios.post(`${import.meta.env.VITE_API_URL}/notes/from-message/${messageId}`);
+        return response.data as Note;
+      } catch (error) {
+        console.error('Error saving message as note:', error);
+        throw error;
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notes', notebookId] });
+    },
+  });
+
+  const convertToSourceMutation = useMutation({
+    mutationFn: async (id: string) => {
+      try {
+        const response = await axios.post(`${import.meta.env.VITE_API_URL}/notes/${id}/source`);
+        return response.data;
+      } catch (error) {
+        console.error('Error converting note to source:', error);
+        throw error;
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notes', notebookId] });
+      queryClient.invalidateQueries({ queryKey: ['sources', notebookId] });
+    },
+  });
+
   const deleteNoteMutation = useMutation({
     mutationFn: async (id: string) => {
       try {
@@ -101,16 +154,24 @@ export const useNotes = (notebookId?: string) => {
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['notes', notebookId] });
+      // Deleting a note also removes the source created from it
+      queryClient.invalidateQueries({ queryKey: ['sources', notebookId] });
     },
   });
 
   return {
     notes,
     isLoading,
+    hasMoreNotes: hasNextPage,
+    loadMoreNotes: fetchNextPage,
+    isLoadingMoreNotes: isFetchingNextPage,
     createNote: createNoteMutation.mutate,
-    isCreating: createNoteMutation.isPending,
+    isCreating: createNoteMutation.isPending || saveMessageAsNoteMutation.isPending,
+    saveMessageAsNote: saveMessageAsNoteMutation.mutate,
     updateNote: updateNoteMutation.mutate,
     isUpdating: updateNoteMutation.isPending,
+    convertToSource: convertToSourceMutation.mutate,
+    isConvertingToSource: convertToSourceMutation.isPending,
     deleteNote: deleteNoteMutation.mutate,
     isDeleting: deleteNoteMutation.isPending,
   };
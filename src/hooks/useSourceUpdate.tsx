@@ -39,8 +39,37 @@ export const useSourceUpdate = () => {
     },
   });
 
+  const reprocessSource = useMutation({
+    mutationFn: async (sourceId: string) => {
+      try {
+        const response = await axios.post(`${import.meta.env.VITE_API_URL}/sources/${sourceId}/reprocess`);
+        return response.data;
+      } catch (error) {
+        console.error('Error reprocessing source:', error);
+        throw error;
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sources'] });
+      toast({
+        title: "Reprocessing source",
+        description: "The source content is being extracted and indexed again.",
+      });
+    },
+    onError: (error) => {
+      console.error('Reprocess mutation error:', error);
+      toast({
+        title: "Error",
+        description: "Failed to reprocess the source. Please try again.",
+        variant: "destructive",
+      });
+    },
+  });
+
   return {
     updateSource: updateSource.mutate,
     isUpdating: updateSource.isPending,
+    reprocessSource: reprocessSource.mutate,
+    isReprocessing: reprocessSource.isPending,
   };
 };
\ No newline at end of file
@@ -4,6 +4,15 @@ import { useAuth } from '@/contexts/AuthContext';
 import { useNotebookGeneration } from './useNotebookGeneration';
 import { useEffect } from 'react';
 import axios from 'axios';
+import type { Database } from '@/integrations/supabase/types';
+
+// Source types: those of the backend file extractors plus website and youtube
+export type SourceType = Database['public']['Enums']['source_type'];
+
+export interface WebsiteCrawlOptions {
+  maxDepth: number;
+  maxPages: number;
+}
 
 export const useSources = (notebookId?: string) => {
   const { user } = useAuth();
@@ -50,7 +59,7 @@ export const useSources = (notebookId?: string) => {
     mutationFn: async (sourceData: {
       notebookId: string;
       title: string;
-      type: 'pdf' | 'text' | 'website' | 'youtube' | 'audio';
+      type: SourceType;
       content?: string;
       url?: string;
       file_path?: string;
@@ -102,11 +111,10 @@ export const useSources = (notebookId?: string) => {
             
             // Determine if we can trigger generation based on source type and available data
             const canGenerate = 
-              (newSource.type === 'pdf' && newSource.file_path) ||
               (newSource.type === 'text' && newSource.content) ||
               (newSource.type === 'website' && newSource.url) ||
               (newSource.type === 'youtube' && newSource.url) ||
-              (newSource.type === 'audio' && newSource.file_path);
+              newSource.file_path;
             
             if (canGenerate) {
               try {
@@ -182,6 +190,34 @@ export const useSources = (notebookId?: string) => {
     },
   });
 
+  const addWebsites = useMutation({
+    mutationFn: async ({ urls, crawl }: { urls: string[]; crawl?: WebsiteCrawlOptions }) => {
+      if (!notebookId) throw new Error('Notebook ID is required');
+
+      // With crawling, each URL starts a background job that adds one source per page found
+      const results = await Promise.allSettled(urls.map(url => crawl
+        ? axios.post(`${import.meta.env.VITE_API_URL}/sources/crawl/${notebookId}`, {
+            url,
+            max_depth: crawl.maxDepth,
+            max_pages: crawl.maxPages,
+          })
+        : axios.post(`${import.meta.env.VITE_API_URL}/sources/url/${notebookId}`, { url, type: 'website' })
+      ));
+
+      const failed = results.filter(result => result.status === 'rejected').length;
+
+      if (failed === urls.length) {
+        console.error('Error adding websites:', results);
+        throw new Error('Failed to add websites');
+      }
+
+      return { added: urls.length - failed, failed };
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sources', notebookId] });
+    },
+  });
+
   return {
     sources,
     isLoading,
@@ -189,6 +225,8 @@ export const useSources = (notebookId?: string) => {
     addSource: addSource.mutate,
     addSourceAsync: addSource.mutateAsync,
     isAdding: addSource.isPending,
+    addWebsitesAsync: addWebsites.mutateAsync,
+    isAddingWebsites: addWebsites.isPending,
     updateSource: updateSource.mutate,
     isUpdating: updateSource.isPending,
   };
@@ -51,8 +51,12 @@ export type Database = {
       notebooks: {
         Row: {
           audio_overview_generation_status: string | null
+          audio_overview_script: Json | null
           audio_overview_url: string | null
           audio_url_expires_at: string | null
+          chunk_overlap: number | null
+          chunk_size: number | null
+          chunking_strategy: string | null
           color: string | null
           created_at: string
           description: string | null
@@ -60,14 +64,20 @@ export type Database = {
           generation_status: string | null
           icon: string | null
           id: string
+          llm_config_id: string | null
+          search_language: string
           title: string
           updated_at: string
           user_id: string
         }
         Insert: {
           audio_overview_generation_status?: string | null
+          audio_overview_script?: Json | null
           audio_overview_url?: string | null
           audio_url_expires_at?: string | null
+          chunk_overlap?: number | null
+          chunk_size?: number | null
+          chunking_strategy?: string | null
           color?: string | null
           created_at?: string
           description?: string | null
@@ -75,14 +85,20 @@ export type Database = {
           generation_status?: string | null
           icon?: string | null
           id?: string
+          llm_config_id?: string | null
+          search_language?: string
           title: string
           updated_at?: string
           user_id: string
         }
         Update: {
           audio_overview_generation_status?: string | null
+          audio_overview_script?: Json | null
           audio_overview_url?: string | null
           audio_url_expires_at?: string | null
+          chunk_overlap?: number | null
+          chunk_size?: number | null
+          chunking_strategy?: string | null
           color?: string | null
           created_at?: string
           description?: string | null
@@ -90,6 +106,8 @@ export type Database = {
           generation_status?: string | null
           icon?: string | null
           id?: string
+          llm_config_id?: string | null
+          search_language?: string
           title?: string
           updated_at?: string
           user_id?: string
@@ -346,7 +364,19 @@ export type Database = {
       }
     }
     Enums: {
-      source_type: "pdf" | "text" | "website" | "youtube" | "audio"
+      source_type:
+        | "pdf"
+        | "text"
+        | "website"
+        | "youtube"
+        | "audio"
+        | "doc"
+        | "markdown"
+        | "html"
+        | "spreadsheet"
+        | "presentation"
+        | "epub"
+        | "image"
     }
     CompositeTypes: {
       [_ in never]: never
@@ -462,7 +492,20 @@ export type CompositeTypes<
 export const Constants = {
   public: {
     Enums: {
-      source_type: ["pdf", "text", "website", "youtube", "audio"],
+      source_type: [
+        "pdf",
+        "text",
+        "website",
+        "youtube",
+        "audio",
+        "doc",
+        "markdown",
+        "html",
+        "spreadsheet",
+        "presentation",
+        "epub",
+        "image",
+      ],
     },
   },
 } as const
@@ -4,10 +4,12 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useToast } from '@/hooks/use-toast';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableFooter, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Switch } from '@/components/ui/switch';
 import { Separator } from '@/components/ui/separator';
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle, AlertDialogTrigger } from '@/components/ui/alert-dialog';
@@ -25,11 +27,19 @@ interface LLMConfig {
   base_url?: string;
   is_active: boolean;
   is_default: boolean;
+  priority?: number;
+  user_selectable?: boolean;
   config?: any;
+  config_type: string;
   created_at: string;
   updated_at: string;
 }
 
+interface LLMRoute {
+  task: string;
+  config_id: string | null;
+}
+
 interface OllamaModel {
   name: string;
   model: string;
@@ -46,6 +56,132 @@ interface SystemStats {
   activeUsers: Array<{id: string, email: string, full_name: string, notebook_count: string}>;
 }
 
+interface EmbeddingStatus {
+  active: { model_id: string; dimensions: number | null } | null;
+  notebooks: Array<{
+    notebook_id: string;
+    notebook_title: string;
+    models: Array<{ embedding_model: string; documents: number }>;
+    outdated_documents: number;
+  }>;
+}
+
+interface UsageTotals {
+  calls: number;
+  failed_calls: number;
+  prompt_tokens: number;
+  completion_tokens: number;
+  cost: number;
+  unpriced_calls: number;
+}
+
+interface UsageRow extends UsageTotals {
+  day?: string;
+  user_id?: string | null;
+  user_email?: string | null;
+  provider?: string;
+  model?: string;
+  notebook_id?: string | null;
+  notebook_title?: string | null;
+  task?: string | null;
+  estimated: boolean;
+  avg_latency_ms: number;
+}
+
+interface UsageReport {
+  from: string;
+  to: string;
+  group_by: string[];
+  rows: UsageRow[];
+  totals: UsageTotals;
+}
+
+interface ModelPrice {
+  id: number;
+  provider: string;
+  model: string;
+  input_price: number;
+  output_price: number;
+}
+
+// Tipos de configuración y proveedores disponibles para cada uno
+const CONFIG_TYPE_LABELS: Record<string, string> = {
+  llm: 'Modelo de chat',
+  transcription: 'Transcripción',
+  tts: 'Síntesis de voz',
+  embedding: 'Embeddings',
+};
+
+const PROVIDERS_BY_TYPE: Record<string, Array<{ value: string; label: string }>> = {
+  llm: [
+    { value: 'ollama', label: 'Ollama (Local)' },
+    { value: 'openai', label: 'OpenAI' },
+    { value: 'anthropic', label: 'Anthropic' },
+    { value: 'gemini', label: 'Google Gemini' },
+    { value: 'openai_compatible', label: 'Compatible con OpenAI (vLLM, LM Studio, llama.cpp)' },
+    { value: 'mock', label: 'Simulado (pruebas)' },
+  ],
+  transcription: [
+    { value: 'whisper_cpp', label: 'whisper.cpp (Local)' },
+    { value: 'openai', label: 'OpenAI / compatible' },
+    { value: 'stub', label: 'Simulado (pruebas)' },
+  ],
+  tts: [
+    { value: 'piper', label: 'Piper (Local)' },
+    { value: 'openai', label: 'OpenAI / compatible' },
+    { value: 'stub', label: 'Tono simulado (pruebas)' },
+  ],
+  embedding: [
+    { value: 'ollama', label: 'Ollama (Local)' },
+    { value: 'openai', label: 'OpenAI / compatible' },
+    { value: 'mock', label: 'Simulado (pruebas)' },
+  ],
+};
+
+// Tareas a las que se puede asignar un modelo
+const TASK_LABELS: Record<string, string> = {
+  chat: 'Chat',
+  summary: 'Resúmenes y títulos',
+  notebook_details: 'Detalles del cuaderno',
+  podcast_script: 'Guion del podcast',
+  embeddings: 'Embeddings',
+};
+
+// Valor del selector para no asignar modelo a una tarea (se usa el orden de respaldo)
+const AUTO_ROUTE = 'auto';
+
+// Agrupaciones y periodos (en días) del informe de consumo
+const USAGE_GROUP_LABELS: Record<string, string> = {
+  day: 'Día',
+  user: 'Usuario',
+  model: 'Modelo',
+  notebook: 'Cuaderno',
+  task: 'Tarea',
+};
+
+const USAGE_PERIODS = [7, 30, 90];
+
+const EMPTY_PRICE = { provider: '', model: '', input_price: '', output_price: '' };
+
+// Texto de la fila del informe según la agrupación
+const getUsageRowLabel = (row: UsageRow, group: string) => {
+  switch (group) {
+    case 'day': return row.day;
+    case 'user': return row.user_email || 'Sin usuario';
+    case 'model': return `${row.provider} · ${row.model}`;
+    case 'notebook': return row.notebook_title || 'Sin cuaderno';
+    default: return row.task ? TASK_LABELS[row.task] || row.task : 'Sin tarea';
+  }
+};
+
+const formatCost = (cost: number) => cost.toLocaleString('es-ES', { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+// Proveedores que no requieren clave API
+const LOCAL_PROVIDERS = ['ollama', 'whisper_cpp', 'piper', 'stub', 'mock'];
+
+// Proveedores en los que la clave API es opcional y la URL base obligatoria
+const SELF_HOSTED_PROVIDERS = ['openai_compatible'];
+
 const Admin = () => {
   const { toast } = useToast();
   const queryClient = useQueryClient();
@@ -55,6 +191,12 @@ const Admin = () => {
   const [editingConfig, setEditingConfig] = useState<LLMConfig | null>(null);
   const [isCreating, setIsCreating] = useState(false);
   const [showApiKey, setShowApiKey] = useState(false);
+  const [configJson, setConfigJson] = useState('{}');
+  
+  // Estado del informe de consumo y del formulario de precios
+  const [usageGroup, setUsageGroup] = useState('model');
+  const [usageDays, setUsageDays] = useState(30);
+  const [newPrice, setNewPrice] = useState(EMPTY_PRICE);
   
   // Consultas
   const { data: llmConfigs, isLoading: isLoadingConfigs } = useQuery({
@@ -65,6 +207,14 @@ const Admin = () => {
     }
   });
   
+  const { data: llmRoutes } = useQuery({
+    queryKey: ['llm-routes'],
+    queryFn: async () => {
+      const response = await axios.get(`${import.meta.env.VITE_API_URL}/admin/llm-routes`);
+      return response.data as LLMRoute[];
+    }
+  });
+  
   const { data: ollamaModels, isLoading: isLoadingOllama, refetch: refetchOllamaModels } = useQuery({
     queryKey: ['ollama-models'],
     queryFn: async () => {
@@ -86,6 +236,33 @@ const Admin = () => {
     }
   });
   
+  const { data: embeddingStatus, isLoading: isLoadingEmbeddings } = useQuery({
+    queryKey: ['embedding-status'],
+    queryFn: async () => {
+      const response = await axios.get(`${import.meta.env.VITE_API_URL}/admin/embeddings`);
+      return response.data as EmbeddingStatus;
+    }
+  });
+  
+  const { data: usageReport, isLoading: isLoadingUsage } = useQuery({
+    queryKey: ['usage-report', usageGroup, usageDays],
+    queryFn: async () => {
+      const from = new Date(Date.now() - (usageDays - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const response = await axios.get(`${import.meta.env.VITE_API_URL}/admin/usage`, {
+        params: { group_by: usageGroup, from }
+      });
+      return response.data as UsageReport;
+    }
+  });
+  
+  const { data: modelPrices } = useQuery({
+    queryKey: ['model-prices'],
+    queryFn: async () => {
+      const response = await axios.get(`${import.meta.env.VITE_API_URL}/admin/usage/prices`);
+      return response.data as ModelPrice[];
+    }
+  });
+  
   // Mutaciones
   const createLLMConfig = useMutation({
     mutationFn: async (config: Omit<LLMConfig, 'id' | 'created_at' | 'updated_at'>) => {
@@ -152,15 +329,108 @@ const Admin = () => {
     }
   });
   
+  const updateLLMRoute = useMutation({
+    mutationFn: async ({ task, configId }: { task: string; configId: string | null }) => {
+      const response = await axios.put(`${import.meta.env.VITE_API_URL}/admin/llm-routes/${task}`, { config_id: configId });
+      return response.data as LLMRoute;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['llm-routes'] });
+      if (data.task === 'embeddings') {
+        queryClient.invalidateQueries({ queryKey: ['embedding-status'] });
+      }
+      toast({
+        title: "Modelo asignado",
+        description: `La tarea "${TASK_LABELS[data.task]}" usará ${data.config_id ? 'el modelo seleccionado' : 'el orden de respaldo habitual'}.`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "Error",
+        description: (axios.isAxiosError(error) && error.response?.data?.error) || "Error al asignar el modelo",
+        variant: "destructive",
+      });
+    }
+  });
+  
+  const reembedNotebooks = useMutation({
+    mutationFn: async (notebookId?: string) => {
+      const response = await axios.post(`${import.meta.env.VITE_API_URL}/admin/embeddings/reembed`, { notebook_id: notebookId });
+      return response.data as { model_id: string; jobs: Array<{ notebook_id: string; job_id: string }> };
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['embedding-status'] });
+      toast({
+        title: "Regeneración iniciada",
+        description: `Se regenerarán los embeddings de ${data.jobs.length} cuaderno(s) con ${data.model_id}.`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "Error",
+        description: (axios.isAxiosError(error) && error.response?.data?.error) || "Error al iniciar la regeneración de embeddings",
+        variant: "destructive",
+      });
+    }
+  });
+  
+  const saveModelPrice = useMutation({
+    mutationFn: async (price: Omit<ModelPrice, 'id'>) => {
+      const response = await axios.put(`${import.meta.env.VITE_API_URL}/admin/usage/prices`, price);
+      return response.data as ModelPrice;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['model-prices'] });
+      queryClient.invalidateQueries({ queryKey: ['usage-report'] });
+      setNewPrice(EMPTY_PRICE);
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "Error",
+        description: (axios.isAxiosError(error) && error.response?.data?.error) || "Error al guardar el precio",
+        variant: "destructive",
+      });
+    }
+  });
+  
+  const deleteModelPrice = useMutation({
+    mutationFn: async (id: number) => {
+      await axios.delete(`${import.meta.env.VITE_API_URL}/admin/usage/prices/${id}`);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['model-prices'] });
+      queryClient.invalidateQueries({ queryKey: ['usage-report'] });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: "Error",
+        description: (axios.isAxiosError(error) && error.response?.data?.error) || "Error al eliminar el precio",
+        variant: "destructive",
+      });
+    }
+  });
+  
   // Funciones auxiliares
   const resetForm = () => {
     setEditingConfig(null);
     setIsCreating(false);
     setShowApiKey(false);
+    setConfigJson('{}');
+  };
+  
+  const handleSavePrice = (e: React.FormEvent) => {
+    e.preventDefault();
+    saveModelPrice.mutate({
+      provider: newPrice.provider.trim(),
+      model: newPrice.model.trim(),
+      input_price: parseFloat(newPrice.input_price) || 0,
+      output_price: parseFloat(newPrice.output_price) || 0,
+    });
   };
   
   const handleEditConfig = (config: LLMConfig) => {
-    setEditingConfig({...config});
+    setEditingConfig({...config, config_type: config.config_type || 'llm'});
+    setConfigJson(JSON.stringify(config.config || {}, null, 2));
     setIsCreating(false);
   };
   
@@ -174,9 +444,13 @@ const Admin = () => {
       base_url: '',
       is_active: true,
       is_default: false,
+      priority: 0,
+      user_selectable: false,
+      config_type: 'llm',
       created_at: '',
       updated_at: ''
     });
+    setConfigJson('{}');
     setIsCreating(true);
     setShowApiKey(true);
   };
@@ -186,10 +460,24 @@ const Admin = () => {
     
     if (!editingConfig) return;
     
+    let parsedConfig;
+    try {
+      parsedConfig = JSON.parse(configJson || '{}');
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "La configuración adicional no es un JSON válido",
+        variant: "destructive",
+      });
+      return;
+    }
+    
+    const payload = { ...editingConfig, config: parsedConfig };
+    
     if (isCreating) {
-      createLLMConfig.mutate(editingConfig);
+      createLLMConfig.mutate(payload);
     } else {
-      updateLLMConfig.mutate(editingConfig);
+      updateLLMConfig.mutate(payload);
     }
   };
   
@@ -261,7 +549,9 @@ const Admin = () => {
                             <div className="flex items-center justify-between">
                               <div>
                                 <h3 className="font-medium">{config.name}</h3>
-                                <p className="text-sm text-gray-500">{config.provider} / {config.model}</p>
+                                <p className="text-sm text-gray-500">
+                                  {CONFIG_TYPE_LABELS[config.config_type || 'llm']} · {config.provider} / {config.model}
+                                </p>
                               </div>
                               <div className="flex items-center space-x-2">
                                 {config.is_default && (
@@ -303,6 +593,42 @@ const Admin = () => {
                   </CardFooter>
                 </Card>
                 
+                {/* Modelo asignado a cada tarea */}
+                <Card className="mt-6">
+                  <CardHeader>
+                    <CardTitle>Modelos por tarea</CardTitle>
+                    <CardDescription>
+                      Modelo que se prueba primero en cada tarea; si falla se usa el orden de respaldo
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-3">
+                    {llmRoutes?.map(route => (
+                      <div key={route.task} className="space-y-1">
+                        <Label htmlFor={`route-${route.task}`}>{TASK_LABELS[route.task] || route.task}</Label>
+                        <Select
+                          value={route.config_id || AUTO_ROUTE}
+                          onValueChange={value => updateLLMRoute.mutate({ task: route.task, configId: value === AUTO_ROUTE ? null : value })}
+                          disabled={updateLLMRoute.isPending}
+                        >
+                          <SelectTrigger id={`route-${route.task}`}>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value={AUTO_ROUTE}>Automático (predeterminado)</SelectItem>
+                            {llmConfigs
+                              ?.filter(config => config.is_active && (config.config_type || 'llm') === (route.task === 'embeddings' ? 'embedding' : 'llm'))
+                              .map(config => (
+                                <SelectItem key={config.id} value={config.id}>
+                                  {config.name}
+                                </SelectItem>
+                              ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    ))}
+                  </CardContent>
+                </Card>
+                
                 {/* Modelos de Ollama */}
                 <Card className="mt-6">
                   <CardHeader>
@@ -375,6 +701,27 @@ const Admin = () => {
                     </CardHeader>
                     <CardContent>
                       <form id="llm-config-form" onSubmit={handleSubmit} className="space-y-4">
+                        <div className="space-y-2">
+                          <Label htmlFor="config_type">Tipo</Label>
+                          <Select 
+                            value={editingConfig.config_type}
+                            onValueChange={value => setEditingConfig({
+                              ...editingConfig, 
+                              config_type: value,
+                              provider: PROVIDERS_BY_TYPE[value][0].value
+                            })}
+                          >
+                            <SelectTrigger>
+                              <SelectValue placeholder="Seleccionar tipo" />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {Object.entries(CONFIG_TYPE_LABELS).map(([value, label]) => (
+                                <SelectItem key={value} value={value}>{label}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                        
                         <div className="grid grid-cols-2 gap-4">
                           <div className="space-y-2">
                             <Label htmlFor="name">Nombre</Label>
@@ -396,10 +743,9 @@ const Admin = () => {
                                 <SelectValue placeholder="Seleccionar proveedor" />
                               </SelectTrigger>
                               <SelectContent>
-                                <SelectItem value="ollama">Ollama (Local)</SelectItem>
-                                <SelectItem value="openai">OpenAI</SelectItem>
-                                <SelectItem value="anthropic">Anthropic</SelectItem>
-                                <SelectItem value="gemini">Google Gemini</SelectItem>
+                                {(PROVIDERS_BY_TYPE[editingConfig.config_type] || PROVIDERS_BY_TYPE.llm).map(provider => (
+                                  <SelectItem key={provider.value} value={provider.value}>{provider.label}</SelectItem>
+                                ))}
                               </SelectContent>
                             </Select>
                           </div>
@@ -432,17 +778,22 @@ const Admin = () => {
                               placeholder={
                                 editingConfig.provider === 'openai' ? 'gpt-4' :
                                 editingConfig.provider === 'anthropic' ? 'claude-3-sonnet-20240229' :
-                                editingConfig.provider === 'gemini' ? 'gemini-pro' :
+                                editingConfig.provider === 'gemini' ? 'gemini-2.0-flash' :
+                                editingConfig.provider === 'openai_compatible' ? 'Modelo cargado en el servidor' :
+                                editingConfig.provider === 'whisper_cpp' ? '/models/ggml-base.bin' :
+                                editingConfig.provider === 'piper' ? '/models/es_ES-davefx-medium.onnx' :
                                 'Nombre del modelo'
                               }
                             />
                           )}
                         </div>
                         
-                        {editingConfig.provider !== 'ollama' && (
+                        {!LOCAL_PROVIDERS.includes(editingConfig.provider) && (
                           <div className="space-y-2">
                             <div className="flex justify-between items-center">
-                              <Label htmlFor="api_key">Clave API</Label>
+                              <Label htmlFor="api_key">
+                                {SELF_HOSTED_PROVIDERS.includes(editingConfig.provider) ? 'Clave API (opcional)' : 'Clave API'}
+                              </Label>
                               <Button 
                                 type="button" 
                                 variant="ghost" 
@@ -457,26 +808,77 @@ const Admin = () => {
                               type={showApiKey ? 'text' : 'password'} 
                               value={editingConfig.api_key || ''} 
                               onChange={e => setEditingConfig({...editingConfig, api_key: e.target.value})}
-                              required={isCreating}
+                              required={isCreating && !SELF_HOSTED_PROVIDERS.includes(editingConfig.provider)}
                               placeholder={isCreating ? 'Ingresa tu clave API' : 'Dejar en blanco para mantener la actual'}
                             />
                           </div>
                         )}
                         
                         <div className="space-y-2">
-                          <Label htmlFor="base_url">URL Base (opcional)</Label>
+                          <Label htmlFor="base_url">
+                            {SELF_HOSTED_PROVIDERS.includes(editingConfig.provider) ? 'URL Base' : 'URL Base (opcional)'}
+                          </Label>
                           <Input 
                             id="base_url" 
                             value={editingConfig.base_url || ''} 
                             onChange={e => setEditingConfig({...editingConfig, base_url: e.target.value})}
+                            required={SELF_HOSTED_PROVIDERS.includes(editingConfig.provider)}
                             placeholder={
                               editingConfig.provider === 'ollama' ? 'http://localhost:11434' :
                               editingConfig.provider === 'openai' ? 'https://api.openai.com/v1' :
+                              editingConfig.provider === 'openai_compatible' ? 'http://localhost:8000/v1' :
                               'URL base del API (opcional)'
                             }
                           />
                         </div>
                         
+                        {editingConfig.config_type === 'llm' && (
+                          <div className="space-y-2">
+                            <Label htmlFor="priority">Prioridad de respaldo</Label>
+                            <Input 
+                              id="priority" 
+                              type="number"
+                              min={0}
+                              value={editingConfig.priority ?? 0} 
+                              onChange={e => setEditingConfig({...editingConfig, priority: parseInt(e.target.value) || 0})}
+                            />
+                            <p className="text-xs text-gray-500">
+                              Si la configuración predeterminada falla, se prueban las demás activas de menor a mayor prioridad.
+                            </p>
+                          </div>
+                        )}
+                        
+                        {editingConfig.config_type === 'llm' && (
+                          <div className="flex items-center space-x-2">
+                            <Switch 
+                              id="user_selectable"
+                              checked={editingConfig.user_selectable ?? false}
+                              onCheckedChange={checked => setEditingConfig({...editingConfig, user_selectable: checked})}
+                            />
+                            <Label htmlFor="user_selectable">Los usuarios pueden elegirlo para sus cuadernos</Label>
+                          </div>
+                        )}
+                        
+                        <div className="space-y-2">
+                          <Label htmlFor="config">Configuración adicional (JSON)</Label>
+                          <Textarea 
+                            id="config" 
+                            value={configJson} 
+                            onChange={e => setConfigJson(e.target.value)}
+                            className="font-mono text-sm"
+                            rows={4}
+                            placeholder={
+                              editingConfig.config_type === 'transcription' ? '{ "language": "es" }' :
+                              editingConfig.provider === 'piper' ? '{ "voices": ["/models/es_ES-davefx-medium.onnx", "/models/es_ES-sharvard-medium.onnx"] }' :
+                              editingConfig.config_type === 'tts' ? '{ "voices": { "Locutor 1": "alloy", "Locutor 2": "onyx" } }' :
+                              editingConfig.config_type === 'embedding' ? '{ "dimensions": 768 }' :
+                              editingConfig.provider === 'openai_compatible' ? '{ "headers": { "X-API-Key": "..." } }' :
+                              editingConfig.provider === 'mock' ? '{ "responses": { "chat": "{{excerpt}} [1]" } }' :
+                              '{}'
+                            }
+                          />
+                        </div>
+                        
                         <Separator />
                         
                         <div className="flex items-center justify-between">
@@ -692,6 +1094,224 @@ const Admin = () => {
                   </CardContent>
                 </Card>
               </div>
+              
+              {/* Modelos de embeddings por cuaderno */}
+              <div className="md:col-span-3">
+                <Card>
+                  <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                    <div className="space-y-1.5">
+                      <CardTitle>Embeddings</CardTitle>
+                      <CardDescription>
+                        {embeddingStatus?.active
+                          ? `Modelo activo: ${embeddingStatus.active.model_id}${embeddingStatus.active.dimensions ? ` (${embeddingStatus.active.dimensions} dimensiones)` : ''}`
+                          : 'No hay un modelo de embeddings activo'}
+                      </CardDescription>
+                    </div>
+                    <Button 
+                      variant="outline" 
+                      size="sm"
+                      onClick={() => reembedNotebooks.mutate(undefined)}
+                      disabled={reembedNotebooks.isPending || !embeddingStatus?.notebooks.some(notebook => notebook.outdated_documents > 0)}
+                    >
+                      <RefreshCw className="h-4 w-4 mr-2" />
+                      Regenerar desactualizados
+                    </Button>
+                  </CardHeader>
+                  <CardContent>
+                    {isLoadingEmbeddings ? (
+                      <div className="flex justify-center py-4">
+                        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-gray-900"></div>
+                      </div>
+                    ) : (
+                      <div className="space-y-4">
+                        {embeddingStatus?.notebooks.map(notebook => (
+                          <div key={notebook.notebook_id} className="flex justify-between items-center p-3 rounded-md border border-gray-200">
+                            <div>
+                              <h3 className="font-medium">{notebook.notebook_title || 'Cuaderno sin título'}</h3>
+                              <p className="text-sm text-gray-500">
+                                {notebook.models.map(model => `${model.embedding_model || 'desconocido'}: ${model.documents}`).join(' · ')}
+                              </p>
+                            </div>
+                            {notebook.outdated_documents > 0 ? (
+                              <Button 
+                                variant="outline" 
+                                size="sm"
+                                onClick={() => reembedNotebooks.mutate(notebook.notebook_id)}
+                                disabled={reembedNotebooks.isPending}
+                              >
+                                Regenerar {notebook.outdated_documents} fragmentos
+                              </Button>
+                            ) : (
+                              <div className="bg-green-100 text-green-800 px-2 py-1 rounded-full text-sm font-medium">
+                                Actualizado
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                        
+                        {(!embeddingStatus?.notebooks || embeddingStatus.notebooks.length === 0) && (
+                          <div className="text-center py-4 text-gray-500">
+                            No hay datos disponibles
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </CardContent>
+                </Card>
+              </div>
+              
+              {/* Consumo de los modelos */}
+              <div className="md:col-span-3">
+                <Card>
+                  <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                    <div className="space-y-1.5">
+                      <CardTitle>Consumo de modelos</CardTitle>
+                      <CardDescription>
+                        Tokens, latencia y coste de las llamadas a los modelos de chat y de embeddings
+                      </CardDescription>
+                    </div>
+                    <div className="flex gap-2">
+                      <Select value={usageGroup} onValueChange={setUsageGroup}>
+                        <SelectTrigger className="w-36">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(USAGE_GROUP_LABELS).map(([value, label]) => (
+                            <SelectItem key={value} value={value}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Select value={String(usageDays)} onValueChange={value => setUsageDays(parseInt(value))}>
+                        <SelectTrigger className="w-40">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {USAGE_PERIODS.map(days => (
+                            <SelectItem key={days} value={String(days)}>Últimos {days} días</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </CardHeader>
+                  <CardContent className="space-y-6">
+                    {isLoadingUsage ? (
+                      <div className="flex justify-center py-4">
+                        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-gray-900"></div>
+                      </div>
+                    ) : usageReport && usageReport.rows.length > 0 ? (
+                      <div className="space-y-2">
+                        <Table>
+                          <TableHeader>
+                            <TableRow>
+                              <TableHead>{USAGE_GROUP_LABELS[usageGroup]}</TableHead>
+                              <TableHead className="text-right">Llamadas</TableHead>
+                              <TableHead className="text-right">Tokens de entrada</TableHead>
+                              <TableHead className="text-right">Tokens de salida</TableHead>
+                              <TableHead className="text-right">Latencia media</TableHead>
+                              <TableHead className="text-right">Coste</TableHead>
+                            </TableRow>
+                          </TableHeader>
+                          <TableBody>
+                            {usageReport.rows.map(row => (
+                              <TableRow key={getUsageRowLabel(row, usageGroup)}>
+                                <TableCell className="font-medium">{getUsageRowLabel(row, usageGroup)}</TableCell>
+                                <TableCell className="text-right">
+                                  {row.calls}
+                                  {row.failed_calls > 0 && <span className="text-red-600"> ({row.failed_calls} fallidas)</span>}
+                                </TableCell>
+                                <TableCell className="text-right">{row.prompt_tokens.toLocaleString('es-ES')}{row.estimated && '*'}</TableCell>
+                                <TableCell className="text-right">{row.completion_tokens.toLocaleString('es-ES')}{row.estimated && '*'}</TableCell>
+                                <TableCell className="text-right">{row.avg_latency_ms} ms</TableCell>
+                                <TableCell className="text-right">{formatCost(row.cost)}{row.unpriced_calls > 0 && ' †'}</TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                          <TableFooter>
+                            <TableRow>
+                              <TableCell>Total</TableCell>
+                              <TableCell className="text-right">{usageReport.totals.calls}</TableCell>
+                              <TableCell className="text-right">{usageReport.totals.prompt_tokens.toLocaleString('es-ES')}</TableCell>
+                              <TableCell className="text-right">{usageReport.totals.completion_tokens.toLocaleString('es-ES')}</TableCell>
+                              <TableCell />
+                              <TableCell className="text-right">{formatCost(usageReport.totals.cost)}</TableCell>
+                            </TableRow>
+                          </TableFooter>
+                        </Table>
+                        <p className="text-xs text-gray-500">
+                          * Incluye tokens estimados (el proveedor no informó del consumo). † Incluye modelos sin precio configurado, que no suman coste.
+                        </p>
+                      </div>
+                    ) : (
+                      <div className="text-center py-4 text-gray-500">
+                        No hay datos disponibles
+                      </div>
+                    )}
+                    
+                    <Separator />
+                    
+                    <div className="space-y-3">
+                      <div>
+                        <h3 className="font-medium">Precios por modelo</h3>
+                        <p className="text-sm text-gray-500">Por millón de tokens de entrada y de salida; el coste se calcula con los precios actuales</p>
+                      </div>
+                      
+                      {modelPrices?.map(price => (
+                        <div key={price.id} className="flex justify-between items-center p-3 rounded-md border border-gray-200">
+                          <div>
+                            <h4 className="font-medium">{price.provider} · {price.model}</h4>
+                            <p className="text-sm text-gray-500">
+                              Entrada: {formatCost(price.input_price)} · Salida: {formatCost(price.output_price)}
+                            </p>
+                          </div>
+                          <Button 
+                            variant="ghost" 
+                            size="sm"
+                            onClick={() => deleteModelPrice.mutate(price.id)}
+                            disabled={deleteModelPrice.isPending}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                      
+                      <form onSubmit={handleSavePrice} className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                        <Input 
+                          placeholder="Proveedor (p. ej. openai)"
+                          value={newPrice.provider}
+                          onChange={e => setNewPrice({...newPrice, provider: e.target.value})}
+                          required
+                        />
+                        <Input 
+                          placeholder="Modelo (p. ej. gpt-4o)"
+                          value={newPrice.model}
+                          onChange={e => setNewPrice({...newPrice, model: e.target.value})}
+                          required
+                        />
+                        <Input 
+                          type="number"
+                          min={0}
+                          step="any"
+                          placeholder="Precio de entrada"
+                          value={newPrice.input_price}
+                          onChange={e => setNewPrice({...newPrice, input_price: e.target.value})}
+                        />
+                        <Input 
+                          type="number"
+                          min={0}
+                          step="any"
+                          placeholder="Precio de salida"
+                          value={newPrice.output_price}
+                          onChange={e => setNewPrice({...newPrice, output_price: e.target.value})}
+                        />
+                        <Button type="submit" disabled={saveModelPrice.isPending}>
+                          <Save className="h-4 w-4 mr-2" />
+                          Guardar precio
+                        </Button>
+                      </form>
+                    </div>
+                  </CardContent>
+                </Card>
+              </div>
             </div>
           </TabsContent>
           
@@ -40,6 +40,7 @@ const Notebook = () => {
       <NotebookHeader 
         title={notebook?.title || 'Untitled Notebook'} 
         notebookId={notebookId} 
+        llmConfigId={notebook?.llm_config_id}
       />
       
       {isDesktop ? (
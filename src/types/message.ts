@@ -13,6 +13,11 @@ export interface Citation {
   chunk_lines_to?: number;
   chunk_index?: number;
   excerpt?: string;
+  document_id?: number;
+  time_from?: number;
+  time_to?: number;
+  page_from?: number;
+  page_to?: number;
 }
 
 export interface EnhancedChatMessage {